@@ -1,10 +1,30 @@
 // API Manager for GQL requests with rate limiting
+import { AdaptiveRateLimiter } from './rate-limiter.js';
+import { RequestQueue } from './request-queue.js';
+import { UserInfoCache } from './user-info-cache.js';
+
+// Rejection for requests dropped because their session stopped or paused
+export class RequestCancelledError extends Error {
+  constructor(reason = 'cancelled') {
+    super(`Request cancelled: ${reason}`);
+    this.name = 'RequestCancelledError';
+  }
+}
+
 export class ApiManager {
+  static MAX_RETRY_DELAY = 30000; // Cap for a single backoff delay
+  // GraphQL answers these with a 200 and an errors payload; they usually pass on a second try
+  static RETRYABLE_GQL_ERROR = /timeout|timed out|service error|service unavailable|internal server error/i;
+
   constructor() {
-    this.requestQueue = [];
+    this.requestQueue = new RequestQueue();
     this.requestCount = 0;
-    this.maxRequests = 5000; // API call limit per minute
+    this.maxRequests = 5000; // API call limit per minute (ceiling for the adaptive budget)
     this.requestWindow = 60000; // 1 minute
+    this.rateLimiter = new AdaptiveRateLimiter(this.maxRequests);
+    this.sessionControllers = new Map(); // session key (channel name) -> AbortController for its requests
+    this.retryTimers = new Map(); // request waiting out its backoff -> timeout id
+    this.userInfoCache = new UserInfoCache();
     this.isProcessing = false;
     this.lastResetTime = Date.now();
 
@@ -14,12 +34,20 @@ export class ApiManager {
     // Concurrent processing configuration
     this.concurrentUserInfoBatches = 50; // Max concurrent requests (default, can be updated via config)
 
+    // Retry configuration (defaults match the settings schema, updated via config)
+    this.maxRetries = 3; // Retries for network errors, 5xx and GraphQL service errors
+    this.retryDelay = 1000; // Base backoff delay, doubled on every retry
+    this.maxApiAttempts = 5; // Attempts per request, rate-limited (429) retries included
+
     // Data usage tracking
     this.dataStats = {
       totalBytesSent: 0,
       totalBytesReceived: 0,
       totalApiCalls: 0,
-      recentRequests: [] // Array of { timestamp, bytesSent, bytesReceived }
+      totalRetries: 0,
+      totalFailedRequests: 0, // Requests that still failed after their last retry
+      recentRequests: [], // Array of { timestamp, bytesSent, bytesReceived }
+      recentRetries: [] // Timestamps of retries in the last minute
     };
 
     this.init();
@@ -28,6 +56,9 @@ export class ApiManager {
   async init() {
     // Start processing queue
     this.processQueue();
+
+    // Expired user info from earlier browser runs
+    this.userInfoCache.prune();
   }
 
   updateConfig(config) {
@@ -36,6 +67,15 @@ export class ApiManager {
 
     this.concurrentUserInfoBatches = config.concurrentUserInfoBatches !== undefined ?
       config.concurrentUserInfoBatches : this.concurrentUserInfoBatches;
+
+    this.maxRetries = config.maxRetries !== undefined ?
+      config.maxRetries : this.maxRetries;
+
+    this.retryDelay = config.retryDelay !== undefined ?
+      config.retryDelay : this.retryDelay;
+
+    this.maxApiAttempts = config.maxApiAttempts !== undefined ?
+      config.maxApiAttempts : this.maxApiAttempts;
   }
 
   getTwitchHeaders() {
@@ -46,29 +86,52 @@ export class ApiManager {
     };
   }
 
-  async makeRequest(url, options, priority = 2) {
+  // sessionKey tags the request with a tracking session so cancelSession() can drop it
+  async makeRequest(url, options, priority = 2, sessionKey = null) {
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({
+      this.enqueue({
         url,
         options,
         priority,
+        sessionKey,
+        signal: sessionKey ? this.getSessionController(sessionKey).signal : null,
         resolve,
         reject,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        attempts: 0,
+        transientRetries: 0
       });
+    });
+  }
 
-      // Sort queue by priority (lower number = higher priority)
-      this.requestQueue.sort((a, b) => a.priority - b.priority);
+  getSessionController(sessionKey) {
+    let controller = this.sessionControllers.get(sessionKey);
+    if (!controller) {
+      controller = new AbortController();
+      this.sessionControllers.set(sessionKey, controller);
+    }
+    return controller;
+  }
 
-      // Start processing if not already running
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
-    });
+  // Add a new or retried request to the queue
+  enqueue(request) {
+    // Cancelled while waiting for a retry
+    if (request.signal?.aborted) {
+      request.reject(new RequestCancelledError(request.signal.reason));
+      return;
+    }
+
+    // Heap insert: priority first, then round-robin between sessions, FIFO within a session
+    this.requestQueue.push(request);
+
+    // Start processing if not already running
+    if (!this.isProcessing) {
+      this.processQueue();
+    }
   }
 
   async processQueue() {
-    if (this.isProcessing || this.requestQueue.length === 0) {
+    if (this.isProcessing || this.requestQueue.size === 0) {
       return;
     }
 
@@ -80,7 +143,7 @@ export class ApiManager {
     this.isProcessing = false;
 
     // Auto-restart processing if queue has new items
-    if (this.requestQueue.length > 0) {
+    if (this.requestQueue.size > 0) {
       this.processQueue();
     }
   }
@@ -88,17 +151,18 @@ export class ApiManager {
   async processConcurrentRequests() {
     // Process requests concurrently (up to concurrentUserInfoBatches at a time)
 
-    while (this.requestQueue.length > 0) {
-      // Use rolling window rate limiting (matches actual requests per minute display)
-      const now = Date.now();
-      const oneMinuteAgo = now - 60000;
-      const requestsInLastMinute = this.dataStats.recentRequests.filter(
-        req => req.timestamp > oneMinuteAgo
-      ).length;
-
-      // Check if we've hit the rate limit based on rolling window
-      if (requestsInLastMinute >= this.maxRequests) {
-        console.warn('Rate limit reached (rolling window), waiting...');
+    while (this.requestQueue.size > 0) {
+      // The server throttled us: hold every request until its Retry-After has passed
+      const pauseRemaining = this.rateLimiter.getPauseRemaining();
+      if (pauseRemaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(pauseRemaining, 1000)));
+        continue;
+      }
+
+      // Rolling window against the adaptive budget (requests sent, failed ones included)
+      const available = this.rateLimiter.getAvailable();
+      if (available <= 0) {
+        console.warn(`Rate limit reached (${this.rateLimiter.budget}/min), waiting...`);
         await new Promise(resolve => setTimeout(resolve, 1000));
         continue;
       }
@@ -107,12 +171,12 @@ export class ApiManager {
       const concurrentRequests = [];
       const maxConcurrent = Math.min(
         this.concurrentUserInfoBatches,
-        this.maxRequests - requestsInLastMinute,
-        this.requestQueue.length
+        available,
+        this.requestQueue.size
       );
 
       for (let i = 0; i < maxConcurrent; i++) {
-        const request = this.requestQueue.shift();
+        const request = this.requestQueue.pop();
         if (request) {
           concurrentRequests.push(request);
         }
@@ -125,7 +189,8 @@ export class ApiManager {
       // Execute requests concurrently
       await this.executeConcurrentRequests(concurrentRequests);
 
-      // No delay - process next batch immediately to maximize throughput
+      // Ramp the budget back up after a healthy batch; the next batch starts right away
+      this.rateLimiter.recordBatchComplete();
     }
   }
 
@@ -140,15 +205,56 @@ export class ApiManager {
   }
 
   async executeRequest(request) {
+    // Cancelled after being taken off the queue
+    if (request.signal?.aborted) {
+      request.reject(new RequestCancelledError(request.signal.reason));
+      return;
+    }
+
+    request.attempts++;
+
     try {
       // Calculate bytes sent (approximate)
       const bytesSent = this.calculateRequestSize(request.url, request.options);
 
-      const response = await fetch(request.url, request.options);
+      let response;
+      const sentAt = Date.now();
+      this.rateLimiter.recordAttempt();
+      try {
+        response = await fetch(request.url, request.signal ? { ...request.options, signal: request.signal } : request.options);
+      } catch (error) {
+        if (request.signal?.aborted) {
+          request.reject(new RequestCancelledError(request.signal.reason));
+          return;
+        }
+
+        // Network failure (offline, DNS, connection reset)
+        this.retryOrFail(request, error, 'transient');
+        return;
+      }
       this.requestCount++;
 
+      if (response.status !== 429) {
+        this.rateLimiter.recordResponse(Date.now() - sentAt);
+      }
+
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          // Back off globally, then retry this request once the pause is over
+          const retryAfter = this.getRetryAfter(response);
+          this.rateLimiter.recordThrottle(retryAfter);
+          this.retryOrFail(request, error, 'rate-limited', { retryAfter });
+        } else if (response.status >= 500) {
+          this.retryOrFail(request, error, 'transient');
+        } else {
+          // Other client errors won't succeed on a retry
+          console.error('Request failed:', error);
+          request.reject(error);
+        }
+        return;
       }
 
       const data = await response.json();
@@ -159,6 +265,14 @@ export class ApiManager {
       // Track data usage
       this.trackDataUsage(bytesSent, bytesReceived);
 
+      // Query errors come back with a 200 and are final; service errors are retried,
+      // and if they persist the partial data is still returned
+      const gqlError = this.getRetryableGraphQLError(data);
+      if (gqlError) {
+        this.retryOrFail(request, gqlError, 'transient', { fallbackData: data });
+        return;
+      }
+
       request.resolve(data);
     } catch (error) {
       console.error('Request failed:', error);
@@ -166,7 +280,108 @@ export class ApiManager {
     }
   }
 
-  async getViewerCount(channelName) {
+  // Abort a session's in-flight requests and reject its queued ones (tracking stopped, paused or switched)
+  cancelSession(sessionKey, reason = 'session cancelled') {
+    const controller = this.sessionControllers.get(sessionKey);
+    this.sessionControllers.delete(sessionKey);
+    controller?.abort(reason);
+
+    const cancelled = [
+      ...this.requestQueue.removeWhere(request => request.sessionKey === sessionKey),
+      ...this.cancelRetries(request => request.sessionKey === sessionKey)
+    ];
+    cancelled.forEach(request => request.reject(new RequestCancelledError(reason)));
+
+    if (cancelled.length > 0) {
+      console.log(`Cancelled ${cancelled.length} queued requests for ${sessionKey} (${reason})`);
+    }
+    return cancelled.length;
+  }
+
+  // Cancel everything, tagged or not
+  clearQueue(reason = 'queue cleared') {
+    for (const sessionKey of Array.from(this.sessionControllers.keys())) {
+      this.cancelSession(sessionKey, reason);
+    }
+
+    const remaining = [...this.requestQueue.clear(), ...this.cancelRetries(() => true)];
+    remaining.forEach(request => request.reject(new RequestCancelledError(reason)));
+  }
+
+  // Stop the backoff timers of matching requests and return those requests
+  cancelRetries(predicate) {
+    const cancelled = [];
+    for (const [request, timer] of this.retryTimers) {
+      if (!predicate(request)) continue;
+      clearTimeout(timer);
+      this.retryTimers.delete(request);
+      cancelled.push(request);
+    }
+    return cancelled;
+  }
+
+  // First retryable GraphQL error in a single or batched response, or null
+  getRetryableGraphQLError(data) {
+    const results = Array.isArray(data) ? data : [data];
+    for (const result of results) {
+      const error = result?.errors?.find(e => ApiManager.RETRYABLE_GQL_ERROR.test(e?.message || ''));
+      if (error) {
+        return new Error(`GraphQL error: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  // Retry-After header in ms (seconds or an HTTP date), null if missing
+  getRetryAfter(response) {
+    const header = response.headers?.get('Retry-After');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Exponential backoff with jitter: between half and all of retryDelay * 2^(attempt - 1)
+  getRetryDelay(attempt, retryAfter = null) {
+    const backoff = Math.min(ApiManager.MAX_RETRY_DELAY, this.retryDelay * Math.pow(2, attempt - 1));
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+    return retryAfter !== null ? Math.max(retryAfter, delay) : delay;
+  }
+
+  // Re-queue a failed attempt after a backoff, or settle the request once it's out of attempts
+  // kind: 'rate-limited' (429, bounded by maxApiAttempts only) or 'transient' (also bounded by maxRetries)
+  retryOrFail(request, error, kind, { retryAfter = null, fallbackData } = {}) {
+    if (kind === 'transient') {
+      request.transientRetries++;
+    }
+
+    const canRetry = request.attempts < this.maxApiAttempts &&
+      (kind === 'rate-limited' || request.transientRetries <= this.maxRetries);
+
+    if (!canRetry) {
+      this.dataStats.totalFailedRequests++;
+      console.error(`Request failed after ${request.attempts} attempt(s):`, error);
+      if (fallbackData !== undefined) {
+        request.resolve(fallbackData);
+      } else {
+        request.reject(error);
+      }
+      return;
+    }
+
+    const delay = this.getRetryDelay(request.attempts, retryAfter);
+    console.warn(`Request attempt ${request.attempts} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+    this.trackRetry();
+    this.retryTimers.set(request, setTimeout(() => {
+      this.retryTimers.delete(request);
+      this.enqueue(request);
+    }, delay));
+  }
+
+  async getViewerCount(channelName, sessionKey = null) {
     const query = `
       query {
         user(login: "${channelName}") {
@@ -185,17 +400,19 @@ export class ApiManager {
           headers: this.getTwitchHeaders(),
           body: JSON.stringify({ query })
         },
-        1 // High priority
+        1, // High priority
+        sessionKey
       );
 
       return response.data?.user?.stream?.viewersCount || 0;
     } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
       console.error('Error fetching viewer count:', error);
       return 0;
     }
   }
 
-  async getViewerList(channelName) {
+  async getViewerList(channelName, sessionKey = null) {
     const payload = [{
       "operationName": "CommunityTab",
       "variables": {
@@ -217,11 +434,13 @@ export class ApiManager {
           headers: this.getTwitchHeaders(),
           body: JSON.stringify(payload)
         },
-        2 // Medium priority
+        2, // Medium priority
+        sessionKey
       );
 
       // Extract viewer list from response
       const viewers = [];
+      const roles = {}; // login -> role
       const data = response[0]?.data?.user?.channel?.chatters;
       let totalAuthenticatedCount = 0;
 
@@ -229,46 +448,58 @@ export class ApiManager {
         // Get the total authenticated count
         totalAuthenticatedCount = data.count || 0;
 
-        // Combine all viewer types
-        const allViewers = [
-          ...(data.broadcasters || []),
-          ...(data.moderators || []),
-          ...(data.vips || []),
-          ...(data.viewers || []),
-          ...(data.chatbots || [])
-        ];
-
-        for (const viewer of allViewers) {
-          viewers.push(viewer.login);
+        // Combine all viewer types, keeping each login's role
+        const roleGroups = {
+          broadcaster: data.broadcasters,
+          moderator: data.moderators,
+          vip: data.vips,
+          viewer: data.viewers,
+          chatbot: data.chatbots
+        };
+
+        for (const [role, group] of Object.entries(roleGroups)) {
+          for (const viewer of group || []) {
+            viewers.push(viewer.login);
+            roles[viewer.login] = role;
+          }
         }
       }
 
-      return { viewers, totalAuthenticatedCount };
+      return { viewers, roles, totalAuthenticatedCount };
     } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
       console.error('Error fetching viewer list:', error);
-      return { viewers: [], totalAuthenticatedCount: 0 };
+      return { viewers: [], roles: {}, totalAuthenticatedCount: 0 };
     }
   }
 
-  async getViewerListParallel(channelName, concurrentCalls = 50) {
+  async getViewerListParallel(channelName, concurrentCalls = 50, sessionKey = null) {
     // Make multiple concurrent calls to getViewerList and combine unique results
     const promises = [];
     for (let i = 0; i < concurrentCalls; i++) {
-      promises.push(this.getViewerList(channelName));
+      promises.push(this.getViewerList(channelName, sessionKey));
     }
 
     const results = await Promise.allSettled(promises);
+    this.throwIfCancelled(results);
 
     // Combine unique viewers from all successful calls
     const allViewersSet = new Set();
+    const allRoles = {};
     let maxAuthenticatedCount = 0;
 
     for (const result of results) {
       if (result.status === 'fulfilled' && result.value) {
-        const { viewers, totalAuthenticatedCount } = result.value;
+        const { viewers, roles, totalAuthenticatedCount } = result.value;
         if (Array.isArray(viewers)) {
           viewers.forEach(viewer => allViewersSet.add(viewer));
         }
+        // A special role seen in any response wins over 'viewer'
+        for (const [login, role] of Object.entries(roles || {})) {
+          if (!allRoles[login] || allRoles[login] === 'viewer') {
+            allRoles[login] = role;
+          }
+        }
         if (totalAuthenticatedCount > maxAuthenticatedCount) {
           maxAuthenticatedCount = totalAuthenticatedCount;
         }
@@ -277,26 +508,63 @@ export class ApiManager {
 
     return {
       viewers: Array.from(allViewersSet),
+      roles: allRoles,
       totalAuthenticatedCount: maxAuthenticatedCount
     };
   }
 
-  async getUserInfo(channelLogin, usernames, priority = 3) {
+  // A cancelled request cancels the whole call, so no null placeholders are returned for it
+  throwIfCancelled(results) {
+    const cancelled = results.find(result => result.status === 'rejected' && result.reason instanceof RequestCancelledError);
+    if (cancelled) throw cancelled.reason;
+  }
+
+  async getUserInfo(channelLogin, usernames, priority = 3, sessionKey = null) {
     if (this.useGraphQLUserBasic) {
-      return this.getUserInfoGraphQL(usernames, [], priority);
+      return this.getUserInfoGraphQL(usernames, [], priority, sessionKey);
     } else {
-      return this.getUserInfoViewerCard(channelLogin, usernames, priority);
+      return this.getUserInfoViewerCard(channelLogin, usernames, priority, sessionKey);
     }
   }
 
-  async getUserInfoGraphQL(usernames, extraFields = [], priority = 3) {
-    // GraphQL method using GetUserBasic operation
-    // Batch requests - up to 20 users per request (GraphQL API limit)
-    const batchSize = 20;
-    const batches = [];
+  // Answered from the user info cache where possible; only the logins it can't answer are fetched
+  async getUserInfoGraphQL(usernames, extraFields = [], priority = 3, sessionKey = null) {
     // Always include profile image, then add any extra fields
     const standardFields = ['profileImageURL(width: 300)'];
     const allFields = [...standardFields, ...extraFields];
+    const signal = sessionKey ? this.getSessionController(sessionKey).signal : null;
+    const lookup = logins => this.userInfoCache.lookup(
+      logins,
+      missing => this.fetchUserInfoGraphQL(missing, allFields, priority, sessionKey),
+      { variant: allFields.join(','), readCache: extraFields.length === 0, priority }
+    );
+    const isCancelled = result => result.status === 'rejected' && result.reason instanceof RequestCancelledError;
+
+    const results = await lookup(usernames);
+
+    // A shared fetch cancelled by another session's stop says nothing about this one, so ask again
+    if (!signal?.aborted && results.some(isCancelled)) {
+      const retryIndexes = results.map((result, index) => (isCancelled(result) ? index : -1)).filter(index => index >= 0);
+      const retried = await lookup(retryIndexes.map(index => usernames[index]));
+      retryIndexes.forEach((resultIndex, index) => {
+        results[resultIndex] = retried[index];
+      });
+    }
+
+    // Stopped while waiting on the cache
+    if (signal?.aborted) throw new RequestCancelledError(signal.reason);
+
+    this.throwIfCancelled(results);
+    return results.map((result, index) => (result.status === 'fulfilled'
+      ? result.value
+      : this.buildUserInfo(usernames[index], null, allFields))); // Failed batch, already logged
+  }
+
+  // GetUserBasic for logins the cache couldn't answer; users of a failed batch are left out
+  async fetchUserInfoGraphQL(usernames, allFields, priority = 3, sessionKey = null) {
+    // Batch requests - up to 20 users per request (GraphQL API limit)
+    const batchSize = 20;
+    const batches = [];
     const extraFieldsString = allFields.length > 0 ? ' ' + allFields.join(' ') : '';
 
     for (let i = 0; i < usernames.length; i += batchSize) {
@@ -323,93 +591,19 @@ export class ApiManager {
             headers: this.getTwitchHeaders(),
             body: JSON.stringify(payload)
           },
-          priority // Use the passed priority instead of hardcoded 3
+          priority, // Use the passed priority instead of hardcoded 3
+          sessionKey
         );
 
         // Extract user info from response
         for (let i = 0; i < response.length; i++) {
-          const userData = response[i]?.data?.user;
-          const requestedUsername = batch[i];
-
-          if (userData && requestedUsername) {
-            const userInfoObj = {
-              username: requestedUsername,
-              login: userData.login || requestedUsername, // Add login field
-              displayName: userData.displayName || requestedUsername,
-              createdAt: userData.createdAt,
-              description: userData.description || null,
-              id: userData.id
-            };
-
-            // Add all fields (standard + extra)
-            allFields.forEach(field => {
-              // Handle GraphQL field syntax like "profileImageURL(width: 300)" or "stream{id}"
-              // Extract the actual field name (everything before the first parenthesis or curly brace)
-              let actualFieldName = field;
-              if (field.includes('(')) {
-                actualFieldName = field.split('(')[0];
-              } else if (field.includes('{')) {
-                actualFieldName = field.split('{')[0];
-              }
-
-              if (userData[actualFieldName] !== undefined) {
-                userInfoObj[actualFieldName] = userData[actualFieldName];
-              }
-            });
-
-            batchUserInfo.push(userInfoObj);
-          } else if (requestedUsername) {
-            // User not found or failed to load - still add to results with null data
-            const userInfoObj = {
-              username: requestedUsername,
-              login: requestedUsername, // Add login field
-              displayName: requestedUsername,
-              createdAt: null,
-              description: null,
-              id: null
-            };
-
-            // Add null values for all fields
-            allFields.forEach(field => {
-              // Handle GraphQL field syntax like "profileImageURL(width: 300)" or "stream{id}"
-              // Extract the actual field name (everything before the first parenthesis or curly brace)
-              let actualFieldName = field;
-              if (field.includes('(')) {
-                actualFieldName = field.split('(')[0];
-              } else if (field.includes('{')) {
-                actualFieldName = field.split('{')[0];
-              }
-              userInfoObj[actualFieldName] = null;
-            });
-
-            batchUserInfo.push(userInfoObj);
+          if (batch[i]) {
+            batchUserInfo.push(this.buildUserInfo(batch[i], response[i]?.data?.user, allFields));
           }
         }
       } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
         console.error('Error fetching user info batch (GraphQL):', error);
-        // Add null entries for failed batch
-        for (const username of batch) {
-          const userInfoObj = {
-            username: username,
-            createdAt: null,
-            id: null
-          };
-
-          // Add null values for standard fields
-          standardFields.forEach(field => {
-            // Handle GraphQL field syntax like "profileImageURL(width: 300)" or "stream{id}"
-            // Extract the actual field name (everything before the first parenthesis or curly brace)
-            let actualFieldName = field;
-            if (field.includes('(')) {
-              actualFieldName = field.split('(')[0];
-            } else if (field.includes('{')) {
-              actualFieldName = field.split('{')[0];
-            }
-            userInfoObj[actualFieldName] = null;
-          });
-
-          batchUserInfo.push(userInfoObj);
-        }
       }
 
       return batchUserInfo;
@@ -417,6 +611,7 @@ export class ApiManager {
 
     // Wait for all batches to complete and combine results
     const results = await Promise.allSettled(batchPromises);
+    this.throwIfCancelled(results);
     for (const result of results) {
       if (result.status === 'fulfilled' && Array.isArray(result.value)) {
         allUserInfo.push(...result.value);
@@ -426,6 +621,38 @@ export class ApiManager {
     return allUserInfo;
   }
 
+  // User info object from a GetUserBasic user; null userData (user not found or failed to load)
+  // still gives an entry with null data so the user doesn't stay in the pending queue
+  buildUserInfo(requestedUsername, userData, allFields) {
+    const userInfoObj = {
+      username: requestedUsername,
+      login: userData?.login || requestedUsername,
+      displayName: userData?.displayName || requestedUsername,
+      createdAt: userData?.createdAt || null,
+      description: userData?.description || null,
+      id: userData?.id || null
+    };
+
+    allFields.forEach(field => {
+      // Handle GraphQL field syntax like "profileImageURL(width: 300)" or "stream{id}"
+      // Extract the actual field name (everything before the first parenthesis or curly brace)
+      let actualFieldName = field;
+      if (field.includes('(')) {
+        actualFieldName = field.split('(')[0];
+      } else if (field.includes('{')) {
+        actualFieldName = field.split('{')[0];
+      }
+
+      if (!userData) {
+        userInfoObj[actualFieldName] = null;
+      } else if (userData[actualFieldName] !== undefined) {
+        userInfoObj[actualFieldName] = userData[actualFieldName];
+      }
+    });
+
+    return userInfoObj;
+  }
+
   async getUserFollowing(usernames, options = {}, priority = 3) {
     // Get following data for multiple users
     // Options: { limit: number, getAllPages: boolean, maxPages: number }
@@ -655,11 +882,10 @@ export class ApiManager {
     for (let groupStart = 0; groupStart < allBatches.length; groupStart += concurrentBatches) {
       const currentGroup = allBatches.slice(groupStart, groupStart + concurrentBatches);
 
-      // Create promises for concurrent execution - bypass the queue system
+      // Create promises for concurrent execution; the queue sends them as fast as the limiter allows
       const batchPromises = currentGroup.map(async ({ batch, startIndex }) => {
         try {
-          // Make direct API call bypassing the queue system for true concurrency
-          const userInfoData = await this.makeDirectUserInfoCall(batch);
+          const userInfoData = await this.getFollowUserInfo(batch);
 
           if (userInfoData && userInfoData.length > 0) {
             // Create a map for quick lookup
@@ -712,11 +938,22 @@ export class ApiManager {
     console.log(`Finished enriching follows for ${requesterUsername}`);
   }
 
-  async makeDirectUserInfoCall(batch) {
-    // Make direct API call without going through the queue system for true concurrency
-    const extraFields = ['stream{id}'];
-    const standardFields = ['profileImageURL(width: 300)'];
-    const allFields = [...standardFields, ...extraFields];
+  async getFollowUserInfo(batch) {
+    // stream{id} changes too often to be answered from the cache, but the profiles fetched here
+    // are stored in it, and logins another follow batch is already fetching are shared
+    const allFields = ['profileImageURL(width: 300)', 'stream{id}'];
+    const results = await this.userInfoCache.lookup(
+      batch,
+      logins => this.fetchFollowUserInfo(logins, allFields),
+      { variant: allFields.join(','), readCache: false, priority: 3 }
+    );
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    return results.map(result => result.value);
+  }
+
+  async fetchFollowUserInfo(batch, allFields) {
     const extraFieldsString = allFields.length > 0 ? ' ' + allFields.join(' ') : '';
 
     const payload = batch.map(username => ({
@@ -725,86 +962,30 @@ export class ApiManager {
       "query": `query GetUserBasic($login: String!) { user(login: $login) { id login displayName createdAt description${extraFieldsString} } }`
     }));
 
-    try {
-      const response = await fetch('https://gql.twitch.tv/gql', {
+    // Queued like every other request, so the adaptive limiter sees its 429s and slow responses
+    const data = await this.makeRequest(
+      'https://gql.twitch.tv/gql',
+      {
         method: 'POST',
         headers: this.getTwitchHeaders(),
         body: JSON.stringify(payload)
-      });
-
-      // Increment request count for rate limit tracking
-      this.requestCount++;
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const allUserInfo = [];
-
-      // Extract user info from response
-      for (let i = 0; i < data.length; i++) {
-        const userData = data[i]?.data?.user;
-        const requestedUsername = batch[i];
-
-        if (userData && requestedUsername) {
-          const userInfoObj = {
-            username: requestedUsername,
-            login: userData.login || requestedUsername,
-            displayName: userData.displayName || requestedUsername,
-            createdAt: userData.createdAt,
-            description: userData.description || null,
-            id: userData.id
-          };
-
-          // Add all fields (standard + extra)
-          allFields.forEach(field => {
-            let actualFieldName = field;
-            if (field.includes('(')) {
-              actualFieldName = field.split('(')[0];
-            } else if (field.includes('{')) {
-              actualFieldName = field.split('{')[0];
-            }
-
-            if (userData[actualFieldName] !== undefined) {
-              userInfoObj[actualFieldName] = userData[actualFieldName];
-            }
-          });
-
-          allUserInfo.push(userInfoObj);
-        } else if (requestedUsername) {
-          // User not found - add null data
-          const userInfoObj = {
-            username: requestedUsername,
-            login: requestedUsername,
-            displayName: requestedUsername,
-            createdAt: null,
-            description: null,
-            id: null
-          };
+      },
+      3 // Low priority, same as other follow requests
+    );
 
-          allFields.forEach(field => {
-            let actualFieldName = field;
-            if (field.includes('(')) {
-              actualFieldName = field.split('(')[0];
-            } else if (field.includes('{')) {
-              actualFieldName = field.split('{')[0];
-            }
-            userInfoObj[actualFieldName] = null;
-          });
+    const allUserInfo = [];
 
-          allUserInfo.push(userInfoObj);
-        }
+    // Extract user info from response
+    for (let i = 0; i < data.length; i++) {
+      if (batch[i]) {
+        allUserInfo.push(this.buildUserInfo(batch[i], data[i]?.data?.user, allFields));
       }
-
-      return allUserInfo;
-    } catch (error) {
-      console.error('Error in direct user info call:', error);
-      throw error;
     }
+
+    return allUserInfo;
   }
 
-  async getUserInfoViewerCard(channelLogin, usernames, priority = 3) {
+  async getUserInfoViewerCard(channelLogin, usernames, priority = 3, sessionKey = null) {
     // ViewerCard method (fallback when GraphQL is disabled)
     // Batch requests - up to 20 users per request (GraphQL API limit)
     const batchSize = 20;
@@ -843,7 +1024,8 @@ export class ApiManager {
             headers: this.getTwitchHeaders(),
             body: JSON.stringify(payload)
           },
-          priority // Use the passed priority instead of hardcoded 3
+          priority, // Use the passed priority instead of hardcoded 3
+          sessionKey
         );
 
         // Extract user info from response
@@ -868,6 +1050,7 @@ export class ApiManager {
           }
         }
       } catch (error) {
+        if (error instanceof RequestCancelledError) throw error;
         console.error('Error fetching user info batch (ViewerCard):', error);
         // Add null entries for failed batch
         for (const username of batch) {
@@ -929,6 +1112,16 @@ export class ApiManager {
     );
   }
 
+  trackRetry() {
+    const now = Date.now();
+    this.dataStats.totalRetries += 1;
+    this.dataStats.recentRetries.push(now);
+
+    // Clean up old entries (keep only last minute)
+    const oneMinuteAgo = now - 60000;
+    this.dataStats.recentRetries = this.dataStats.recentRetries.filter(timestamp => timestamp > oneMinuteAgo);
+  }
+
   getDataUsageStats() {
     const now = Date.now();
     const oneMinuteAgo = now - 60000;
@@ -949,29 +1142,33 @@ export class ApiManager {
       total: {
         bytesSent: this.dataStats.totalBytesSent,
         bytesReceived: this.dataStats.totalBytesReceived,
-        apiCalls: this.dataStats.totalApiCalls
+        apiCalls: this.dataStats.totalApiCalls,
+        retries: this.dataStats.totalRetries,
+        failedRequests: this.dataStats.totalFailedRequests
       },
       lastMinute: {
         bytesSent: lastMinuteBytesSent,
-        bytesReceived: lastMinuteBytesReceived
+        bytesReceived: lastMinuteBytesReceived,
+        retries: this.dataStats.recentRetries.filter(timestamp => timestamp > oneMinuteAgo).length
       },
-      requestCount: lastMinuteRequests.length
+      requestCount: lastMinuteRequests.length,
+      userInfoCache: this.userInfoCache.getStats()
     };
   }
 
+  // budget is the adaptive per-minute limit (maxRequests is its ceiling); while throttled,
+  // nothing is sent for throttledFor ms
   getRateLimitStatus() {
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
-    const requestsInLastMinute = this.dataStats.recentRequests.filter(
-      req => req.timestamp > oneMinuteAgo
-    ).length;
+    const requestsInLastMinute = this.rateLimiter.getRequestsInWindow();
+    const limiterState = this.rateLimiter.getState();
 
     return {
       requestCount: requestsInLastMinute,
       maxRequests: this.maxRequests,
-      available: this.maxRequests - requestsInLastMinute,
-      queueLength: this.requestQueue.length,
-      percentUsed: (requestsInLastMinute / this.maxRequests) * 100
+      available: this.rateLimiter.getAvailable(),
+      queueLength: this.requestQueue.size,
+      percentUsed: (requestsInLastMinute / limiterState.budget) * 100,
+      ...limiterState
     };
   }
 }
\ No newline at end of file
@@ -1,14 +1,27 @@
 // Background service worker for Viewer Metrics
-import { ApiManager } from './api-manager.js';
+import { ApiManager, RequestCancelledError } from './api-manager.js';
+import { CheckpointStore } from './checkpoint-store.js';
 import { calculateAutoTimeout, calculateAutoRequestInterval } from '../shared/timeout-utils.module.js';
 
 class BackgroundService {
+  static MAX_TRACKED_CHANNELS = 4;
+  // How long a session keeps running without a reachable tracking page, so a
+  // reloaded or reopened page can reattach to it
+  static ORPHANED_SESSION_TIMEOUT = 3 * 60 * 1000;
+  // Alarm that wakes the service worker to checkpoint sessions; Chrome stops idle
+  // workers, and alarms keep firing (30s is the shortest period allowed)
+  static CHECKPOINT_ALARM = 'viewerMetricsCheckpoint';
+  static CHECKPOINT_PERIOD_MINUTES = 0.5;
+  // Checkpoints older than this are from a previous browser run, not a worker restart
+  static MAX_CHECKPOINT_AGE = 10 * 60 * 1000;
+
   constructor() {
     this.apiManager = new ApiManager();
     this.activeChannels = new Map(); // channelName -> { tabId, isActive }
 
     // Background tracking state
     this.trackingSessions = new Map(); // channelName -> { config, intervals, data, tabId }
+    this.checkpointStore = new CheckpointStore();
 
     this.init();
   }
@@ -20,12 +33,26 @@ class BackgroundService {
       return true; // Keep channel open for async response
     });
 
+    // Checkpoint sessions on every alarm; the alarm also restarts a stopped worker
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      if (alarm.name === BackgroundService.CHECKPOINT_ALARM) {
+        await this.ready;
+        this.restartStalledCycles();
+        await this.checkpointAllSessions();
+      }
+    });
+
+    // Resume sessions that were running when the previous worker was stopped
+    this.ready = this.restoreCheckpointedSessions();
   }
 
 
 
   async handleMessage(message, sender, sendResponse) {
     try {
+      // Restored sessions must be in place before any session lookups
+      await this.ready;
+
       switch (message.type) {
         case 'FORCE_START_TRACKING':
           const forceResult = await this.forceStartTracking(message.channelName, sender.tab.id);
@@ -95,6 +122,15 @@ class BackgroundService {
           sendResponse(startBgResult);
           break;
 
+        case 'ATTACH_BACKGROUND_TRACKING':
+          const attachBgResult = this.attachBackgroundTracking(
+            message.channelName,
+            message.config,
+            sender.tab.id
+          );
+          sendResponse(attachBgResult);
+          break;
+
         case 'STOP_BACKGROUND_TRACKING':
           const stopBgResult = await this.stopBackgroundTracking(message.channelName);
           sendResponse(stopBgResult);
@@ -110,6 +146,10 @@ class BackgroundService {
           sendResponse(resumeBgResult);
           break;
 
+        case 'GET_TRACKING_SESSIONS':
+          sendResponse({ success: true, sessions: this.getTrackingSessions() });
+          break;
+
         case 'GET_TRACKING_DATA':
           const trackingData = this.getTrackingData(message.channelName);
           sendResponse({ success: true, data: trackingData });
@@ -124,17 +164,18 @@ class BackgroundService {
           console.log('Force stopping all tracking sessions');
           try {
             // Stop all tracking sessions (both old and new style)
+            // (stopping each one also drops its checkpoint so it is not resumed later)
             if (this.trackingSessions) {
-              this.trackingSessions.clear();
+              for (const channelName of Array.from(this.trackingSessions.keys())) {
+                await this.stopBackgroundTracking(channelName);
+              }
             }
             if (this.activeChannels) {
               this.activeChannels.clear();
             }
 
-            // Clear API manager queues and state
-            if (this.apiManager && this.apiManager.clearQueue) {
-              this.apiManager.clearQueue();
-            }
+            // Cancel anything still queued or in flight
+            this.apiManager.clearQueue('all tracking stopped');
 
             // Stop all intervals - use 'this' instead of 'this.backgroundService'
             this.clearAllIntervals();
@@ -196,21 +237,20 @@ class BackgroundService {
   // Background Tracking Methods
   async startBackgroundTracking(channelName, config, tabId) {
     try {
-      // Stop ALL existing tracking sessions to prevent conflicts
-      const existingSessions = Array.from(this.trackingSessions.keys());
-      for (const existingChannel of existingSessions) {
-        console.log(`Stopping existing background tracking for ${existingChannel} before starting ${channelName}`);
-        await this.stopBackgroundTracking(existingChannel);
-
-        // Notify the tab that tracking was stopped
-        const existingSession = this.trackingSessions.get(existingChannel);
-        if (existingSession && existingSession.tabId !== tabId) {
+      // Restart an existing session for the same channel; other channels keep running
+      const existingSession = this.trackingSessions.get(channelName);
+      if (existingSession) {
+        console.log(`Restarting background tracking for ${channelName}`);
+        await this.stopBackgroundTracking(channelName);
+
+        // Notify the tab that tracking was taken over
+        if (existingSession.tabId !== tabId) {
           try {
             await chrome.tabs.sendMessage(existingSession.tabId, {
               type: 'TRACKING_STOPPED_BY_OTHER_TAB',
-              stoppedChannel: existingChannel,
+              stoppedChannel: channelName,
               newChannel: channelName,
-              reason: 'New tracking session started'
+              reason: 'Channel is now tracked by another tab'
             });
           } catch (error) {
             console.log('Could not notify other tab:', error);
@@ -218,6 +258,15 @@ class BackgroundService {
         }
       }
 
+      // All sessions share one ApiManager, so cap how many run at once
+      const maxTrackedChannels = config.maxTrackedChannels || BackgroundService.MAX_TRACKED_CHANNELS;
+      if (this.trackingSessions.size >= maxTrackedChannels) {
+        return {
+          success: false,
+          error: `Already tracking ${this.trackingSessions.size} channels (limit ${maxTrackedChannels}). Stop one before adding another.`
+        };
+      }
+
       console.log(`Starting background tracking for ${channelName}`);
 
       // Initialize tracking session
@@ -234,47 +283,19 @@ class BackgroundService {
         ...config
       };
 
-      const session = {
-        channelName,
-        tabId,
-        config: sessionConfig,
-        intervals: new Map(),
-        data: {
-          viewers: new Map(),
-          history: [],
-          metadata: {
-            lastUpdated: null,
-            totalRequests: 0,
-            sessionStart: Date.now(),
-            errors: [],
-            viewerCount: 0,
-            authenticatedCount: 0,
-            viewerListConcurrentCalls: sessionConfig.viewerListConcurrentCallsInitial,
-            recentNewUserCounts: []
-          },
-          pendingUserInfo: new Set()
-        },
-        // Request locks to prevent concurrent requests
-        requestLocks: {
-          viewerList: false,
-          viewerCount: false,
-          userInfo: false
-        },
-        // Communication failure tracking
-        communicationFailures: {
-          count: 0,
-          firstFailure: null,
-          lastFailure: null
-        },
-        isActive: true,
-        paused: false
-      };
-
+      const session = this.createSession(channelName, tabId, sessionConfig);
       this.trackingSessions.set(channelName, session);
 
+      // Retry settings are global; the shared ApiManager follows the latest session config
+      this.apiManager.updateConfig(sessionConfig);
+
       // Start periodic operations
       await this.setupBackgroundIntervals(session);
 
+      // Checkpoint right away so a worker restart can resume the session
+      await this.checkpointSession(session);
+      await this.updateCheckpointAlarm();
+
       return { success: true };
     } catch (error) {
       console.error('Error starting background tracking:', error);
@@ -282,6 +303,157 @@ class BackgroundService {
     }
   }
 
+  createSession(channelName, tabId, sessionConfig) {
+    return {
+      channelName,
+      tabId,
+      config: sessionConfig,
+      intervals: new Map(),
+      data: {
+        viewers: new Map(),
+        history: [],
+        metadata: {
+          lastUpdated: null,
+          totalRequests: 0,
+          sessionStart: Date.now(),
+          errors: [],
+          viewerCount: 0,
+          authenticatedCount: 0,
+          viewerListConcurrentCalls: sessionConfig.viewerListConcurrentCallsInitial,
+          recentNewUserCounts: [],
+          trackingGaps: [] // { start, end } periods where the worker was stopped
+        },
+        pendingUserInfo: new Set()
+      },
+      // Request locks to prevent concurrent requests
+      requestLocks: {
+        viewerList: false,
+        viewerCount: false,
+        userInfo: false
+      },
+      // Communication failure tracking
+      communicationFailures: {
+        count: 0,
+        firstFailure: null,
+        lastFailure: null
+      },
+      isActive: true,
+      paused: false,
+      lastRuns: {} // Fetch cycle -> when it last ran, for restartStalledCycles()
+    };
+  }
+
+  // Session Checkpoints (survive service worker shutdown)
+  async checkpointSession(session) {
+    return this.checkpointStore.saveCheckpoint({
+      channelName: session.channelName,
+      tabId: session.tabId,
+      config: session.config,
+      paused: session.paused,
+      communicationFailures: session.communicationFailures,
+      viewers: Array.from(session.data.viewers.values()),
+      history: session.data.history,
+      metadata: session.data.metadata,
+      pendingUserInfo: Array.from(session.data.pendingUserInfo)
+    });
+  }
+
+  async checkpointAllSessions() {
+    for (const session of this.trackingSessions.values()) {
+      await this.checkpointSession(session);
+    }
+    await this.updateCheckpointAlarm();
+  }
+
+  // Keep the alarm only while there is something to checkpoint
+  async updateCheckpointAlarm() {
+    try {
+      if (this.trackingSessions.size === 0) {
+        await chrome.alarms.clear(BackgroundService.CHECKPOINT_ALARM);
+        return;
+      }
+
+      const existingAlarm = await chrome.alarms.get(BackgroundService.CHECKPOINT_ALARM);
+      if (!existingAlarm) {
+        await chrome.alarms.create(BackgroundService.CHECKPOINT_ALARM, {
+          periodInMinutes: BackgroundService.CHECKPOINT_PERIOD_MINUTES
+        });
+      }
+    } catch (error) {
+      console.error('Error updating checkpoint alarm:', error);
+    }
+  }
+
+  async restoreCheckpointedSessions() {
+    try {
+      const checkpoints = await this.checkpointStore.getCheckpoints();
+      const now = Date.now();
+
+      for (const checkpoint of checkpoints) {
+        if (now - checkpoint.savedAt > BackgroundService.MAX_CHECKPOINT_AGE) {
+          console.log(`Discarding stale checkpoint for ${checkpoint.channelName}`);
+          await this.checkpointStore.deleteCheckpoint(checkpoint.channelName);
+          continue;
+        }
+
+        const session = this.createSession(checkpoint.channelName, checkpoint.tabId, checkpoint.config);
+        this.apiManager.updateConfig(checkpoint.config);
+        session.paused = checkpoint.paused;
+        session.communicationFailures = checkpoint.communicationFailures;
+        session.data.viewers = new Map(checkpoint.viewers.map(viewer => [viewer.username, viewer]));
+        session.data.history = checkpoint.history;
+        session.data.metadata = {
+          ...session.data.metadata,
+          ...checkpoint.metadata
+        };
+        session.data.pendingUserInfo = new Set(checkpoint.pendingUserInfo);
+
+        // Nothing was collected between the last sign of life and now
+        const gap = {
+          start: Math.max(checkpoint.savedAt, checkpoint.metadata.lastUpdated || 0),
+          end: now
+        };
+        session.data.metadata.trackingGaps = [...(session.data.metadata.trackingGaps || []), gap];
+
+        console.log(`Resuming background tracking for ${checkpoint.channelName} after a ${Math.round((gap.end - gap.start) / 1000)}s gap`);
+
+        this.trackingSessions.set(session.channelName, session);
+        await this.setupBackgroundIntervals(session);
+
+        this.sendTrackingUpdate(session, {
+          type: 'TRACKING_GAP',
+          gap
+        });
+      }
+
+      await this.updateCheckpointAlarm();
+    } catch (error) {
+      console.error('Error restoring checkpointed sessions:', error);
+    }
+  }
+
+  // Hand a running session over to a reloaded or reopened tracking page
+  attachBackgroundTracking(channelName, config, tabId) {
+    const session = this.trackingSessions.get(channelName);
+    if (!session) {
+      return { success: false, error: 'No active tracking session' };
+    }
+
+    console.log(`Reattaching background tracking for ${channelName} to tab ${tabId}`);
+    session.tabId = tabId;
+    session.communicationFailures = {
+      count: 0,
+      firstFailure: null,
+      lastFailure: null
+    };
+
+    if (config) {
+      this.updateTrackingConfig(channelName, config);
+    }
+
+    return { success: true, sessionStart: session.data.metadata.sessionStart };
+  }
+
   async pauseBackgroundTracking(channelName) {
     try {
       const session = this.trackingSessions.get(channelName);
@@ -291,6 +463,7 @@ class BackgroundService {
 
       console.log(`Pausing background tracking for ${channelName}`);
       session.paused = true;
+      this.apiManager.cancelSession(channelName, 'tracking paused');
 
       return { success: true };
     } catch (error) {
@@ -334,8 +507,13 @@ class BackgroundService {
         clearInterval(intervalId);
       }
 
+      // Drop the session's queued and in-flight requests
+      this.apiManager.cancelSession(channelName, 'tracking stopped');
+
       // Remove session
       this.trackingSessions.delete(channelName);
+      await this.checkpointStore.deleteCheckpoint(channelName);
+      await this.updateCheckpointAlarm();
 
       return { success: true };
     } catch (error) {
@@ -351,6 +529,10 @@ class BackgroundService {
       // Calculate effective request interval based on current authenticated user count
       const effectiveRequestInterval = this.calculateEffectiveRequestInterval(session);
 
+      // Periods for the stall check count from here
+      const now = Date.now();
+      session.lastRuns = { viewerList: now, viewerCount: now, userInfo: now };
+
       // Viewer list fetching
       session.intervals.set('viewerList', setInterval(async () => {
         await this.backgroundFetchViewerList(session);
@@ -394,7 +576,39 @@ class BackgroundService {
     }
   }
 
+  // The fetch cycles run on setInterval, which stops with the worker and can be held back while
+  // Chrome idles it. The checkpoint alarm keeps firing regardless, so on every alarm this rebuilds
+  // missing intervals and runs any fetch that missed two of its periods
+  restartStalledCycles() {
+    const now = Date.now();
+
+    for (const session of this.trackingSessions.values()) {
+      if (session.paused) continue;
+
+      if (session.intervals.size === 0) {
+        console.log(`Restarting background intervals for ${session.channelName}`);
+        this.setupBackgroundIntervals(session);
+        continue; // Setup runs the first fetches itself
+      }
+
+      const cycles = [
+        ['viewerList', this.calculateEffectiveRequestInterval(session), () => this.backgroundFetchViewerList(session)],
+        ['viewerCount', 60000, () => this.backgroundFetchViewerCount(session)],
+        ['userInfo', session.config.refreshInterval, () => this.backgroundFetchUserInfo(session)]
+      ];
+
+      for (const [name, interval, run] of cycles) {
+        if (now - (session.lastRuns[name] || 0) > interval * 2) {
+          console.log(`Background ${name} cycle for ${session.channelName} stalled, running it from the alarm`);
+          run();
+        }
+      }
+    }
+  }
+
   async backgroundFetchViewerList(session) {
+    session.lastRuns.viewerList = Date.now();
+
     // Check if paused
     if (session.paused) {
       return;
@@ -412,8 +626,8 @@ class BackgroundService {
       const { channelName } = session;
 
       // Adaptive concurrent calls: start high, reduce once tracking stabilizes
-      const concurrentCalls = this.calculateOptimalViewerListConcurrency(session);
-      const viewerData = await this.apiManager.getViewerListParallel(channelName, concurrentCalls);
+      const concurrentCalls = this.getSharedBudget(this.calculateOptimalViewerListConcurrency(session));
+      const viewerData = await this.apiManager.getViewerListParallel(channelName, concurrentCalls, channelName);
 
       if (viewerData && viewerData.viewers) {
         const timestamp = Date.now();
@@ -422,9 +636,12 @@ class BackgroundService {
 
         // Process current viewer list
         for (const username of viewerData.viewers) {
+          const role = viewerData.roles?.[username] || 'viewer';
+
           if (!session.data.viewers.has(username)) {
             session.data.viewers.set(username, {
               username,
+              role,
               firstSeen: timestamp,
               lastSeen: timestamp,
               timeInStream: 0,
@@ -433,9 +650,10 @@ class BackgroundService {
             newUsers.push(username);
             session.data.pendingUserInfo.add(username);
           } else {
-            // Update existing viewer
+            // Update existing viewer (roles can change mid-stream, e.g. a new moderator)
             const viewer = session.data.viewers.get(username);
             viewer.lastSeen = timestamp;
+            viewer.role = role;
           }
         }
 
@@ -464,6 +682,9 @@ class BackgroundService {
 
       }
     } catch (error) {
+      // Stopped or paused while the request was out
+      if (error instanceof RequestCancelledError) return;
+
       console.error('Background viewer list fetch error:', error);
       session.data.metadata.errors.push({
         timestamp: Date.now(),
@@ -477,6 +698,8 @@ class BackgroundService {
   }
 
   async backgroundFetchViewerCount(session) {
+    session.lastRuns.viewerCount = Date.now();
+
     // Check if paused
     if (session.paused) {
       return;
@@ -492,7 +715,7 @@ class BackgroundService {
       session.requestLocks.viewerCount = true;
 
       const { channelName } = session;
-      const count = await this.apiManager.getViewerCount(channelName);
+      const count = await this.apiManager.getViewerCount(channelName, channelName);
 
       const timestamp = Date.now();
       session.data.metadata.viewerCount = count;
@@ -513,6 +736,8 @@ class BackgroundService {
       });
 
     } catch (error) {
+      if (error instanceof RequestCancelledError) return;
+
       console.error('Background viewer count fetch error:', error);
       session.data.metadata.errors.push({
         timestamp: Date.now(),
@@ -526,6 +751,8 @@ class BackgroundService {
   }
 
   async backgroundFetchUserInfo(session) {
+    session.lastRuns.userInfo = Date.now();
+
     // Check if paused
     if (session.paused) {
       return;
@@ -550,12 +777,16 @@ class BackgroundService {
       const pendingCount = pendingArray.length;
 
       // Always use concurrent processing for maximum throughput
-      const concurrentBatches = 50; // Process 50 batches (1000 users) concurrently
+      // 50 batches (1000 users) at once, split between all tracked channels
+      const concurrentBatches = this.getSharedBudget(50);
 
       // Process all pending users concurrently
       await this.processConcurrentUserInfo(session, pendingArray, concurrentBatches);
 
     } catch (error) {
+      // Pending users stay pending for when tracking resumes
+      if (error instanceof RequestCancelledError) return;
+
       console.error('Background user info fetch error:', error);
 
       // Still remove some batch from pending even if there was an error
@@ -597,18 +828,32 @@ class BackgroundService {
     // Process batches in chunks of maxConcurrentBatches to avoid overwhelming the system
     const processedUsernames = new Set();
     const allUserInfo = [];
+    let cancellation = null;
 
     for (let chunkStart = 0; chunkStart < allBatches.length; chunkStart += maxConcurrentBatches) {
       const batchChunk = allBatches.slice(chunkStart, chunkStart + maxConcurrentBatches);
 
       // Process this chunk of batches concurrently
       const userInfoPromises = batchChunk.map(batch =>
-        this.apiManager.getUserInfo(channelName, batch)
+        this.apiManager.getUserInfo(channelName, batch, 3, channelName)
       );
 
       try {
         const results = await Promise.allSettled(userInfoPromises);
 
+        // Cancelled batches must not become null entries (that would leave holes in creation dates),
+        // but batches of this chunk that did complete are kept
+        const cancelled = results.find(result => result.status === 'rejected' && result.reason instanceof RequestCancelledError);
+        if (cancelled) {
+          results.forEach((result, index) => {
+            if (result.status === 'fulfilled' && result.value?.length > 0) {
+              allUserInfo.push(...result.value);
+              batchChunk[index].forEach(username => processedUsernames.add(username));
+            }
+          });
+          throw cancelled.reason;
+        }
+
         // Process results from this chunk
         results.forEach((result, index) => {
           const batch = batchChunk[index];
@@ -637,6 +882,10 @@ class BackgroundService {
           batch.forEach(username => processedUsernames.add(username));
         });
       } catch (error) {
+        if (error instanceof RequestCancelledError) {
+          cancellation = error;
+          break;
+        }
         console.error('Concurrent user info processing error:', error);
 
         // On error, add null entries for all usernames in all batches of this chunk
@@ -657,7 +906,7 @@ class BackgroundService {
       }
     }
 
-    // Update viewers with all collected user info
+    // Update viewers with all collected user info (after a cancellation too, so earlier chunks aren't lost)
     if (allUserInfo.length > 0) {
       await this.updateViewersWithUserInfo(session, allUserInfo);
     }
@@ -666,6 +915,15 @@ class BackgroundService {
     for (const username of processedUsernames) {
       session.data.pendingUserInfo.delete(username);
     }
+
+    // Users not looked up yet stay pending for when tracking resumes
+    if (cancellation) throw cancellation;
+  }
+
+  // Split a per-channel request budget between all active sessions sharing the ApiManager
+  getSharedBudget(budget) {
+    const activeSessions = Array.from(this.trackingSessions.values()).filter(s => !s.paused).length;
+    return Math.max(1, Math.floor(budget / Math.max(1, activeSessions)));
   }
 
   calculateOptimalViewerListConcurrency(session) {
@@ -735,7 +993,10 @@ class BackgroundService {
         const viewer = session.data.viewers.get(info.username);
         viewer.createdAt = info.createdAt;
         viewer.id = info.id;
-        // Add any other fields from getUserInfo
+        // Profile fields too, so a page attaching later gets the bio and avatar signals
+        viewer.displayName = info.displayName || null;
+        viewer.description = info.description || null;
+        viewer.profileImageURL = info.profileImageURL || null;
       }
     }
 
@@ -931,9 +1192,8 @@ class BackgroundService {
 
         // Check if we should stop tracking due to prolonged communication failure
         const timeSinceFirstFailure = now - session.communicationFailures.firstFailure;
-        const failureThreshold = 30 * 1000; // 30 seconds
 
-        if (timeSinceFirstFailure >= failureThreshold) {
+        if (timeSinceFirstFailure >= BackgroundService.ORPHANED_SESSION_TIMEOUT) {
           console.log(`Tab ${session.tabId} unreachable for ${timeSinceFirstFailure / 1000}s, stopping background tracking for ${session.channelName}`);
 
           // Stop tracking for this session asynchronously to avoid blocking current operation
@@ -951,9 +1211,8 @@ class BackgroundService {
       if (session.communicationFailures.firstFailure) {
         const now = Date.now();
         const timeSinceFirstFailure = now - session.communicationFailures.firstFailure;
-        const failureThreshold = 30 * 1000; // 30 seconds
 
-        if (timeSinceFirstFailure >= failureThreshold) {
+        if (timeSinceFirstFailure >= BackgroundService.ORPHANED_SESSION_TIMEOUT) {
           console.log(`Session health check: Tab ${session.tabId} has been unreachable for ${timeSinceFirstFailure / 1000}s, stopping background tracking for ${session.channelName}`);
 
           // Stop tracking for this session
@@ -962,16 +1221,19 @@ class BackgroundService {
         }
       }
 
-      // Try to verify the tab still exists
+      // Try to verify the tab still exists; a missing tab starts the orphan timeout
+      // instead of stopping right away so a reopened page can reattach
+      let tabExists = false;
       try {
-        const tab = await chrome.tabs.get(session.tabId);
-        if (!tab) {
-          console.log(`Session health check: Tab ${session.tabId} no longer exists, stopping background tracking for ${session.channelName}`);
-          await this.stopBackgroundTracking(session.channelName);
-        }
+        tabExists = !!(await chrome.tabs.get(session.tabId));
       } catch (tabError) {
-        console.log(`Session health check: Tab ${session.tabId} is not accessible, stopping background tracking for ${session.channelName}`);
-        await this.stopBackgroundTracking(session.channelName);
+        tabExists = false;
+      }
+
+      if (!tabExists && !session.communicationFailures.firstFailure) {
+        console.log(`Session health check: Tab ${session.tabId} no longer exists, keeping ${session.channelName} running for reattach`);
+        session.communicationFailures.firstFailure = Date.now();
+        session.communicationFailures.lastFailure = Date.now();
       }
 
     } catch (error) {
@@ -979,6 +1241,18 @@ class BackgroundService {
     }
   }
 
+  getTrackingSessions() {
+    return Array.from(this.trackingSessions.values()).map(session => ({
+      channelName: session.channelName,
+      tabId: session.tabId,
+      paused: session.paused,
+      orphaned: !!session.communicationFailures.firstFailure,
+      sessionStart: session.data.metadata.sessionStart,
+      viewerCount: session.data.metadata.viewerCount,
+      authenticatedCount: session.data.metadata.authenticatedCount
+    }));
+  }
+
   getTrackingData(channelName) {
     const session = this.trackingSessions.get(channelName);
     if (!session) {
@@ -1008,6 +1282,7 @@ class BackgroundService {
 
       // Update config
       session.config = { ...session.config, ...newConfig };
+      this.apiManager.updateConfig(session.config);
 
       // Calculate effective request interval after config update
       const effectiveRequestInterval = this.calculateEffectiveRequestInterval(session);
@@ -0,0 +1,51 @@
+// Checkpoint Store - IndexedDB copy of the background tracking sessions
+// Chrome can stop the service worker at any time, dropping everything held in memory,
+// so sessions are checkpointed here and restored on the next worker start
+import '../shared/idb-database.js'; // Defines globalThis.IdbDatabase
+
+export class CheckpointStore {
+  static DB_NAME = 'viewerMetricsBackground';
+  static DB_VERSION = 1;
+  static STORE_CHECKPOINTS = 'checkpoints';
+
+  constructor() {
+    this.db = new IdbDatabase(CheckpointStore.DB_NAME, CheckpointStore.DB_VERSION, db => {
+      if (!db.objectStoreNames.contains(CheckpointStore.STORE_CHECKPOINTS)) {
+        db.createObjectStore(CheckpointStore.STORE_CHECKPOINTS, { keyPath: 'channelName' });
+      }
+    });
+  }
+
+  run(mode, operation) {
+    return this.db.run(CheckpointStore.STORE_CHECKPOINTS, mode, operation);
+  }
+
+  async saveCheckpoint(checkpoint) {
+    try {
+      await this.run('readwrite', store => store.put({ ...checkpoint, savedAt: Date.now() }));
+      return true;
+    } catch (error) {
+      console.error('Error saving session checkpoint:', error);
+      return false;
+    }
+  }
+
+  async getCheckpoints() {
+    try {
+      return await this.run('readonly', store => store.getAll()) || [];
+    } catch (error) {
+      console.error('Error loading session checkpoints:', error);
+      return [];
+    }
+  }
+
+  async deleteCheckpoint(channelName) {
+    try {
+      await this.run('readwrite', store => store.delete(channelName));
+      return true;
+    } catch (error) {
+      console.error('Error deleting session checkpoint:', error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+// Adaptive Rate Limiter - request budget for the shared ApiManager, adjusted AIMD style
+// The budget (requests per minute) grows by a fixed step after every healthy batch and is cut
+// multiplicatively when the server throttles us (429) or responses slow down. A 429 also pauses
+// all requests until its Retry-After has passed
+export class AdaptiveRateLimiter {
+  static WINDOW = 60000; // Budget is per rolling minute
+  static ADDITIVE_STEP = 100; // Budget added after a healthy batch
+  static THROTTLE_DECREASE = 0.5; // Budget kept after a 429
+  static SLOW_DECREASE = 0.8; // Budget kept while responses are slow
+  static DECREASE_COOLDOWN = 2000; // A burst of failures from one batch only cuts the budget once
+  static SLOW_RESPONSE_MS = 3000; // Average response time that counts as the server struggling
+  static LATENCY_SMOOTHING = 0.2; // Weight of the newest response in the average
+  static DEFAULT_PAUSE_MS = 5000; // Pause after a 429 without a Retry-After header
+
+  constructor(maxBudget = 5000, minBudget = 60) {
+    this.maxBudget = maxBudget;
+    this.minBudget = minBudget;
+    this.budget = maxBudget;
+    this.attempts = []; // Timestamps of requests sent in the last minute
+    this.throttledUntil = 0;
+    this.lastDecrease = 0;
+    this.averageLatency = null;
+    this.throttleCount = 0;
+    this.lastDecreaseReason = null;
+  }
+
+  recordAttempt() {
+    this.attempts.push(Date.now());
+  }
+
+  getRequestsInWindow() {
+    const windowStart = Date.now() - AdaptiveRateLimiter.WINDOW;
+    this.attempts = this.attempts.filter(timestamp => timestamp > windowStart);
+    return this.attempts.length;
+  }
+
+  // Requests that can still be sent now (0 while paused)
+  getAvailable() {
+    if (this.getPauseRemaining() > 0) return 0;
+    return Math.max(0, this.budget - this.getRequestsInWindow());
+  }
+
+  getPauseRemaining() {
+    return Math.max(0, this.throttledUntil - Date.now());
+  }
+
+  // Time between sending a request and getting its response (successful or 5xx)
+  recordResponse(latency) {
+    const smoothing = AdaptiveRateLimiter.LATENCY_SMOOTHING;
+    this.averageLatency = this.averageLatency === null
+      ? latency
+      : this.averageLatency * (1 - smoothing) + latency * smoothing;
+
+    if (this.averageLatency > AdaptiveRateLimiter.SLOW_RESPONSE_MS) {
+      this.decrease(AdaptiveRateLimiter.SLOW_DECREASE, 'slow responses');
+    }
+  }
+
+  // retryAfter: ms from the Retry-After header, null if there was none
+  recordThrottle(retryAfter = null) {
+    this.throttleCount++;
+    const pause = retryAfter !== null ? retryAfter : AdaptiveRateLimiter.DEFAULT_PAUSE_MS;
+    this.throttledUntil = Math.max(this.throttledUntil, Date.now() + pause);
+    this.decrease(AdaptiveRateLimiter.THROTTLE_DECREASE, 'rate limited (429)');
+  }
+
+  // Additive increase once a batch went through without throttling or slow responses
+  recordBatchComplete() {
+    const now = Date.now();
+    if (now - this.lastDecrease < AdaptiveRateLimiter.DECREASE_COOLDOWN || now < this.throttledUntil) return;
+    if (this.averageLatency !== null && this.averageLatency > AdaptiveRateLimiter.SLOW_RESPONSE_MS) return;
+
+    this.budget = Math.min(this.maxBudget, this.budget + AdaptiveRateLimiter.ADDITIVE_STEP);
+  }
+
+  decrease(factor, reason) {
+    const now = Date.now();
+    if (now - this.lastDecrease < AdaptiveRateLimiter.DECREASE_COOLDOWN) return;
+
+    this.budget = Math.max(this.minBudget, Math.floor(this.budget * factor));
+    this.lastDecrease = now;
+    this.lastDecreaseReason = reason;
+    console.warn(`Rate limit budget reduced to ${this.budget}/min (${reason})`);
+  }
+
+  getState() {
+    const pauseRemaining = this.getPauseRemaining();
+    return {
+      budget: this.budget,
+      maxBudget: this.maxBudget,
+      throttled: pauseRemaining > 0,
+      throttledFor: pauseRemaining,
+      averageLatency: this.averageLatency !== null ? Math.round(this.averageLatency) : null,
+      throttleCount: this.throttleCount,
+      lastDecreaseReason: this.lastDecreaseReason
+    };
+  }
+}
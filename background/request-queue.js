@@ -0,0 +1,122 @@
+// Request Queue - priority queue for the ApiManager
+// Binary min-heap ordered by priority (lower number first), then round, then arrival, so pushes
+// and pops are O(log n) and requests of one priority keep FIFO order. Each session (channel) has
+// its own round counter per priority: sessions with the same priority take turns instead of the
+// one with the most queued work going first. Untagged requests share a single lane. A lane is
+// forgotten once its last request leaves the queue, so channels that come and go don't pile up
+export class RequestQueue {
+  constructor() {
+    this.heap = []; // { priority, round, sequence, lane, request }
+    this.sequence = 0;
+    this.sessionRounds = new Map(); // 'priority|sessionKey' -> round of the lane's last queued request
+    this.laneSizes = new Map(); // 'priority|sessionKey' -> number of the lane's requests in the queue
+    this.currentRounds = new Map(); // priority -> round of the last request taken off the queue
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(request) {
+    const { priority } = request;
+    const lane = `${priority}|${request.sessionKey ?? ''}`;
+
+    // A lane that was idle joins at the current round instead of jumping ahead of busy ones
+    const round = Math.max((this.sessionRounds.get(lane) || 0) + 1, this.currentRounds.get(priority) || 0);
+    this.sessionRounds.set(lane, round);
+    this.laneSizes.set(lane, (this.laneSizes.get(lane) || 0) + 1);
+
+    this.heap.push({ priority, round, sequence: this.sequence++, lane, request });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  pop() {
+    if (this.heap.length === 0) return null;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+
+    this.currentRounds.set(top.priority, top.round);
+    this.leaveLane(top.lane);
+    return top.request;
+  }
+
+  leaveLane(lane) {
+    const size = (this.laneSizes.get(lane) || 0) - 1;
+    if (size > 0) {
+      this.laneSizes.set(lane, size);
+    } else {
+      this.laneSizes.delete(lane);
+      this.sessionRounds.delete(lane);
+    }
+  }
+
+  peek() {
+    return this.heap[0]?.request || null;
+  }
+
+  // Take out every request matching predicate (e.g. one session's), returning them
+  removeWhere(predicate) {
+    const removed = [];
+    const kept = [];
+    for (const entry of this.heap) {
+      (predicate(entry.request) ? removed : kept).push(entry);
+    }
+    if (removed.length === 0) return [];
+
+    this.heap = kept;
+    removed.forEach(entry => this.leaveLane(entry.lane));
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+    return removed.map(entry => entry.request);
+  }
+
+  clear() {
+    const requests = this.heap.map(entry => entry.request);
+    this.heap = [];
+    this.sessionRounds.clear();
+    this.laneSizes.clear();
+    this.currentRounds.clear();
+    return requests;
+  }
+
+  less(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    return (a.priority - b.priority || a.round - b.round || a.sequence - b.sequence) < 0;
+  }
+
+  swap(i, j) {
+    [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (!this.less(index, parent)) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.less(left, smallest)) smallest = left;
+      if (right < length && this.less(right, smallest)) smallest = right;
+      if (smallest === index) break;
+
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+}
@@ -0,0 +1,190 @@
+// User Info Cache - GetUserBasic results shared by everything in the background
+// Creation dates never change, so accounts already looked up by an earlier session, the viewer
+// panel or the viewer page are answered from memory or IndexedDB instead of asking Twitch again.
+// Lookups for a login that is already being fetched wait for that fetch instead of sending their own
+import '../shared/idb-database.js'; // Defines globalThis.IdbDatabase
+
+export class UserInfoCache {
+  static DB_NAME = 'viewerMetricsUserCache';
+  static DB_VERSION = 1;
+  static STORE_USERS = 'users';
+  static TTL = 24 * 60 * 60 * 1000; // Names, bios and avatars can change, creation dates can't
+  static NOT_FOUND_TTL = 60 * 60 * 1000; // Missing accounts may only be suspended, so ask again sooner
+  static MAX_MEMORY_ENTRIES = 50000; // Older entries are still in IndexedDB
+  // Only these fields are stored; anything else (e.g. stream{id}) goes stale too quickly
+  static FIELDS = ['id', 'login', 'displayName', 'createdAt', 'description', 'profileImageURL'];
+
+  constructor() {
+    this.db = new IdbDatabase(UserInfoCache.DB_NAME, UserInfoCache.DB_VERSION, db => {
+      if (!db.objectStoreNames.contains(UserInfoCache.STORE_USERS)) {
+        const store = db.createObjectStore(UserInfoCache.STORE_USERS, { keyPath: 'login' });
+        store.createIndex('fetchedAt', 'fetchedAt');
+      }
+    });
+    this.entries = new Map(); // login -> { login, info, fetchedAt }
+    this.inFlight = new Map(); // 'variant|login' -> { promise of the login's user info, priority }
+    this.stats = { hits: 0, misses: 0, deduplicated: 0 };
+  }
+
+  isFresh(entry) {
+    const ttl = entry.info.id ? UserInfoCache.TTL : UserInfoCache.NOT_FOUND_TTL;
+    return Date.now() - entry.fetchedAt < ttl;
+  }
+
+  remember(entry) {
+    this.entries.delete(entry.login); // Re-insert so the Map stays in age order
+    this.entries.set(entry.login, entry);
+
+    if (this.entries.size > UserInfoCache.MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Fresh user info for the given logins, from memory first and IndexedDB for the rest
+  async getMany(logins) {
+    const found = new Map();
+    const missing = [];
+
+    for (const login of logins) {
+      const entry = this.entries.get(login);
+      if (entry && this.isFresh(entry)) {
+        found.set(login, entry.info);
+      } else {
+        missing.push(login);
+      }
+    }
+    if (missing.length === 0) return found;
+
+    try {
+      const stored = [];
+      await this.db.run(UserInfoCache.STORE_USERS, 'readonly', store => {
+        missing.forEach(login => {
+          const request = store.get(login);
+          request.onsuccess = () => {
+            if (request.result) stored.push(request.result);
+          };
+        });
+      });
+
+      stored.filter(entry => this.isFresh(entry)).forEach(entry => {
+        this.remember(entry);
+        found.set(entry.login, entry.info);
+      });
+    } catch (error) {
+      console.error('Error reading user info cache:', error);
+    }
+    return found;
+  }
+
+  async setMany(infos) {
+    const fetchedAt = Date.now();
+    const entries = infos.map(info => {
+      const cached = {};
+      UserInfoCache.FIELDS.forEach(field => {
+        cached[field] = info[field] ?? null;
+      });
+      return { login: String(info.username).toLowerCase(), info: cached, fetchedAt };
+    });
+    entries.forEach(entry => this.remember(entry));
+
+    try {
+      await this.db.run(UserInfoCache.STORE_USERS, 'readwrite', store => {
+        entries.forEach(entry => store.put(entry));
+      });
+    } catch (error) {
+      console.error('Error writing user info cache:', error);
+    }
+  }
+
+  // Drop stored entries that have expired
+  async prune() {
+    try {
+      const range = IDBKeyRange.upperBound(Date.now() - UserInfoCache.TTL);
+      await this.db.run(UserInfoCache.STORE_USERS, 'readwrite', store => {
+        const request = store.index('fetchedAt').openCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error pruning user info cache:', error);
+    }
+  }
+
+  // Resolve usernames from the cache or a fetch already in flight; the rest go to fetchMissing(logins)
+  // in one call, which resolves with user info objects (keyed by username) for the ones it could get.
+  // variant separates lookups asking for different fields, readCache: false always fetches.
+  // A fetch is only shared with lookups of the same or lower priority: a more urgent lookup (the
+  // viewer panel) sends its own request instead of waiting behind a queued background batch
+  // Returns Promise.allSettled-style results in the order of usernames
+  async lookup(usernames, fetchMissing, { variant = '', readCache = true, priority = 3 } = {}) {
+    const logins = usernames.map(username => String(username).toLowerCase());
+    const cached = readCache ? await this.getMany(logins) : new Map();
+    const pending = new Map(); // login -> promise of its user info
+    const toFetch = [];
+
+    for (const login of new Set(logins)) {
+      if (cached.has(login)) {
+        this.stats.hits++;
+        continue;
+      }
+
+      const inFlight = this.inFlight.get(`${variant}|${login}`);
+      if (inFlight && inFlight.priority <= priority) {
+        this.stats.deduplicated++;
+        pending.set(login, inFlight.promise);
+      } else {
+        this.stats.misses++;
+        toFetch.push(login);
+      }
+    }
+
+    if (toFetch.length > 0) {
+      const fetched = Promise.resolve(fetchMissing(toFetch)).then(infos => {
+        const byLogin = new Map(infos.map(info => [String(info.username).toLowerCase(), info]));
+        this.setMany(Array.from(byLogin.values()));
+        return byLogin;
+      });
+
+      toFetch.forEach(login => {
+        const key = `${variant}|${login}`;
+        const promise = fetched.then(byLogin => {
+          if (!byLogin.has(login)) throw new Error(`No user info returned for ${login}`);
+          return byLogin.get(login);
+        });
+        const release = () => {
+          if (this.inFlight.get(key)?.promise === promise) this.inFlight.delete(key);
+        };
+        promise.then(release, release);
+
+        this.inFlight.set(key, { promise, priority });
+        pending.set(login, promise);
+      });
+    }
+
+    const results = await Promise.allSettled(
+      logins.map(login => (cached.has(login) ? cached.get(login) : pending.get(login)))
+    );
+
+    // Cached and shared answers carry whichever spelling asked first
+    return results.map((result, index) => (result.status === 'fulfilled'
+      ? { status: 'fulfilled', value: { ...result.value, username: usernames[index] } }
+      : result));
+  }
+
+  getStats() {
+    const { hits, misses, deduplicated } = this.stats;
+    const lookups = hits + misses + deduplicated;
+    return {
+      hits,
+      misses,
+      deduplicated,
+      hitRate: lookups > 0 ? (hits + deduplicated) / lookups : 0,
+      entries: this.entries.size
+    };
+  }
+}
@@ -10,6 +10,7 @@ window.ChartManager = class ChartManager {
     this.mainChart = new MainChart(dataManager, settingsManager, errorHandler, channelName);
     this.creationChart = new CreationChart(dataManager, settingsManager, errorHandler, uiManager);
     this.heatmapChart = new HeatmapChart(dataManager, settingsManager, errorHandler, channelName);
+    this.creationTimesChart = new CreationTimesChart(dataManager, settingsManager, errorHandler);
     this.isInitialized = false;
     this.isPaused = false;
     this.autoPauseTimer = null;
@@ -22,7 +23,7 @@ window.ChartManager = class ChartManager {
     this.updateTimer = null;
 
     // Subscribe to data changes
-    this.dataManager.subscribe((event, data) => {
+    this.unsubscribeData = this.dataManager.subscribe((event, data) => {
       this.handleDataChange(event, data);
     });
 
@@ -30,6 +31,45 @@ window.ChartManager = class ChartManager {
     this.settingsManager.subscribe((config) => {
       this.handleConfigChange(config);
     });
+
+    // Day drill-down requested from the viewer list (same-day counts, creation bursts)
+    this.handleCreationDaySelected = (event) => {
+      this.creationTimesChart.showDay(event.detail?.dayKey || null);
+    };
+    document.addEventListener('tvm-creation-day-selected', this.handleCreationDaySelected);
+  }
+
+  // Point the charts at another channel's data (multi-channel tracking page)
+  setDataSource(dataManager, apiClient, channelName) {
+    try {
+      this.unsubscribeData?.();
+
+      this.dataManager = dataManager;
+      this.apiClient = apiClient;
+      this.mainChart.dataManager = dataManager;
+      this.creationChart.dataManager = dataManager;
+      this.heatmapChart.dataManager = dataManager;
+      this.creationTimesChart.dataManager = dataManager;
+
+      this.unsubscribeData = this.dataManager.subscribe((event, data) => {
+        this.handleDataChange(event, data);
+      });
+
+      // Pause state belongs to the previous channel
+      if (this.autoPauseTimer) {
+        clearTimeout(this.autoPauseTimer);
+        this.autoPauseTimer = null;
+      }
+      this.isPaused = false;
+      this.lastViewerCount = 0;
+
+      this.setChannelName(channelName);
+      this.clearGraphs();
+      this.updateGraphs();
+      this.updateHeatmapChart();
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ChartManager Set Data Source', { channelName });
+    }
   }
 
   setChannelName(channelName) {
@@ -45,6 +85,7 @@ window.ChartManager = class ChartManager {
       this.mainChart.resize();
       this.creationChart.resize();
       this.heatmapChart.resize();
+      this.creationTimesChart.resize();
     } catch (error) {
       console.error('Error resizing charts:', error);
     }
@@ -187,6 +228,7 @@ window.ChartManager = class ChartManager {
 
   updateCreationChart() {
     this.creationChart.update();
+    this.creationTimesChart.update();
   }
 
   updateHeatmapChart() {
@@ -203,6 +245,7 @@ window.ChartManager = class ChartManager {
       this.mainChart.clear();
       this.creationChart.clear();
       this.heatmapChart.clear();
+      this.creationTimesChart.clear();
     } catch (error) {
       this.errorHandler?.handle(error, 'ChartManager Clear Graphs');
     }
@@ -280,6 +323,8 @@ window.ChartManager = class ChartManager {
     this.mainChart.destroy();
     this.creationChart.destroy();
     this.heatmapChart.destroy();
+    this.creationTimesChart.destroy();
+    document.removeEventListener('tvm-creation-day-selected', this.handleCreationDaySelected);
 
     this.isInitialized = false;
   }
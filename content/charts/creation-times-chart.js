@@ -0,0 +1,125 @@
+// Creation Times Chart - drill-down of account creation times within one day
+// Shown in the viewers tab when a same-day count or creation burst is selected
+window.CreationTimesChart = class CreationTimesChart {
+  constructor(dataManager, settingsManager, errorHandler) {
+    this.dataManager = dataManager;
+    this.settingsManager = settingsManager;
+    this.errorHandler = errorHandler;
+    this.chart = null;
+    this.dayKey = null; // Selected day (YYYY-MM-DD, UTC)
+  }
+
+  resize() {
+    try {
+      if (this.chart) {
+        this.chart.resize();
+      }
+    } catch (error) {
+      console.error('Error resizing creation times chart:', error);
+    }
+  }
+
+  // Created on first use; the canvas sits in a panel that is hidden until a day is selected
+  init() {
+    const ctx = document.getElementById('tvm-creation-times-graph');
+    if (!ctx) {
+      throw new Error('Creation times chart canvas not found');
+    }
+
+    this.chart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Accounts Created',
+          data: [],
+          backgroundColor: '#9147ff',
+          borderWidth: 0,
+          barPercentage: 1,
+          categoryPercentage: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            backgroundColor: 'rgba(14, 14, 16, 0.95)',
+            titleColor: '#efeff1',
+            bodyColor: '#efeff1',
+            borderColor: '#2e2e35',
+            borderWidth: 1,
+            callbacks: {
+              title: (items) => items[0] ? `${items[0].label} UTC` : '',
+              label: (context) => `${context.parsed.y} accounts`
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: { color: '#adadb8', font: { size: 10 }, maxTicksLimit: 6, maxRotation: 0 },
+            grid: { display: false }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { color: '#adadb8', font: { size: 10 }, precision: 0 },
+            grid: { color: 'rgba(173, 173, 184, 0.1)' }
+          }
+        }
+      }
+    });
+  }
+
+  showDay(dayKey) {
+    try {
+      this.dayKey = dayKey;
+
+      const panel = document.getElementById('tvm-creation-times-panel');
+      if (panel) {
+        panel.style.display = dayKey ? 'block' : 'none';
+      }
+      if (!dayKey) return;
+
+      const title = document.getElementById('tvm-creation-times-title');
+      if (title) {
+        title.textContent = new Date(`${dayKey}T00:00:00Z`).toLocaleDateString(undefined, {
+          day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+        });
+      }
+
+      if (!this.chart) {
+        this.init();
+      }
+      this.update();
+    } catch (error) {
+      this.errorHandler?.handle(error, 'CreationTimesChart Show Day', { dayKey });
+    }
+  }
+
+  update() {
+    if (!this.chart || !this.dayKey) return;
+
+    try {
+      const buckets = this.dataManager.getCreationTimesForDay(this.dayKey);
+      this.chart.data.labels = buckets.map(bucket => new Date(bucket.start).toISOString().slice(11, 16));
+      this.chart.data.datasets[0].data = buckets.map(bucket => bucket.count);
+      this.chart.update('none');
+    } catch (error) {
+      this.errorHandler?.handle(error, 'CreationTimesChart Update');
+    }
+  }
+
+  // Hide the drill-down (e.g. when switching channels)
+  clear() {
+    this.showDay(null);
+  }
+
+  destroy() {
+    if (this.chart) {
+      this.chart.destroy();
+      this.chart = null;
+    }
+  }
+}
@@ -8,15 +8,9 @@ window.HeatmapChart = class HeatmapChart {
         this.chart = null;
         this.filteredMonth = null; // Track which month is selected for stats filtering
         this.retentionThresholdMinutes = 5; // Default 5 minutes, adjustable via slider (5-20 range)
-        this.botCalculationType = 0; // 0 = Normal, 1 = High Churn
         this.summarySkipMinutes = 5; // Default 5 minutes, adjustable via slider (0-20 range)
     }
 
-    setBotCalculationType(type) {
-        this.botCalculationType = type;
-        this.updateStreamStats();
-    }
-
     setChannelName(channelName) {
         this.channelName = channelName;
         if (this.chart) {
@@ -571,11 +565,11 @@ window.HeatmapChart = class HeatmapChart {
         const indicatorElement = document.querySelector('.tvm-stream-stats-indicator');
         if (!statsContent) return;
 
-        // Get history data and filter out entries where viewers OR authenticated is 0
+        // Skip entries where viewers OR authenticated is 0
         const history = this.dataManager.getHistory();
-        let validHistory = history.filter(h => h.totalViewers > 0 && h.totalAuthenticated > 0);
+        const hasValidHistory = history.some(h => h.totalViewers > 0 && h.totalAuthenticated > 0);
 
-        if (validHistory.length === 0) {
+        if (!hasValidHistory) {
             statsContent.innerHTML = '<div style="color: #adadb8; text-align: center;">No data</div>';
             if (indicatorElement) indicatorElement.style.display = 'none';
             return;
@@ -584,16 +578,6 @@ window.HeatmapChart = class HeatmapChart {
         // Use stored skip threshold value
         const skipThresholdMinutes = this.summarySkipMinutes;
 
-        // Filter out entries within the skip threshold time period from the start
-        // Calculate the cutoff timestamp based on the first valid entry
-        if (validHistory.length > 0) {
-            const startTimestamp = validHistory[0].timestamp;
-            const skipThresholdMs = skipThresholdMinutes * 60 * 1000;
-            const cutoffTimestamp = startTimestamp + skipThresholdMs;
-
-            validHistory = validHistory.filter(h => h.timestamp >= cutoffTimestamp);
-        }
-
         // Update only the label text, not the entire indicator div
         if (labelElement) {
             labelElement.textContent = `After ${skipThresholdMinutes}m`;
@@ -602,49 +586,18 @@ window.HeatmapChart = class HeatmapChart {
             indicatorElement.style.display = 'flex';
         }
 
-        if (validHistory.length === 0) {
+        const stats = this.dataManager.getStreamStats(skipThresholdMinutes);
+        if (!stats) {
             statsContent.innerHTML = '<div style="color: #adadb8; text-align: center;">No data</div>';
             return;
         }
 
-        // Calculate averages with calculation type support
-        const avgViewers = Math.round(validHistory.reduce((sum, h) => sum + h.totalViewers, 0) / validHistory.length);
-        const avgAuthenticated = Math.round(validHistory.reduce((sum, h) => sum + h.totalAuthenticated, 0) / validHistory.length);
-
-        let avgNonBots, avgBots;
-        if (this.botCalculationType === 1) {
-            // High Churn mode
-            avgNonBots = Math.round(validHistory.reduce((sum, h) => sum + Math.max(0, (h.accountsWithDates || 0) - (h.bots || 0)), 0) / validHistory.length);
-            avgBots = Math.round(validHistory.reduce((sum, h) => sum + Math.max(0, (h.totalAuthenticated || 0) - ((h.accountsWithDates || 0) - (h.bots || 0))), 0) / validHistory.length);
-        } else {
-            // Normal mode
-            avgNonBots = Math.round(validHistory.reduce((sum, h) => sum + h.authenticatedNonBots, 0) / validHistory.length);
-            avgBots = Math.round(validHistory.reduce((sum, h) => sum + h.bots, 0) / validHistory.length);
-        }
-
-        // Recalculate max values from filtered history with calculation type support
-        const maxViewers = Math.max(...validHistory.map(h => h.totalViewers));
-        const maxAuthenticatedFiltered = Math.max(...validHistory.map(h => h.totalAuthenticated));
-
-        let maxNonBots, maxBots;
-        if (this.botCalculationType === 1) {
-            // High Churn mode
-            maxNonBots = Math.max(...validHistory.map(h => Math.max(0, (h.accountsWithDates || 0) - (h.bots || 0))));
-            maxBots = Math.max(...validHistory.map(h => Math.max(0, (h.totalAuthenticated || 0) - ((h.accountsWithDates || 0) - (h.bots || 0)))));
-        } else {
-            // Normal mode
-            maxNonBots = Math.max(...validHistory.map(h => h.authenticatedNonBots));
-            maxBots = Math.max(...validHistory.map(h => h.bots));
-        }
-
-        // Calculate percentages
-        const avgAuthPercent = avgViewers > 0 ? Math.round((avgAuthenticated / avgViewers) * 100) : 0;
-        const avgNonBotsPercent = avgAuthenticated > 0 ? Math.round((avgNonBots / avgAuthenticated) * 100) : 0;
-        const avgBotsPercent = avgAuthenticated > 0 ? Math.round((avgBots / avgAuthenticated) * 100) : 0;
-
-        const maxAuthPercent = maxViewers > 0 ? Math.round((maxAuthenticatedFiltered / maxViewers) * 100) : 0;
-        const maxNonBotsPercent = maxAuthenticatedFiltered > 0 ? Math.round((maxNonBots / maxAuthenticatedFiltered) * 100) : 0;
-        const maxBotsPercent = maxAuthenticatedFiltered > 0 ? Math.round((maxBots / maxAuthenticatedFiltered) * 100) : 0;
+        const {
+            avgViewers, avgAuthenticated, avgNonBots, avgBots,
+            maxViewers, maxAuthenticated: maxAuthenticatedFiltered, maxNonBots, maxBots,
+            avgAuthPercent, avgNonBotsPercent, avgBotsPercent,
+            maxAuthPercent, maxNonBotsPercent, maxBotsPercent
+        } = stats;
 
         // Helper function to get percentage color
         const getPercentageColor = (percentage, isBotPercentage = false) => {
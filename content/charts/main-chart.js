@@ -7,15 +7,9 @@ window.MainChart = class MainChart {
     this.channelName = channelName;
     this.chart = null;
     this.smoothLines = true; // Smooth lines enabled by default
-    this.botCalculationType = 0; // 0 = Normal, 1 = High Churn
     this.skipEntries = 0; // Number of initial entries to skip from display (0-20)
   }
 
-  setBotCalculationType(type) {
-    this.botCalculationType = type;
-    this.update();
-  }
-
   setSkipEntries(count) {
     this.skipEntries = Math.max(0, Math.min(20, count)); // Clamp between 0 and 20
     this.update();
@@ -46,6 +40,8 @@ window.MainChart = class MainChart {
 
     const config = this.settingsManager.get();
     const colors = config.chartColors;
+    const botRgb = ColorUtils.hexToRgb(colors.bots);
+    const botRangeColor = botRgb ? `rgba(${botRgb.r}, ${botRgb.g}, ${botRgb.b}, 0.15)` : 'rgba(255, 68, 68, 0.15)';
 
     this.chart = new Chart(ctx, {
       type: 'line',
@@ -120,13 +116,94 @@ window.MainChart = class MainChart {
             pointBorderColor: '#ffffff',
             pointBorderWidth: 2,
             order: 4
+          },
+          {
+            label: 'Known Bots',
+            data: [],
+            borderColor: colors.knownBots || '#ff4444',
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.6,
+            cubicInterpolationMode: 'monotone',
+            spanGaps: true,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            pointBackgroundColor: colors.knownBots || '#ff4444',
+            pointBorderColor: '#ffffff',
+            pointBorderWidth: 2,
+            borderDash: [2, 3],
+            hidden: true, // Shown once a blocklisted account is seen
+            order: 5
+          },
+          // 95% interval of Authenticated Bots, drawn as a band between these two (not in the legend)
+          {
+            label: 'Bot Range Low',
+            data: [],
+            borderColor: 'transparent',
+            backgroundColor: 'transparent',
+            borderWidth: 0,
+            fill: false,
+            tension: 0.6,
+            cubicInterpolationMode: 'monotone',
+            spanGaps: true,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            order: 6
+          },
+          {
+            label: 'Bot Range High',
+            data: [],
+            borderColor: 'transparent',
+            backgroundColor: botRangeColor,
+            borderWidth: 0,
+            fill: '-1',
+            tension: 0.6,
+            cubicInterpolationMode: 'monotone',
+            spanGaps: true,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            order: 6
           }
         ]
       },
-      options: this.getOptions()
+      options: this.getOptions(),
+      plugins: [this.createTrackingGapPlugin()]
     });
   }
 
+  // Shade periods where nothing was collected (background worker was stopped and resumed)
+  createTrackingGapPlugin() {
+    return {
+      id: 'tvmTrackingGaps',
+      beforeDatasetsDraw: (chart) => {
+        const gaps = this.dataManager.getTrackingGaps();
+        if (gaps.length === 0) return;
+
+        const { ctx, chartArea, scales: { x } } = chart;
+        ctx.save();
+
+        for (const gap of gaps) {
+          const left = Math.max(x.getPixelForValue(gap.start), chartArea.left);
+          const right = Math.min(x.getPixelForValue(gap.end), chartArea.right);
+          if (right <= left) continue;
+
+          ctx.fillStyle = 'rgba(173, 173, 184, 0.12)';
+          ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+
+          if (right - left > 40) {
+            ctx.fillStyle = '#adadb8';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No data', (left + right) / 2, chartArea.top + 12);
+          }
+        }
+
+        ctx.restore();
+      }
+    };
+  }
+
   getOptions() {
     const config = this.settingsManager.get();
 
@@ -232,7 +309,8 @@ window.MainChart = class MainChart {
             usePointStyle: true,
             pointStyle: 'circle',
             padding: 20,
-            generateLabels: this.generateLegendLabels.bind(this)
+            generateLabels: this.generateLegendLabels.bind(this),
+            filter: (label) => !label.text.startsWith('Bot Range')
           }
         },
         tooltip: {
@@ -271,6 +349,10 @@ window.MainChart = class MainChart {
         label.pointStyle = 'line';
         label.fillStyle = colors.totalAuthenticated;
         label.strokeStyle = colors.totalAuthenticated;
+      } else if (label.text === 'Known Bots') {
+        label.pointStyle = 'line';
+        label.fillStyle = colors.knownBots || '#ff4444';
+        label.strokeStyle = colors.knownBots || '#ff4444';
       } else {
         label.pointStyle = 'line';
       }
@@ -361,24 +443,16 @@ window.MainChart = class MainChart {
     const config = this.settingsManager.get();
     const colors = config.chartColors;
 
-    // Calculate values based on bot calculation type
+    // Users/bots as counted by the active bot detector (matches the graph)
     const totalAuthenticated = closestPoint.totalAuthenticated || 0;
-    let bots, authenticatedNonBots;
-
-    if (this.botCalculationType === 1) {
-      // High Churn mode: matches graph calculation exactly
-      const accountsWithDates = closestPoint.accountsWithDates || 0;
-      const algorithmBots = closestPoint.bots || 0;
-      bots = Math.max(0, totalAuthenticated - (accountsWithDates - algorithmBots));
-      authenticatedNonBots = accountsWithDates - algorithmBots;
-    } else {
-      // Normal mode
-      bots = closestPoint.bots || 0;
-      authenticatedNonBots = closestPoint.authenticatedNonBots || 0;
-    }
+    const { bots, nonBots: authenticatedNonBots } = this.dataManager.getHistoryPointSplit(closestPoint);
 
     // Calculate bot percentage
     const botPercentage = totalAuthenticated > 0 ? ((bots / totalAuthenticated) * 100).toFixed(1) : 0;
+    const botRange = this.dataManager.getHistoryPointRange(closestPoint);
+    const botRangeText = botRange && botRange.lower !== botRange.upper
+      ? ` <span style="color: #adadb8;">[${Math.round(botRange.lower).toLocaleString()}-${Math.round(botRange.upper).toLocaleString()}]</span>`
+      : '';
 
     let innerHTML = `<div style="font-weight: 600; margin-bottom: 6px; font-size: 13px;">${timeStr}</div>`;
 
@@ -401,7 +475,7 @@ window.MainChart = class MainChart {
       innerHTML += `
         <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
           <span style="width: 8px; height: 2px; background: ${colors.bots};"></span>
-          <span>Authenticated Bots: ${bots.toLocaleString()} (${botPercentage}%)</span>
+          <span>Authenticated Bots: ${bots.toLocaleString()} (${botPercentage}%)${botRangeText}</span>
         </div>
       `;
 
@@ -413,6 +487,15 @@ window.MainChart = class MainChart {
       `;
     }
 
+    if (closestPoint.knownBots > 0) {
+      innerHTML += `
+        <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+          <span style="width: 8px; height: 2px; background: ${colors.knownBots || '#ff4444'};"></span>
+          <span>Known Bots (blocklist): ${closestPoint.knownBots.toLocaleString()}</span>
+        </div>
+      `;
+    }
+
     tooltipEl.innerHTML = innerHTML;
 
     // Position the tooltip in fixed top-left position relative to chart
@@ -465,38 +548,32 @@ window.MainChart = class MainChart {
 
     const totalViewersData = removeDuplicates(history.map(h => ({ x: h.timestamp, y: h.totalViewers })));
 
-    // Calculate display values based on calculation type
-    let authenticatedNonBotsData, botsData;
-
-    if (this.botCalculationType === 1) {
-      // High Churn mode: authenticatedNonBots = accountsWithDates - bots
-      //                  bots = totalAuthenticated - (accountsWithDates - bots)
-      authenticatedNonBotsData = removeDuplicates(history.map(h => ({
-        x: h.timestamp,
-        y: Math.max(0, (h.accountsWithDates || 0) - (h.bots || 0))
-      })));
-      botsData = removeDuplicates(history.map(h => ({
-        x: h.timestamp,
-        y: Math.max(0, (h.totalAuthenticated || 0) - ((h.accountsWithDates || 0) - (h.bots || 0)))
-      })));
-    } else {
-      // Normal mode: use original stored values
-      authenticatedNonBotsData = removeDuplicates(history.map(h => ({
-        x: h.timestamp,
-        y: h.authenticatedNonBots || 0
-      })));
-      botsData = removeDuplicates(history.map(h => ({ x: h.timestamp, y: h.bots || 0 })));
-    }
+    // Users/bots as counted by the active bot detector
+    const splits = history.map(h => this.dataManager.getHistoryPointSplit(h));
+    const authenticatedNonBotsData = removeDuplicates(history.map((h, i) => ({ x: h.timestamp, y: splits[i].nonBots })));
+    const botsData = removeDuplicates(history.map((h, i) => ({ x: h.timestamp, y: splits[i].bots })));
 
     const totalAuthenticatedData = removeDuplicates(history.map(h => ({
       x: h.timestamp,
       y: h.totalAuthenticated || 0
     })));
 
+    // Blocklisted accounts seen at each point
+    const knownBotsData = removeDuplicates(history.map(h => ({ x: h.timestamp, y: h.knownBots || 0 })));
+
+    // Bot interval band; points recorded before intervals existed collapse onto the bots line
+    // (not de-duplicated, so both edges share the same x values for the fill)
+    const ranges = history.map((h, i) => this.dataManager.getHistoryPointRange(h) || { lower: splits[i].bots, upper: splits[i].bots });
+    const botRangeLowData = history.map((h, i) => ({ x: h.timestamp, y: ranges[i].lower }));
+    const botRangeHighData = history.map((h, i) => ({ x: h.timestamp, y: ranges[i].upper }));
+
     this.chart.data.datasets[0].data = totalViewersData;
     this.chart.data.datasets[1].data = authenticatedNonBotsData;
     this.chart.data.datasets[2].data = botsData;
     this.chart.data.datasets[3].data = totalAuthenticatedData;
+    this.chart.data.datasets[4].data = knownBotsData;
+    this.chart.data.datasets[5].data = botRangeLowData;
+    this.chart.data.datasets[6].data = botRangeHighData;
 
     // Update tension and interpolation based on smooth lines setting
     const tension = this.smoothLines ? 0.6 : 0;
@@ -509,6 +586,12 @@ window.MainChart = class MainChart {
     this.chart.data.datasets[2].cubicInterpolationMode = interpolationMode;
     this.chart.data.datasets[3].tension = tension;
     this.chart.data.datasets[3].cubicInterpolationMode = interpolationMode;
+    this.chart.data.datasets[4].tension = tension;
+    this.chart.data.datasets[4].cubicInterpolationMode = interpolationMode;
+    this.chart.data.datasets[5].tension = tension;
+    this.chart.data.datasets[5].cubicInterpolationMode = interpolationMode;
+    this.chart.data.datasets[6].tension = tension;
+    this.chart.data.datasets[6].cubicInterpolationMode = interpolationMode;
 
     // Hide point hover highlights when smooth lines are enabled
     // This prevents confusing hover indicators on interpolated curve points
@@ -517,6 +600,7 @@ window.MainChart = class MainChart {
     this.chart.data.datasets[1].pointHoverRadius = this.smoothLines ? 0 : 5;
     this.chart.data.datasets[2].pointHoverRadius = this.smoothLines ? 0 : 5;
     this.chart.data.datasets[3].pointHoverRadius = this.smoothLines ? 0 : 5;
+    this.chart.data.datasets[4].pointHoverRadius = this.smoothLines ? 0 : 5;
 
     // Check if there are no bots present
     const hasNonZeroBots = botsData.some(point => point.y > 0);
@@ -533,6 +617,22 @@ window.MainChart = class MainChart {
       chart.show(3);
     }
 
+    // The bot range band follows the bots line (datasets 5 and 6)
+    const showBotRange = chart.isDatasetVisible(2);
+    [5, 6].forEach(index => {
+      if (showBotRange !== chart.isDatasetVisible(index)) {
+        showBotRange ? chart.show(index) : chart.hide(index);
+      }
+    });
+
+    // Hide/show known bots dataset (index 4)
+    const hasKnownBots = knownBotsData.some(point => point.y > 0);
+    if (!hasKnownBots && chart.isDatasetVisible(4)) {
+      chart.hide(4);
+    } else if (hasKnownBots && !chart.isDatasetVisible(4)) {
+      chart.show(4);
+    }
+
     // Calculate max value and set y-axis max to one step above the highest value
     if (history.length > 0) {
       const maxValue = Math.max(
@@ -541,7 +641,8 @@ window.MainChart = class MainChart {
           h.authenticatedNonBots || 0,
           h.bots || 0,
           h.totalAuthenticated || 0
-        ))
+        )),
+        ...ranges.map(range => range.upper)
       );
 
       if (maxValue > 0) {
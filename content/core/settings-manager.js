@@ -28,7 +28,7 @@ window.SettingsManager = class SettingsManager {
             min: 1,
             max: 10,
             type: 'number',
-            description: 'Max API retry attempts'
+            description: 'Max retries for network and server errors'
         },
         retryDelay: {
             default: 1000,
@@ -36,7 +36,7 @@ window.SettingsManager = class SettingsManager {
             max: 5000,
             type: 'number',
             unit: 'ms',
-            description: 'Retry delay'
+            description: 'Base retry delay (doubles on each retry, with jitter)'
         },
 
         // Processing Settings
@@ -112,6 +112,74 @@ window.SettingsManager = class SettingsManager {
             type: 'boolean',
             description: 'Clean zero data from graph start'
         },
+        excludeStaffFromBotDetection: {
+            default: true,
+            type: 'boolean',
+            description: 'Leave moderators and known chatbots out of bot detection'
+        },
+
+        // Advanced Detection (see DETECTION_PRESETS)
+        detectionPreset: {
+            default: 'default',
+            type: 'string',
+            options: ['conservative', 'default', 'aggressive', 'custom'],
+            description: 'Bot detection preset ("custom" once a value is edited)'
+        },
+        botDateRangeStart: {
+            default: '2020-01-01',
+            type: 'date',
+            description: 'Accounts created before this date are never counted as bots'
+        },
+        botDateRangeMonthsFromNow: {
+            default: 1,
+            min: 0,
+            max: 12,
+            type: 'number',
+            description: 'Most recent months left out of the creation date histogram'
+        },
+        excludedTopMonths: {
+            default: 5,
+            min: 0,
+            max: 24,
+            type: 'number',
+            description: 'Busiest months left out of the baseline (under 20 months of data)'
+        },
+        excludedTopMonthsLarge: {
+            default: 10,
+            min: 0,
+            max: 36,
+            type: 'number',
+            description: 'Busiest months left out of the baseline (20+ months of data)'
+        },
+        baselineMultiplier: {
+            default: 5,
+            min: 1,
+            max: 20,
+            type: 'number',
+            description: 'Accounts allowed per month, as a multiple of the baseline average'
+        },
+        ageMultipliers: {
+            default: {
+                earlyPeriod: 1.5, // First 12 months of the date range
+                under3Months: 2,
+                under6Months: 1.5,
+                under9Months: 1.25
+            },
+            type: 'object',
+            validate: (multipliers) => {
+                if (!multipliers || typeof multipliers !== 'object') return false;
+                return ['earlyPeriod', 'under3Months', 'under6Months', 'under9Months'].every(key =>
+                    typeof multipliers[key] === 'number' && multipliers[key] >= 0.5 && multipliers[key] <= 5);
+            },
+            description: 'Threshold multipliers for young creation months'
+        },
+        minimumBotPercentage: {
+            default: 10,
+            min: 0,
+            max: 50,
+            type: 'number',
+            description: 'Ignore detection below this share of dated accounts'
+        },
 
         // Data Management
         maxHistoryPoints: {
@@ -157,7 +225,46 @@ window.SettingsManager = class SettingsManager {
             min: 1,
             max: 10,
             type: 'number',
-            description: 'Max API retry attempts per request'
+            description: 'Max attempts per request, including rate-limit retries'
+        },
+        persistSessions: {
+            default: true,
+            type: 'boolean',
+            description: 'Save tracking sessions to disk and restore them after a reload'
+        },
+        sessionCheckpointInterval: {
+            default: 30000,
+            min: 10000,
+            max: 300000,
+            type: 'number',
+            unit: 'ms',
+            uiUnit: 's',
+            convert: (val, toUI) => toUI ? val / 1000 : val * 1000,
+            description: 'Session checkpoint interval'
+        },
+        sessionResumeWindow: {
+            default: 3600000,
+            min: 300000,
+            max: 86400000,
+            type: 'number',
+            unit: 'ms',
+            uiUnit: 'min',
+            convert: (val, toUI) => toUI ? val / 60000 : val * 60000,
+            description: 'Max age of an unfinished session that is restored on reopen'
+        },
+        maxStoredSessions: {
+            default: 50,
+            min: 1,
+            max: 500,
+            type: 'number',
+            description: 'Max sessions kept in local storage (named or tagged sessions are always kept)'
+        },
+        maxTrackedChannels: {
+            default: 4,
+            min: 1,
+            max: 8,
+            type: 'number',
+            description: 'Max channels tracked at once'
         },
 
         // UI Settings
@@ -215,7 +322,8 @@ window.SettingsManager = class SettingsManager {
                 totalViewers: '#00ff88',
                 authenticatedNonBots: '#ffa500',
                 bots: '#9147ff',
-                totalAuthenticated: '#adadb8'
+                totalAuthenticated: '#adadb8',
+                knownBots: '#ff4444'
             },
             type: 'object',
             validate: (colors) => {
@@ -227,6 +335,39 @@ window.SettingsManager = class SettingsManager {
         }
     };
 
+    // Named bundles of the advanced detection settings
+    static DETECTION_PRESETS = {
+        conservative: {
+            botDateRangeStart: '2020-01-01',
+            botDateRangeMonthsFromNow: 2,
+            excludedTopMonths: 5,
+            excludedTopMonthsLarge: 10,
+            baselineMultiplier: 8,
+            ageMultipliers: { earlyPeriod: 2, under3Months: 3, under6Months: 2, under9Months: 1.5 },
+            minimumBotPercentage: 15
+        },
+        default: {
+            botDateRangeStart: '2020-01-01',
+            botDateRangeMonthsFromNow: 1,
+            excludedTopMonths: 5,
+            excludedTopMonthsLarge: 10,
+            baselineMultiplier: 5,
+            ageMultipliers: { earlyPeriod: 1.5, under3Months: 2, under6Months: 1.5, under9Months: 1.25 },
+            minimumBotPercentage: 10
+        },
+        aggressive: {
+            botDateRangeStart: '2020-01-01',
+            botDateRangeMonthsFromNow: 0,
+            excludedTopMonths: 3,
+            excludedTopMonthsLarge: 6,
+            baselineMultiplier: 3,
+            ageMultipliers: { earlyPeriod: 1.25, under3Months: 1.5, under6Months: 1.25, under9Months: 1 },
+            minimumBotPercentage: 5
+        }
+    };
+
+    static DETECTION_KEYS = Object.keys(SettingsManager.DETECTION_PRESETS.default);
+
     constructor(errorHandler = null) {
         this.errorHandler = errorHandler;
         this.settings = this.getDefaults();
@@ -340,6 +481,13 @@ window.SettingsManager = class SettingsManager {
                     }
                     break;
 
+                case 'string':
+                    if (schema.options && !schema.options.includes(value)) {
+                        console.warn(`Invalid option for ${key}, using default`);
+                        cleanValue = schema.default;
+                    }
+                    break;
+
                 case 'object':
                     if (schema.validate && !schema.validate(value)) {
                         console.warn(`Invalid object for ${key}, using default`);
@@ -382,6 +530,10 @@ window.SettingsManager = class SettingsManager {
             if (isNaN(date.getTime())) {
                 return { valid: false, error: 'Invalid date format' };
             }
+        } else if (schema.type === 'string' && schema.options) {
+            if (!schema.options.includes(value)) {
+                return { valid: false, error: `Must be one of ${schema.options.join(', ')}` };
+            }
         } else if (schema.type === 'object' && schema.validate) {
             if (!schema.validate(value)) {
                 return { valid: false, error: 'Invalid object format' };
@@ -437,6 +589,29 @@ window.SettingsManager = class SettingsManager {
         return window.TimeoutUtils.calculateAutoRequestInterval(totalAuthenticatedCount);
     }
 
+    // Advanced detection settings currently in effect
+    getDetectionSettings() {
+        const detection = {};
+        for (const key of SettingsManager.DETECTION_KEYS) {
+            detection[key] = this.settings[key];
+        }
+        return detection;
+    }
+
+    // Switch the advanced detection settings to a named preset
+    async applyDetectionPreset(name) {
+        const preset = SettingsManager.DETECTION_PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown detection preset: ${name}`);
+        }
+
+        return this.update({
+            ...preset,
+            ageMultipliers: { ...preset.ageMultipliers },
+            detectionPreset: name
+        });
+    }
+
     // Reset to defaults
     async resetToDefaults() {
         const oldSettings = { ...this.settings };
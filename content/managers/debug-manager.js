@@ -30,6 +30,9 @@ window.DebugManager = class DebugManager {
         <div>Last Minute Sent: ${debugInfo.dataUsage.lastMinuteSent}</div>
         <div>Last Minute Received: ${debugInfo.dataUsage.lastMinuteReceived}</div>
         <div>Requests/min: ${debugInfo.dataUsage.requestsLastMinute}</div>
+        <div>Retries: ${debugInfo.dataUsage.totalRetries} (${debugInfo.dataUsage.retriesLastMinute} last minute)</div>
+        <div>Failed After Retries: ${debugInfo.dataUsage.failedRequests}</div>
+        <div>User Info Cache: ${debugInfo.dataUsage.userInfoCache.hitRate}% hit rate (${debugInfo.dataUsage.userInfoCache.hits} cached, ${debugInfo.dataUsage.userInfoCache.deduplicated} shared, ${debugInfo.dataUsage.userInfoCache.misses} fetched)</div>
         <div style="margin-top: 10px; text-align: right;">
           <button id="tvm-clear-storage-btn" class="tvm-btn tvm-btn-danger" style="font-size: 10px; padding: 4px 8px;">Clear Local Storage</button>
         </div>
@@ -29,28 +29,36 @@ window.StatsManager = class StatsManager {
           ? this.formatPercentage((fixedAuthenticatedCount / latestTotal) * 100)
           : 0;
 
-        // Calculate authenticated non-bots based on bot calculation type
+        // Split authenticated viewers into users/bots with the active bot detector
         // When live, use current stats values (not historical snapshot)
         // In analysis mode, use last history point values
-        const botCalculationType = window.trackingPageManager ? window.trackingPageManager.botCalculationType : 0;
-        let authenticatedNonBots;
-        let accountsWithDates, bots;
+        let accountsWithDates, bots, botsLower, botsUpper;
 
         if (isAnalysisMode && latestHistoryPoint) {
           accountsWithDates = latestHistoryPoint.accountsWithDates || 0;
           bots = latestHistoryPoint.bots || 0;
+          botsLower = latestHistoryPoint.botsLower;
+          botsUpper = latestHistoryPoint.botsUpper;
         } else {
           accountsWithDates = stats.accountsWithDates || 0;
           bots = stats.bots || 0;
+          botsLower = stats.botsLower;
+          botsUpper = stats.botsUpper;
         }
 
-        if (botCalculationType === 1) {
-          // High Churn mode: authenticatedNonBots = accountsWithDates - bots
-          authenticatedNonBots = Math.max(0, accountsWithDates - bots);
-        } else {
-          // Normal mode: authenticatedNonBots = totalAuthenticated - bots
-          authenticatedNonBots = fixedAuthenticatedCount - bots;
-        }
+        const { nonBots: authenticatedNonBots, bots: displayBots } = this.dataManager.getHistoryPointSplit({
+          totalAuthenticated: fixedAuthenticatedCount,
+          authenticatedNonBots: fixedAuthenticatedCount - bots,
+          accountsWithDates,
+          bots
+        });
+        const botRange = this.dataManager.getHistoryPointRange({
+          totalAuthenticated: fixedAuthenticatedCount,
+          accountsWithDates,
+          bots,
+          botsLower,
+          botsUpper
+        });
         const authenticatedNonBotsPercentage = fixedAuthenticatedCount > 0
           ? this.formatPercentageFloor((authenticatedNonBots / fixedAuthenticatedCount) * 100)
           : 0;
@@ -65,17 +73,6 @@ window.StatsManager = class StatsManager {
         const botStyle = this.getBotPercentageStyle(botPercentage);
 
         // Calculate bot percentage from total authenticated (same as users)
-        // Use the calculated bots value based on bot calculation type
-        let displayBots;
-        if (botCalculationType === 1) {
-          // High Churn mode: bots = totalAuthenticated - (accountsWithDates - algorithmBots)
-          // This matches the graph calculation exactly
-          displayBots = Math.max(0, fixedAuthenticatedCount - (accountsWithDates - bots));
-        } else {
-          // Normal mode: use regular bots
-          displayBots = bots;
-        }
-
         const botPercentageFromAuth = fixedAuthenticatedCount > 0
           ? this.formatPercentageCeil((displayBots / fixedAuthenticatedCount) * 100)
           : 0;
@@ -95,7 +92,7 @@ window.StatsManager = class StatsManager {
           this.updateElement('tvm-bots', '');
         } else {
           this.updateElement('tvm-bots',
-            `${displayBots} (<span style="color: ${botPercentageColor} !important; font-weight: bold; -webkit-text-fill-color: ${botPercentageColor} !important; background: none !important;">${botPercentageFromAuth}%</span>)`
+            `${displayBots} (<span style="color: ${botPercentageColor} !important; font-weight: bold; -webkit-text-fill-color: ${botPercentageColor} !important; background: none !important;">${botPercentageFromAuth}%</span>)${this.formatBotRange(botRange)}`
           );
         }
 
@@ -110,7 +107,7 @@ window.StatsManager = class StatsManager {
         if (bots > 0) {
           const botPercentageScanned = accountsWithDates > 0 ? Math.round((bots / accountsWithDates) * 100) : 0;
           this.updateElement('tvm-bots-count',
-            `${bots} <span style="color: #999; font-size: 11px;">(${botPercentageScanned}%)</span>`
+            `${bots} <span style="color: #999; font-size: 11px;">(${botPercentageScanned}%)</span>${this.formatBotRange(botsLower !== undefined ? { lower: botsLower, upper: botsUpper } : null)}`
           );
         } else {
           this.updateElement('tvm-bots-count', bots.toString());
@@ -130,16 +127,9 @@ window.StatsManager = class StatsManager {
             ? this.formatPercentage((fixedAuthenticatedCount / latestTotal) * 100)
             : 0;
 
-          // Calculate authenticated non-bots based on bot calculation type
-          const botCalculationType = window.trackingPageManager ? window.trackingPageManager.botCalculationType : 0;
-          let authenticatedNonBots;
-          if (botCalculationType === 1) {
-            // High Churn mode: authenticatedNonBots = accountsWithDates - bots
-            authenticatedNonBots = Math.max(0, (historyPoint.accountsWithDates || 0) - historyPoint.bots);
-          } else {
-            // Normal mode: authenticatedNonBots = totalAuthenticated - bots
-            authenticatedNonBots = fixedAuthenticatedCount - historyPoint.bots;
-          }
+          // Split authenticated viewers into users/bots with the active bot detector
+          const { nonBots: authenticatedNonBots, bots: displayBots } = this.dataManager.getHistoryPointSplit(historyPoint);
+          const botRange = this.dataManager.getHistoryPointRange(historyPoint);
           const authenticatedNonBotsPercentage = fixedAuthenticatedCount > 0
             ? this.formatPercentageFloor((authenticatedNonBots / fixedAuthenticatedCount) * 100)
             : 0;
@@ -154,17 +144,6 @@ window.StatsManager = class StatsManager {
           const botStyle = this.getBotPercentageStyle(botPercentage);
 
           // Calculate bot percentage from total authenticated (same as users)
-          // Use the calculated bots value based on bot calculation type
-          let displayBots;
-          if (botCalculationType === 1) {
-            // High Churn mode: bots = totalAuthenticated - (accountsWithDates - algorithmBots)
-            // This matches the graph calculation exactly
-            displayBots = Math.max(0, fixedAuthenticatedCount - ((historyPoint.accountsWithDates || 0) - (historyPoint.bots || 0)));
-          } else {
-            // Normal mode: use regular bots
-            displayBots = historyPoint.bots;
-          }
-
           const botPercentageFromAuth = fixedAuthenticatedCount > 0
             ? this.formatPercentageCeil((displayBots / fixedAuthenticatedCount) * 100)
             : 0;
@@ -184,7 +163,7 @@ window.StatsManager = class StatsManager {
             this.updateElement('tvm-bots', '');
           } else {
             this.updateElement('tvm-bots',
-              `${displayBots} (<span style="color: ${botPercentageColor} !important; font-weight: bold; -webkit-text-fill-color: ${botPercentageColor} !important; background: none !important;">${botPercentageFromAuth}%</span>)`
+              `${displayBots} (<span style="color: ${botPercentageColor} !important; font-weight: bold; -webkit-text-fill-color: ${botPercentageColor} !important; background: none !important;">${botPercentageFromAuth}%</span>)${this.formatBotRange(botRange)}`
             );
           }
 
@@ -195,7 +174,7 @@ window.StatsManager = class StatsManager {
           if (historyPoint.bots > 0) {
             const botPercentageScanned = historyPoint.accountsWithDates > 0 ? Math.round((historyPoint.bots / historyPoint.accountsWithDates) * 100) : 0;
             this.updateElement('tvm-bots-count',
-              `${historyPoint.bots} <span style="color: #999; font-size: 11px;">(${botPercentageScanned}%)</span>`
+              `${historyPoint.bots} <span style="color: #999; font-size: 11px;">(${botPercentageScanned}%)</span>${this.formatBotRange(historyPoint.botsLower !== undefined ? { lower: historyPoint.botsLower, upper: historyPoint.botsUpper } : null)}`
             );
           } else {
             this.updateElement('tvm-bots-count', historyPoint.bots.toString());
@@ -216,6 +195,12 @@ window.StatsManager = class StatsManager {
       // Update pending info
       this.updateElement('tvm-pending', stats.pendingInfo.toString());
 
+      // Viewers per chat role
+      const roleCounts = this.dataManager.getRoleCounts();
+      this.updateElement('tvm-role-moderators', roleCounts.moderator.toString());
+      this.updateElement('tvm-role-vips', roleCounts.vip.toString());
+      this.updateElement('tvm-role-chatbots', roleCounts.chatbot.toString());
+
       // Update bot ratio display
       this.updateBotRatioDisplay();
 
@@ -341,6 +326,12 @@ window.StatsManager = class StatsManager {
     return Math.ceil(value).toString();
   }
 
+  // 95% interval after a bot count; nothing for a zero-width or missing interval
+  formatBotRange(range) {
+    if (!range || range.lower === range.upper) return '';
+    return ` <span class="tvm-bot-range" title="95% confidence interval">[${Math.round(range.lower)}-${Math.round(range.upper)}]</span>`;
+  }
+
   updateElement(id, content) {
     const element = document.getElementById(id);
     if (element) {
@@ -411,9 +402,14 @@ window.StatsManager = class StatsManager {
       if (this.apiClient && this.apiClient._rateLimitStatus) {
         const rateLimitStatus = this.apiClient._rateLimitStatus;
         const used = rateLimitStatus.requestCount || 0;
-        const available = rateLimitStatus.available || (rateLimitStatus.maxRequests - used);
-        const max = rateLimitStatus.maxRequests || 5000;
-        this.updateElement('tvm-api-calls', `${available}/${max}`);
+        // The background limiter adapts its budget below maxRequests when the server pushes back
+        const max = rateLimitStatus.budget || rateLimitStatus.maxRequests || 5000;
+        const available = rateLimitStatus.available ?? (max - used);
+        if (rateLimitStatus.throttled) {
+          this.updateElement('tvm-api-calls', `Throttled (${Math.ceil(rateLimitStatus.throttledFor / 1000)}s)`);
+        } else {
+          this.updateElement('tvm-api-calls', `${available}/${max}`);
+        }
       } else {
         // Fallback to default display
         this.updateElement('tvm-api-calls', '0/5000');
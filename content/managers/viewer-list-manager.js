@@ -8,8 +8,10 @@ window.ViewerListManager = class ViewerListManager {
     this.currentPage = 1;
     this.lastViewerListUpdate = 0;
     this.currentDateFilter = 'all'; // Internal date filter state (no dropdown)
+    this.currentGroupFilter = null; // { key, label, usernames } from a cluster panel
     this.skipBotStatsUpdate = false; // Flag to skip bot stats during pagination
     this.showAllMonths = false; // Toggle state for showing all months
+    this.selectedUsernames = new Set(); // Rows ticked for bulk labelling
   }
 
   scheduleViewerListUpdate() {
@@ -41,9 +43,20 @@ window.ViewerListManager = class ViewerListManager {
       const searchTerm = document.getElementById('tvm-search')?.value || '';
       const sortBy = document.getElementById('tvm-sort')?.value || 'timeInStream';
       const dateFilter = this.currentDateFilter || 'all';
+      const minSuspicion = parseInt(document.getElementById('tvm-suspicion-filter')?.value, 10) || 0;
+      const avatarFilter = document.getElementById('tvm-avatar-filter')?.value || 'all';
+      const roleFilter = document.getElementById('tvm-role-filter')?.value || 'all';
 
       const config = this.settingsManager.get();
-      const result = this.dataManager.getViewerList(this.currentPage, config.pageSize, searchTerm, sortBy, dateFilter);
+      const result = this.dataManager.getViewerList(this.currentPage, config.pageSize, {
+        searchTerm,
+        sortBy,
+        dateFilter,
+        minSuspicion,
+        groupFilter: this.currentGroupFilter,
+        avatarFilter,
+        roleFilter
+      });
 
       const listContent = document.getElementById('tvm-list-content');
       const pagination = document.getElementById('tvm-pagination');
@@ -81,18 +94,34 @@ window.ViewerListManager = class ViewerListManager {
 
     // Create header
     const thead = document.createElement('thead');
-    thead.innerHTML = '<tr><th style="width: 200px;">Username</th><th style="width: 120px; text-align: right;">Created</th><th style="width: 100px; text-align: right;">Time</th><th style="width: 60px; text-align: right; padding: 12px 8px;">Count</th><th style="width: auto; max-width: 300px;">Bio</th></tr>';
+    thead.innerHTML = '<tr><th class="tvm-select-cell" style="width: 24px;"><input type="checkbox" id="tvm-select-page" title="Select all viewers on this page"></th><th style="width: 200px;">Username</th><th style="width: 120px; text-align: right;">Created</th><th style="width: 100px; text-align: right;">Time</th><th style="width: 60px; text-align: right; padding: 12px 8px;">Count</th><th style="width: 80px; text-align: right;">Suspicion</th><th style="width: auto; max-width: 300px;">Bio</th></tr>';
     table.appendChild(thead);
 
     const tbody = document.createElement('tbody');
 
+    // Row selection for bulk labelling
+    table.addEventListener('change', (event) => {
+      if (event.target.id === 'tvm-select-page') {
+        table.querySelectorAll('.tvm-select-viewer').forEach(checkbox => {
+          checkbox.checked = event.target.checked;
+          this.toggleSelection(checkbox.getAttribute('data-select'), checkbox.checked);
+        });
+      } else if (event.target.classList.contains('tvm-select-viewer')) {
+        this.toggleSelection(event.target.getAttribute('data-select'), event.target.checked);
+      }
+      this.updateLabelBar();
+    });
+
     // Batch DOM operations for better performance
     const rowsFragment = document.createDocumentFragment();
 
     for (const viewer of viewers) {
       const timeStr = FormatUtils.formatDuration(viewer.timeInStream);
       const pendingIcon = viewer.hasPendingInfo ? '⏳' : '';
-      const statusIcons = pendingIcon;
+      const labelBadge = viewer.accountList
+        ? this.getAccountListBadge(viewer.accountList)
+        : this.getLabelBadge(this.dataManager.getViewerLabel(viewer.username));
+      const statusIcons = this.getRoleBadge(viewer.role) + labelBadge + pendingIcon;
 
       // Capitalize first letter of username
       const capitalizedUsername = viewer.username.charAt(0).toUpperCase() + viewer.username.slice(1);
@@ -117,6 +146,16 @@ window.ViewerListManager = class ViewerListManager {
       // Avatar image
       const avatarUrl = viewer.profileImageURL || 'https://static-cdn.jtvnw.net/user-default-pictures-uv/41780b5a-def8-11e9-94d9-784f43822e80-profile_image-300x300.png';
 
+      // Suspicion score with the signals behind it as a tooltip
+      let suspicionCell = '-';
+      let suspicionTitle = 'Account info not loaded yet';
+      if (viewer.suspicionScore !== null && viewer.suspicionScore !== undefined) {
+        suspicionCell = `<span style="color: ${this.getSuspicionColor(viewer.suspicionScore)}; font-weight: 600;">${viewer.suspicionScore}</span>`;
+        suspicionTitle = this.dataManager.getSuspicionSignals(viewer)
+          .map(signal => `${signal.label} (+${Math.round(signal.points)})`)
+          .join('\n') || 'No signals';
+      }
+
       // Bio text (let CSS handle truncation)
       const bioText = viewer.description || '';
 
@@ -125,6 +164,9 @@ window.ViewerListManager = class ViewerListManager {
       row.setAttribute('data-username', viewer.username);
       row.style.cursor = 'pointer';
       row.innerHTML = `
+          <td class="tvm-select-cell" style="width: 24px; vertical-align: middle;">
+            <input type="checkbox" class="tvm-select-viewer" data-select="${viewer.username}"${this.selectedUsernames.has(viewer.username) ? ' checked' : ''}>
+          </td>
           <td style="width: 200px;">
             <div style="display: flex; align-items: center; gap: 8px;">
               <img src="${avatarUrl}" alt="${viewer.username}" class="tvm-avatar" style="width: 32px; height: 32px; border-radius: 50%; flex-shrink: 0;">
@@ -134,6 +176,7 @@ window.ViewerListManager = class ViewerListManager {
           <td style="text-align: right; vertical-align: middle;">${createdDate}</td>
           <td style="text-align: right; vertical-align: middle;">${timeStr}</td>
           <td style="text-align: right; font-size: 12px; color: #999; padding: 2px 8px; vertical-align: middle;">${accountCount}</td>
+          <td style="text-align: right; vertical-align: middle;" title="${suspicionTitle}">${suspicionCell}</td>
           <td style="max-width: 300px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; vertical-align: middle; font-size: 12px; color: #adadb8;" title="${bioText}">${bioText}</td>
       `;
 
@@ -148,6 +191,86 @@ window.ViewerListManager = class ViewerListManager {
     return fragment;
   }
 
+  // Chat role badge next to the username (plain viewers get none)
+  getRoleBadge(role) {
+    const badges = {
+      broadcaster: { text: 'Streamer', color: '#e91916' },
+      moderator: { text: 'Mod', color: '#00ad03' },
+      vip: { text: 'VIP', color: '#e005b9' },
+      chatbot: { text: 'Chatbot', color: '#adadb8' }
+    };
+    const badge = badges[role];
+    if (!badge) return '';
+
+    return `<span style="font-size: 10px; font-weight: 600; color: ${badge.color}; border: 1px solid ${badge.color}; border-radius: 3px; padding: 0 4px;">${badge.text}</span>`;
+  }
+
+  getLabelBadge(label) {
+    if (label === 'bot') {
+      return '<span style="font-size: 10px; font-weight: 600; color: #fff; background: #ff4444; border-radius: 3px; padding: 0 4px;">Bot</span>';
+    }
+    if (label === 'legit') {
+      return '<span style="font-size: 10px; font-weight: 600; color: #0e0e10; background: #00ff88; border-radius: 3px; padding: 0 4px;">Legit</span>';
+    }
+    return '';
+  }
+
+  getAccountListBadge(accountList) {
+    if (accountList === 'block') {
+      return '<span title="On blocklist" style="font-size: 10px; font-weight: 600; color: #fff; background: #ff4444; border-radius: 3px; padding: 0 4px;">Blocklist</span>';
+    }
+    if (accountList === 'allow') {
+      return '<span title="On allowlist" style="font-size: 10px; font-weight: 600; color: #0e0e10; background: #00ff88; border-radius: 3px; padding: 0 4px;">Allowlist</span>';
+    }
+    return '';
+  }
+
+  toggleSelection(username, selected) {
+    if (selected) {
+      this.selectedUsernames.add(username);
+    } else {
+      this.selectedUsernames.delete(username);
+    }
+  }
+
+  clearSelection() {
+    this.selectedUsernames.clear();
+    document.querySelectorAll('.tvm-select-viewer, #tvm-select-page').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    this.updateLabelBar();
+  }
+
+  // Bulk label bar above the list, shown while rows are selected
+  updateLabelBar() {
+    const bar = document.getElementById('tvm-label-bar');
+    if (!bar) return;
+
+    bar.style.display = this.selectedUsernames.size > 0 ? 'flex' : 'none';
+    const count = document.getElementById('tvm-label-bar-count');
+    if (count) {
+      count.textContent = `${this.selectedUsernames.size} selected`;
+    }
+  }
+
+  async labelSelected(label) {
+    try {
+      if (this.selectedUsernames.size === 0) return;
+
+      await this.dataManager.setViewerLabel(Array.from(this.selectedUsernames), label);
+      this.clearSelection();
+      this.forceViewerListUpdate();
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Label Selected', { label });
+    }
+  }
+
+  getSuspicionColor(score) {
+    if (score >= 75) return '#ff4444';
+    if (score >= 50) return '#ffa500';
+    return '#adadb8';
+  }
+
   updatePagination(result, pagination, paginationTop) {
     if (result.totalPages > 1) {
       // Update bottom pagination
@@ -213,15 +336,27 @@ window.ViewerListManager = class ViewerListManager {
 
   clearDateFilter() {
     try {
-      // Clear date filter and reset to first page
+      // Clear date and cluster filters and reset to first page
       this.currentPage = 1;
       this.currentDateFilter = 'all';
+      this.currentGroupFilter = null;
       this.updateViewerList();
     } catch (error) {
       this.errorHandler?.handle(error, 'ViewerListManager Clear Date Filter');
     }
   }
 
+  // Show only the members of a cluster (clicking the active cluster again clears it)
+  setGroupFilter(groupFilter) {
+    try {
+      this.currentPage = 1;
+      this.currentGroupFilter = this.currentGroupFilter?.key === groupFilter.key ? null : groupFilter;
+      this.updateViewerList();
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Set Group Filter', { key: groupFilter?.key });
+    }
+  }
+
   setDateFilter(yearMonth) {
     try {
       // Set date filter internally and reset to first page
@@ -271,6 +406,36 @@ window.ViewerListManager = class ViewerListManager {
       if (daysContainer) {
         daysContainer.innerHTML = '<p class="tvm-empty">No data available</p>';
       }
+
+      const idClustersContainer = document.getElementById('tvm-id-clusters-list');
+      if (idClustersContainer) {
+        idClustersContainer.innerHTML = '<p class="tvm-empty">No clusters found</p>';
+      }
+
+      const usernameClustersContainer = document.getElementById('tvm-username-clusters-list');
+      if (usernameClustersContainer) {
+        usernameClustersContainer.innerHTML = '<p class="tvm-empty">No patterns found</p>';
+      }
+
+      const reusedImagesContainer = document.getElementById('tvm-reused-images-list');
+      if (reusedImagesContainer) {
+        reusedImagesContainer.innerHTML = '<p class="tvm-empty">No reused images found</p>';
+      }
+
+      const bioClustersContainer = document.getElementById('tvm-bio-clusters-list');
+      if (bioClustersContainer) {
+        bioClustersContainer.innerHTML = '<p class="tvm-empty">No repeated bios found</p>';
+      }
+
+      const burstsContainer = document.getElementById('tvm-creation-bursts-list');
+      if (burstsContainer) {
+        burstsContainer.innerHTML = '<p class="tvm-empty">No bursts found</p>';
+      }
+
+      const explanationPanel = document.getElementById('tvm-month-explanation-panel');
+      if (explanationPanel) {
+        explanationPanel.style.display = 'none';
+      }
     } catch (error) {
       this.errorHandler?.handle(error, 'ViewerListManager Clear Bot Stats Panels');
     }
@@ -284,7 +449,14 @@ window.ViewerListManager = class ViewerListManager {
       }
 
       this.updateTopBottedMonths();
+      this.updateBaselineSource();
+      this.updateMonthExplanation();
       this.updateTopSameDayCounts();
+      this.updateIdClusters();
+      this.updateUsernameClusters();
+      this.updateBioClusters();
+      this.updateReusedImages();
+      this.updateCreationBursts();
     } catch (error) {
       this.errorHandler?.handle(error, 'ViewerListManager Update Bot Stats Panels');
     }
@@ -318,12 +490,12 @@ window.ViewerListManager = class ViewerListManager {
       // Render clear filter button in separate container (outside scroll area)
       const clearFilterContainer = document.getElementById('tvm-clear-date-filter-container');
       if (clearFilterContainer) {
-        if (dateFilter !== 'all') {
+        if (dateFilter !== 'all' || this.currentGroupFilter) {
           clearFilterContainer.style.display = 'block';
           clearFilterContainer.innerHTML = `
             <div class="tvm-bot-item" id="tvm-clear-date-filter" style="cursor: pointer; background: #2c2c3e; border-left: 3px solid #00b8d4;">
               <span class="tvm-bot-item-label">✕ Clear Filter</span>
-              <span class="tvm-bot-item-count"></span>
+              <span class="tvm-bot-item-count" style="color: #adadb8; font-weight: 400;">${this.currentGroupFilter ? this.currentGroupFilter.label : ''}</span>
             </div>
           `;
         } else {
@@ -333,13 +505,15 @@ window.ViewerListManager = class ViewerListManager {
       }
 
       // Build list of months
+      const avatarShares = this.dataManager.getDefaultAvatarShares().months;
       let html = '';
 
       html += topMonths.map(month => {
         const isActive = dateFilter === month.monthKey ? ' active' : '';
+        const avatars = this.renderDefaultAvatarShare(avatarShares.get(month.monthKey));
         return `
-          <div class="tvm-bot-item${isActive}" data-month="${month.monthKey}">
-            <span class="tvm-bot-item-label">${month.monthName}</span>
+          <div class="tvm-bot-item${isActive}" data-month="${month.monthKey}" title="${avatars.title}">
+            <span class="tvm-bot-item-label">${month.monthName}${avatars.html}</span>
             <span class="tvm-bot-item-count">${month.count}</span>
           </div>
         `;
@@ -381,16 +555,18 @@ window.ViewerListManager = class ViewerListManager {
       }
 
       const dateFilter = this.currentDateFilter || 'all';
+      const avatarShares = this.dataManager.getDefaultAvatarShares().days;
 
       container.innerHTML = topDays.map((day, index) => {
         // Extract year from dayKey (YYYY-MM-DD format)
         const [year, month, dayNum] = day.dayKey.split('-').map(Number);
         const monthKey = `${year}-${String(month).padStart(2, '0')}`;
         const isActive = dateFilter === monthKey ? ' active' : '';
+        const avatars = this.renderDefaultAvatarShare(avatarShares.get(day.dayKey));
 
         return `
-          <div class="tvm-bot-item${isActive}" data-month="${monthKey}">
-            <span class="tvm-bot-item-label">${day.dayName}</span>
+          <div class="tvm-bot-item${isActive}" data-month="${monthKey}" data-day="${day.dayKey}" title="${avatars.title}">
+            <span class="tvm-bot-item-label">${day.dayName}${avatars.html}</span>
             <span class="tvm-bot-item-count">${day.count}</span>
           </div>
         `;
@@ -401,10 +577,276 @@ window.ViewerListManager = class ViewerListManager {
         item.addEventListener('click', () => {
           const monthKey = item.getAttribute('data-month');
           this.setDateFilter(monthKey);
+          this.showCreationDay(item.getAttribute('data-day'));
         });
       });
     } catch (error) {
       this.errorHandler?.handle(error, 'ViewerListManager Update Top Same Day Counts');
     }
   }
+
+  // Working behind the bot count of the month in the date filter
+  updateMonthExplanation() {
+    try {
+      const panel = document.getElementById('tvm-month-explanation-panel');
+      const container = document.getElementById('tvm-month-explanation');
+      if (!panel || !container) return;
+
+      const monthKey = this.currentDateFilter;
+      if (!monthKey || monthKey === 'all') {
+        panel.style.display = 'none';
+        return;
+      }
+
+      panel.style.display = 'block';
+      const title = document.getElementById('tvm-month-explanation-title');
+      if (title) {
+        title.textContent = new Date(`${monthKey}-01T00:00:00Z`).toLocaleDateString(undefined, {
+          month: 'short', year: 'numeric', timeZone: 'UTC'
+        });
+      }
+
+      container.innerHTML = this.renderMonthExplanation(this.dataManager.explainBotMonth(monthKey));
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update Month Explanation');
+    }
+  }
+
+  // Tell whether the threshold came from this channel, the population prior or both
+  updateBaselineSource() {
+    const element = document.getElementById('tvm-baseline-source');
+    if (!element) return;
+
+    const baseline = this.dataManager.getBaselineSource();
+    element.textContent = baseline ? `Baseline: ${this.describeBaselineSource(baseline)}` : '';
+  }
+
+  describeBaselineSource(baseline) {
+    const channels = `${baseline.priorChannels} saved channels`;
+    if (baseline.source === 'prior') {
+      return `typical population (${channels})`;
+    }
+    if (baseline.source === 'blended') {
+      const channelPercent = Math.round(baseline.channelWeight * 100);
+      return `${channelPercent}% this channel, ${100 - channelPercent}% typical population (${channels})`;
+    }
+    return 'this channel';
+  }
+
+  renderMonthExplanation(explanation) {
+    if (!explanation) {
+      return '<p class="tvm-empty">No detection run to explain for this data</p>';
+    }
+
+    const format = value => Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+    const row = (label, value, title = '') =>
+      `<div class="tvm-month-explanation-row"${title ? ` title="${title}"` : ''}><span>${label}</span><span>${value}</span></div>`;
+    const note = text => `<div class="tvm-month-explanation-note">${text}</div>`;
+
+    let html = row('Accounts created', format(explanation.count));
+
+    if (explanation.beforeRange) {
+      return html + note(`Months before ${explanation.rangeStart.slice(0, 7)} are never counted as bots.`);
+    }
+
+    const { params, month } = explanation;
+    if (!month) {
+      return html + note(`No bot count for this month from the ${explanation.detectorName} detector.`);
+    }
+
+    html += row('Baseline', `${format(explanation.baselineAverage)} / month`,
+      explanation.baselineSource?.source !== 'channel'
+        ? 'Too few dated accounts for the channel alone, so the typical population from saved sessions is blended in'
+        : `Average of ${explanation.baselineMonths} months since the detection range started, busiest ${explanation.excludedMonths} left out`);
+    if (explanation.baselineSource) {
+      html += row('Baseline source', this.describeBaselineSource(explanation.baselineSource));
+    }
+    html += row('Channel threshold', explanation.thresholdOverridden
+      ? `${format(explanation.threshold)} (manual)`
+      : format(explanation.threshold),
+      `Baseline × ${params.baselineMultiplier}, at least ${params.minimumThreshold}; calculated ${format(explanation.calculatedThreshold)}`);
+    html += row('Age multiplier', `× ${month.thresholdMultiplier}`, month.multiplierReason);
+    if (month.thresholdScale !== 1) {
+      html += row('Detector / label scale', `× ${month.thresholdScale}`,
+        'From the active detector (e.g. default-avatar months) or manually labelled viewers');
+    }
+    html += row('Month threshold', format(month.adjustedThreshold));
+    html += row('Strict threshold', format(month.strictThreshold),
+      `Month threshold ÷ ${params.strictThresholdDivisor}, used once the month threshold is exceeded`);
+    html += row('Bots from this month', format(month.bots));
+    if (month.botsLower !== month.botsUpper) {
+      html += row('95% range (count noise)', `${format(month.botsLower)}-${format(month.botsUpper)}`,
+        'Bots from this month at either end of the Poisson interval of its account count, with the threshold held fixed');
+    }
+    html += row('Bots counted', format(explanation.finalBots));
+
+    html += note(month.overThreshold
+      ? `${format(month.count)} is over the month threshold, so everything above the strict threshold counts as bots.`
+      : `${format(month.count)} is within the month threshold, so no bots are counted.`);
+
+    if (explanation.suppressed) {
+      html += note(`Detection found ${explanation.botPercentage.toFixed(1)}% bots overall, under the ${params.minimumBotPercentage}% minimum, so every month was reset to 0 bots.`);
+    } else {
+      html += note(`Detection found ${explanation.botPercentage.toFixed(1)}% bots overall, over the ${params.minimumBotPercentage}% minimum, so the counts stand.`);
+    }
+
+    if (explanation.finalBots !== (explanation.suppressed ? 0 : month.bots) && explanation.labelled) {
+      html += note(`Adjusted by ${explanation.labelled.bot} bot and ${explanation.labelled.legit} legit labels (including the blocklist).`);
+    }
+
+    return html;
+  }
+
+  // Default avatar share next to a month or day label
+  renderDefaultAvatarShare(entry) {
+    if (!entry || entry.total === 0) {
+      return { html: '', title: '' };
+    }
+
+    const share = Math.round((entry.defaults / entry.total) * 100);
+    return {
+      html: ` <span style="color: #adadb8; font-size: 11px; font-weight: 400;">${share}%</span>`,
+      title: `Default avatar: ${share}% (${entry.defaults} of ${entry.total})`
+    };
+  }
+
+  // Shared renderer for the group panels (ID clusters, username patterns, bios, images, bursts)
+  // describe(group) returns plain text { label, title, filterLabel } and optionally imageURL or
+  // truncate; all of it is escaped here. Clicking a row filters the viewer list to the group,
+  // then calls onSelect(group) if given
+  renderGroupPanel(containerId, groups, emptyText, describe, onSelect = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (groups.length === 0) {
+      container.innerHTML = `<p class="tvm-empty">${FormatUtils.escapeHtml(emptyText)}</p>`;
+      return;
+    }
+
+    const activeKey = this.currentGroupFilter?.key;
+    const descriptions = groups.map(describe);
+
+    container.innerHTML = groups.map((group, index) => {
+      const { label, title, imageURL, truncate } = descriptions[index];
+      const isActive = group.key === activeKey ? ' active' : '';
+      let labelStyle = '';
+      let image = '';
+
+      if (imageURL) {
+        labelStyle = ' style="display: flex; align-items: center; gap: 8px;"';
+        image = `<img src="${FormatUtils.escapeHtml(imageURL)}" alt="" style="width: 24px; height: 24px; border-radius: 50%;">`;
+      } else if (truncate) {
+        labelStyle = ' style="overflow: hidden; white-space: nowrap; text-overflow: ellipsis;"';
+      }
+
+      return `
+        <div class="tvm-bot-item${isActive}" data-group-index="${index}" title="${FormatUtils.escapeHtml(title)}">
+          <span class="tvm-bot-item-label"${labelStyle}>${image}${FormatUtils.escapeHtml(label)}</span>
+          <span class="tvm-bot-item-count">${group.size}</span>
+        </div>
+      `;
+    }).join('');
+
+    // Add click handlers
+    container.querySelectorAll('.tvm-bot-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const index = Number(item.getAttribute('data-group-index'));
+        const group = groups[index];
+        this.setGroupFilter({
+          key: group.key,
+          label: descriptions[index].filterLabel,
+          usernames: group.usernames
+        });
+        onSelect?.(group);
+      });
+    });
+  }
+
+  updateIdClusters() {
+    try {
+      const formatDay = timestamp => new Date(timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+      this.renderGroupPanel('tvm-id-clusters-list', this.dataManager.getSequentialIdClusters(10), 'No clusters found', cluster => {
+        const firstDay = formatDay(cluster.firstCreatedAt);
+        const lastDay = formatDay(cluster.lastCreatedAt);
+        const created = firstDay === lastDay ? firstDay : `${firstDay} - ${lastDay}`;
+
+        return {
+          label: `#${cluster.startId.toLocaleString()} +${cluster.endId - cluster.startId}`,
+          title: `IDs ${cluster.startId} - ${cluster.endId}\nCreated ${created}\n${(cluster.density * 100).toFixed(1)}% of the ID range is in this stream`,
+          filterLabel: `ID cluster (${cluster.size})`
+        };
+      });
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update ID Clusters');
+    }
+  }
+
+  updateUsernameClusters() {
+    try {
+      this.renderGroupPanel('tvm-username-clusters-list', this.dataManager.getUsernamePatternClusters(10), 'No patterns found', cluster => ({
+        label: cluster.template,
+        title: `${cluster.lift.toFixed(1)}x more logins than expected (${cluster.expected.toFixed(1)})\ne.g. ${cluster.usernames.slice(0, 3).join(', ')}`,
+        filterLabel: `Username pattern (${cluster.size})`
+      }));
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update Username Clusters');
+    }
+  }
+
+  updateBioClusters() {
+    try {
+      const kinds = { exact: 'Identical bio', similar: 'Templated bio', url: 'Shared link' };
+
+      this.renderGroupPanel('tvm-bio-clusters-list', this.dataManager.getDuplicateBioClusters(10), 'No repeated bios found', cluster => {
+        const variants = cluster.type === 'similar' ? ` (${cluster.variants} variants)` : '';
+        const members = cluster.usernames.slice(0, 10).join(', ') + (cluster.usernames.length > 10 ? ', ...' : '');
+
+        return {
+          label: cluster.type === 'url' ? `🔗 ${cluster.text}` : cluster.text,
+          title: `${kinds[cluster.type]}${variants}\n${cluster.text}\n\n${members}`,
+          filterLabel: `${kinds[cluster.type]} (${cluster.size})`,
+          truncate: true
+        };
+      });
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update Bio Clusters');
+    }
+  }
+
+  updateReusedImages() {
+    try {
+      this.renderGroupPanel('tvm-reused-images-list', this.dataManager.getReusedProfileImages(10), 'No reused images found', image => ({
+        label: `${FormatUtils.capitalizeUsername(image.usernames[0])}${image.size > 1 ? ' +' + (image.size - 1) : ''}`,
+        title: image.usernames.slice(0, 10).join(', ') + (image.usernames.length > 10 ? ', ...' : ''),
+        filterLabel: `Shared image (${image.size})`,
+        imageURL: image.url
+      }));
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update Reused Images');
+    }
+  }
+
+  updateCreationBursts() {
+    try {
+      const formatTime = timestamp => new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' });
+
+      this.renderGroupPanel('tvm-creation-bursts-list', this.dataManager.getCreationBursts(10), 'No bursts found', burst => {
+        const day = new Date(burst.start).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+        return {
+          label: `${day} ${formatTime(burst.start)}`,
+          title: `Created ${day}, ${formatTime(burst.start)} - ${formatTime(burst.end)} UTC`,
+          filterLabel: `Creation burst (${burst.size})`
+        };
+      }, burst => this.showCreationDay(burst.dayKey));
+    } catch (error) {
+      this.errorHandler?.handle(error, 'ViewerListManager Update Creation Bursts');
+    }
+  }
+
+  // Open the creation times drill-down for a day (handled by the chart manager)
+  showCreationDay(dayKey) {
+    document.dispatchEvent(new CustomEvent('tvm-creation-day-selected', { detail: { dayKey } }));
+  }
 }
@@ -0,0 +1,103 @@
+// Account List Store - managed allowlist / blocklist of Twitch accounts
+// Allowlisted accounts (service bots, staff) are left out of bot detection; blocklisted ones always count as bots
+// Entries are logins or numeric user IDs, shared by every tracked channel
+window.AccountListStore = class AccountListStore extends window.StorageStore {
+  static STORAGE_KEY = 'accountLists';
+  static LISTS = ['allow', 'block'];
+  static ENTRY_PATTERN = /^[a-z0-9_]{1,25}$/;
+  static HEADER_CELLS = new Set(['username', 'login', 'user', 'name', 'id', 'user_id', 'userid']);
+
+  constructor(errorHandler) {
+    // Watch for lists edited from another extension page
+    super(errorHandler, { watchChanges: true });
+    this.lists = { allow: new Set(), block: new Set() };
+  }
+
+  toStored() {
+    return {
+      allow: Array.from(this.lists.allow),
+      block: Array.from(this.lists.block)
+    };
+  }
+
+  setStored(stored) {
+    this.lists = this.fromStored(stored);
+  }
+
+  fromStored(stored) {
+    return {
+      allow: new Set(this.normalizeEntries(stored?.allow || [])),
+      block: new Set(this.normalizeEntries(stored?.block || []))
+    };
+  }
+
+  normalizeEntries(entries) {
+    return entries
+      .map(entry => String(entry).trim().replace(/^["']|["']$/g, '').replace(/^@/, '').toLowerCase())
+      .filter(entry => AccountListStore.ENTRY_PATTERN.test(entry));
+  }
+
+  // One account per line; for CSV the first column is used and a header row is skipped
+  parseText(text) {
+    const entries = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+      const cell = line.split(/[,;\t]/)[0].trim().replace(/^["']|["']$/g, '').toLowerCase();
+      if (!cell || line.trim().startsWith('#') || AccountListStore.HEADER_CELLS.has(cell)) continue;
+      entries.push(cell);
+    }
+    return this.normalizeEntries(entries);
+  }
+
+  getList(list) {
+    return Array.from(this.lists[list] || []).sort();
+  }
+
+  getCounts() {
+    return { allow: this.lists.allow.size, block: this.lists.block.size };
+  }
+
+  // 'allow', 'block' or null; the blocklist wins if an account is on both
+  getStatus(username, id = null) {
+    const login = username?.toLowerCase();
+    const userId = id ? String(id) : null;
+    for (const list of ['block', 'allow']) {
+      if (this.lists[list].has(login) || (userId && this.lists[list].has(userId))) {
+        return list;
+      }
+    }
+    return null;
+  }
+
+  // Replace lists with the accounts in text, e.g. { allow: '...', block: '...' } from the settings editor
+  async setListsFromText(texts) {
+    for (const [list, text] of Object.entries(texts)) {
+      if (!AccountListStore.LISTS.includes(list)) {
+        throw new Error(`Unknown account list: ${list}`);
+      }
+      this.lists[list] = new Set(this.parseText(text));
+    }
+
+    await this.save();
+    this.notify();
+    return this.getCounts();
+  }
+
+  // Add the accounts in a plain text or CSV file to a list
+  async importText(list, text) {
+    if (!AccountListStore.LISTS.includes(list)) {
+      return { success: false, error: `Unknown account list: ${list}` };
+    }
+
+    const entries = this.parseText(text);
+    if (entries.length === 0) {
+      return { success: false, error: 'No account names found in file' };
+    }
+
+    const before = this.lists[list].size;
+    entries.forEach(entry => this.lists[list].add(entry));
+
+    await this.save();
+    this.notify();
+    return { success: true, imported: this.lists[list].size - before };
+  }
+};
@@ -26,7 +26,7 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
 
   setupBackgroundMessageHandling() {
     // Listen for messages from background script
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    this.backgroundMessageListener = (message, sender, sendResponse) => {
       if (message.type === 'BACKGROUND_TRACKING_UPDATE') {
         // Check if this message is intended for this tab (if targetTabId is specified)
         if (message.targetTabId) {
@@ -41,7 +41,14 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
           this.handleBackgroundUpdate(message);
         }
       }
-    });
+    };
+    chrome.runtime.onMessage.addListener(this.backgroundMessageListener);
+  }
+
+  // Stop receiving background updates (channel removed from the tracking page)
+  destroy() {
+    chrome.runtime.onMessage.removeListener(this.backgroundMessageListener);
+    this.observers.clear();
   }
 
   // Observer pattern for UI updates
@@ -82,6 +89,31 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
     }
   }
 
+  // Take over a background session that kept running while no page was attached
+  async attachBackgroundTracking(channelName, config) {
+    try {
+      this.channelName = channelName;
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'ATTACH_BACKGROUND_TRACKING',
+        channelName,
+        config
+      });
+
+      if (response?.success) {
+        this.isBackgroundTracking = true;
+        return { success: true, sessionStart: response.sessionStart };
+      }
+
+      this.channelName = null;
+      return { success: false, error: response?.error };
+    } catch (error) {
+      this.channelName = null;
+      console.error('Error attaching to background tracking:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async stopBackgroundTracking() {
     try {
       if (!this.channelName) {
@@ -181,6 +213,17 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
     }
   }
 
+  // All channels currently tracked by the background service
+  async getTrackingSessions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TRACKING_SESSIONS' });
+      return response?.sessions || [];
+    } catch (error) {
+      console.error('Error getting tracking sessions:', error);
+      return [];
+    }
+  }
+
   handleBackgroundUpdate(message) {
 
     if (message.channelName !== this.channelName) {
@@ -205,6 +248,9 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
       case 'API_STATUS_UPDATE':
         this.handleApiStatusUpdate(data);
         break;
+      case 'TRACKING_GAP':
+        this.handleTrackingGap(data);
+        break;
     }
   }
 
@@ -293,6 +339,11 @@ window.BackgroundApiClient = class BackgroundTrackingClient {
     });
   }
 
+  handleTrackingGap(data) {
+    // Background service worker was restarted and resumed this session
+    this.notify('trackingGap', data.gap);
+  }
+
   syncTrackingData(data) {
     this.trackingData.viewers.clear();
     for (const viewer of data.viewers) {
@@ -0,0 +1,208 @@
+// Bot detection strategies
+// A detector declares its name and parameters, turns account creation counts into
+// per-month bots and totals (detect), and splits a history point into users/bots
+// for the charts and stats (splitHistoryPoint). The data manager runs the active one.
+window.BotDetectors = class BotDetectors {
+  static DEFAULT_ID = 'baseline';
+  static detectors = new Map();
+
+  // detector: { id, name, description, parameters: { key: { default, description } },
+  //   detect(context, params) -> { monthData, totalBots, totalAccounts, totalNonBots,
+  //     threshold, averagePreStartAccounts, totalBotsLower?, totalBotsUpper? (95% interval, see bootstrapBotInterval),
+  //     flaggedViewers?, explanation? },
+  //   splitHistoryPoint?(point) -> { nonBots, bots } }
+  // context: { dataManager, monthlyCounts, dayCounts, startDate, thresholdScale? (monthKey -> factor) }
+  static register(detector) {
+    if (!detector?.id || !detector.name || typeof detector.detect !== 'function') {
+      throw new Error('Bot detector needs an id, a name and a detect() function');
+    }
+
+    this.detectors.set(detector.id, {
+      description: '',
+      parameters: {},
+      splitHistoryPoint: BotDetectors.splitByDetectedBots,
+      ...detector
+    });
+  }
+
+  // Unknown ids (e.g. a detector removed since the choice was made) fall back to the default
+  static get(id) {
+    return this.detectors.get(id) || this.detectors.get(this.DEFAULT_ID);
+  }
+
+  static list() {
+    return Array.from(this.detectors.values());
+  }
+
+  // Parameter defaults, with any overrides applied on top
+  static resolveParameters(detector, overrides = {}) {
+    const params = {};
+    for (const [key, definition] of Object.entries(detector.parameters)) {
+      params[key] = overrides[key] !== undefined ? overrides[key] : definition.default;
+    }
+    return params;
+  }
+
+  // Users are authenticated viewers minus the detected bots
+  static splitByDetectedBots(point) {
+    return {
+      nonBots: Math.max(0, point.authenticatedNonBots || 0),
+      bots: Math.max(0, point.bots || 0)
+    };
+  }
+};
+
+// Current algorithm: per-month baseline with the busiest months excluded (blended with the
+// population prior for channels with few dated accounts), age multipliers for recent months
+// and a 10% minimum.
+// Parameters that are advanced detection settings take their default from the settings schema
+// (the data manager passes the current settings as overrides)
+const detectionSetting = (key) => ({
+  default: window.SettingsManager.SCHEMA[key].default,
+  description: window.SettingsManager.SCHEMA[key].description
+});
+
+window.BotDetectors.register({
+  id: 'baseline',
+  name: 'Normal',
+  description: 'Flags creation months with more accounts than the channel baseline allows',
+  parameters: {
+    excludedTopMonths: detectionSetting('excludedTopMonths'),
+    excludedTopMonthsLarge: detectionSetting('excludedTopMonthsLarge'),
+    baselineMultiplier: detectionSetting('baselineMultiplier'),
+    ageMultipliers: detectionSetting('ageMultipliers'),
+    minimumThreshold: { default: 5, description: 'Lowest accounts-per-month threshold' },
+    strictThresholdDivisor: { default: 3, description: 'Once a month is flagged, accounts above threshold / divisor count as bots' },
+    minimumBotPercentage: detectionSetting('minimumBotPercentage'),
+    priorFullWeightAccounts: { default: 500, description: 'Dated accounts needed before the channel baseline stands on its own; below that the population prior from saved sessions is blended in (0 turns it off)' }
+  },
+
+  detect({ dataManager, monthlyCounts, startDate, thresholdScale = null }, params) {
+    const getBaseline = (counts) => {
+      const baselineStats = dataManager.blendBaselineWithPrior(
+        dataManager.calculateBaselineStats(counts, startDate, params),
+        startDate,
+        params
+      );
+      const threshold = dataManager.calculateMaxExpectedAccounts(
+        baselineStats.totalPostStartMonthsExcludingTopx,
+        baselineStats.totalPostStartAccountsExcludingTopx,
+        params
+      );
+      return { baselineStats, threshold };
+    };
+
+    const { baselineStats, threshold: calculatedThreshold } = getBaseline(monthlyCounts);
+    let threshold = calculatedThreshold;
+
+    // Store the calculated threshold before applying any override
+    const pageControls = dataManager.getPageControls();
+    if (pageControls) {
+      pageControls.calculatedBotThreshold = threshold;
+    }
+
+    // Check for manual override from bot threshold slider
+    const overridden = pageControls && !pageControls.botThresholdLocked &&
+      pageControls.botThresholdOverride !== null;
+    if (overridden) {
+      threshold = pageControls.botThresholdOverride;
+    } else if (pageControls) {
+      // Update the slider with the calculated value (if unlocked)
+      pageControls.updateBotThresholdSlider(threshold);
+    }
+
+    const counts = dataManager.calculateBotCounts(monthlyCounts, startDate, threshold, params, thresholdScale);
+
+    // Apply minimum threshold (10% rule)
+    const stats = dataManager.getStats();
+    const suppressed = dataManager.shouldIgnoreBotDetection(counts.totalBots, stats.accountsWithDates, params);
+    let result;
+    if (suppressed) {
+      result = dataManager.resetBotCounts(counts.monthData);
+    } else {
+      // Bounds: the whole detection re-run on resampled counts, with the baseline and threshold
+      // re-estimated each time (a manual threshold override stays fixed) and the 10% rule applied
+      let observedAccounts = 0;
+      monthlyCounts.forEach(count => { observedAccounts += count; });
+      const interval = dataManager.bootstrapBotInterval(monthlyCounts, (resampled) => {
+        const resampledThreshold = overridden ? threshold : getBaseline(resampled).threshold;
+        const resampledBots = dataManager.calculateBotCounts(resampled, startDate, resampledThreshold, params, thresholdScale).totalBots;
+        let resampledAccounts = 0;
+        resampled.forEach(count => { resampledAccounts += count; });
+        const accountsWithDates = stats.accountsWithDates + resampledAccounts - observedAccounts;
+        return dataManager.shouldIgnoreBotDetection(resampledBots, accountsWithDates, params) ? 0 : resampledBots;
+      });
+      result = {
+        ...counts,
+        totalBotsLower: Math.min(counts.totalBots, interval.lower),
+        totalBotsUpper: Math.max(counts.totalBots, interval.upper)
+      };
+    }
+
+    return {
+      ...result,
+      threshold,
+      averagePreStartAccounts: baselineStats.averagePreStartAccounts,
+      // Shown in the month explanation panel
+      explanation: {
+        params,
+        baselineStats,
+        calculatedThreshold,
+        threshold,
+        months: counts.explanations,
+        suppressed,
+        botPercentage: stats.accountsWithDates > 0 ? (counts.totalBots / stats.accountsWithDates) * 100 : 0
+      }
+    };
+  }
+});
+
+// Same detection, but every authenticated viewer that isn't a dated non-bot counts as a bot.
+// For streams where bots rotate faster than their accounts can be looked up.
+window.BotDetectors.register({
+  id: 'high-churn',
+  name: 'High Churn',
+  description: 'Normal detection, counting authenticated viewers without a looked-up account as bots',
+  parameters: window.BotDetectors.get('baseline').parameters,
+
+  detect(context, params) {
+    return window.BotDetectors.get('baseline').detect(context, params);
+  },
+
+  splitHistoryPoint(point) {
+    const nonBots = Math.max(0, (point.accountsWithDates || 0) - (point.bots || 0));
+    return {
+      nonBots,
+      bots: Math.max(0, (point.totalAuthenticated || 0) - nonBots)
+    };
+  }
+});
+
+// Normal detection with a lower threshold for creation months where most accounts
+// still have the default avatar
+window.BotDetectors.register({
+  id: 'default-avatar',
+  name: 'Avatar-Aware',
+  description: 'Normal detection, stricter for creation months dominated by default avatars',
+  parameters: {
+    ...window.BotDetectors.get('baseline').parameters,
+    defaultAvatarShare: { default: 0.8, description: 'Share of default avatars that makes a month suspicious' },
+    defaultAvatarMinimumAccounts: { default: 10, description: 'Months with fewer dated accounts keep the normal threshold' },
+    defaultAvatarThresholdScale: { default: 0.5, description: 'Threshold multiplier for suspicious months' }
+  },
+
+  detect(context, params) {
+    const { months } = context.dataManager.getDefaultAvatarShares();
+    const thresholdScale = (monthKey) => {
+      const month = months.get(monthKey);
+      const avatarScale = month && month.total >= params.defaultAvatarMinimumAccounts &&
+        month.defaults / month.total >= params.defaultAvatarShare
+        ? params.defaultAvatarThresholdScale
+        : 1;
+      // Keep any calibration passed in by the data manager (manual labels)
+      return avatarScale * (context.thresholdScale ? context.thresholdScale(monthKey) : 1);
+    };
+
+    return window.BotDetectors.get('baseline').detect({ ...context, thresholdScale }, params);
+  }
+});
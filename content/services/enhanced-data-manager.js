@@ -1,7 +1,52 @@
 // Enhanced Data Manager with observer pattern and better memory management
-// Bot detection constants
-const BOT_DATE_RANGE_MONTHS_FROM_NOW = 1; // Exclude accounts created in past 1 month from bot detection
-const BOT_DATE_RANGE_START = '2020-01-01'; // Bot detection date range start - can be changed here without modifying settings
+// Bot detection constants (the tunable ones are advanced detection settings, see SettingsManager.DETECTION_PRESETS)
+const BOT_DETECTION_EXCLUDED_ROLES = new Set(['moderator', 'chatbot']); // Skipped when excludeStaffFromBotDetection is on
+
+// Per-viewer suspicion score: points per signal, adding up to 100
+const SUSPICION_WEIGHTS = {
+  botMonth: 40, // Created in a month the bot detector flagged
+  sameDay: 20, // Full points once SUSPICION_SAME_DAY_MAX viewers share the creation day
+  noBio: 15,
+  defaultAvatar: 15,
+  reusedAvatar: 15, // Profile image shared with other viewers (never together with defaultAvatar)
+  shortStay: 10 // Full points under SUSPICION_SHORT_STAY_MINUTES in stream, none after SUSPICION_LONG_STAY_MINUTES
+};
+const SUSPICION_SAME_DAY_MAX = 10;
+const SUSPICION_SHORT_STAY_MINUTES = 5;
+const SUSPICION_LONG_STAY_MINUTES = 30;
+
+// Sequential account ID clusters: neighbouring IDs (sorted) join a run when both gaps are small
+const ID_CLUSTER_MAX_GAP = 1000; // Max difference between neighbouring account IDs
+const ID_CLUSTER_MAX_TIME_GAP = 24 * 60 * 60 * 1000; // Max difference between their creation times
+const ID_CLUSTER_MIN_SIZE = 5; // Smallest run reported as a cluster
+
+// Creation bursts: at least BURST_MIN_ACCOUNTS accounts created within BURST_WINDOW_MINUTES
+const BURST_WINDOW_MINUTES = 10;
+const BURST_MIN_ACCOUNTS = 20;
+
+// Username pattern clusters: logins sharing a naming template
+const USERNAME_CLUSTER_MIN_SIZE = 5;
+const USERNAME_CLUSTER_MIN_LIFT = 2; // Observed / expected members before a template is reported
+const USERNAME_NO_VOWEL_RATE = 0.01; // Share of ordinary logins that are 6+ letters without a vowel
+
+// Duplicate bios: identical, near-identical (templated) or sharing a link
+const BIO_CLUSTER_MIN_SIZE = 3;
+const BIO_SHINGLE_SIZE = 5; // Characters per shingle
+const BIO_SIMILARITY_THRESHOLD = 0.5; // Jaccard similarity of shingle sets
+const BIO_MINHASH_BANDS = 16; // Locality-sensitive hashing: bands x rows MinHash values per bio
+const BIO_MINHASH_ROWS = 2;
+
+// Profile images: a custom image URL on this many accounts counts as reused
+const AVATAR_REUSE_MIN_ACCOUNTS = 3;
+
+// Manual labels: a creation month with this many labelled accounts gets its threshold calibrated
+const LABEL_CALIBRATION_MIN_LABELS = 3;
+const LABEL_CALIBRATION_BOT_SCALE = 0.5; // Threshold multiplier when most labels in the month are bots
+const LABEL_CALIBRATION_LEGIT_SCALE = 2; // Threshold multiplier when most labels in the month are legit
+
+const BOT_CONFIDENCE_Z = 1.96; // Bot estimate bounds are 95% intervals
+const BOT_BOOTSTRAP_SAMPLES = 100; // Resampled detection runs behind the bounds of the bot total
+const BOT_BOOTSTRAP_SEED = 0x5eed; // Fixed, so re-running detection on the same counts gives the same bounds
 
 window.EnhancedDataManager = class DataManager {
   constructor(settingsManager, errorHandler, apiClient) {
@@ -17,7 +62,8 @@ window.EnhancedDataManager = class DataManager {
         lastUpdated: null,
         totalRequests: 0,
         sessionStart: Date.now(),
-        errors: []
+        errors: [],
+        trackingGaps: []
       },
       // Historical viewing state
       showingLive: true,
@@ -36,6 +82,12 @@ window.EnhancedDataManager = class DataManager {
     this._monthsCache = null;
     this._topMonthsCache = null;
     this._topDaysCache = null;
+    this._idClustersCache = null;
+    this._burstsCache = null;
+    this._usernameClustersCache = null;
+    this._bioClustersCache = null;
+    this._avatarSharesCache = null;
+    this._reusedImagesCache = null;
     this._lastCreationDateHash = null; // Track when createdAt data changes
 
     this.observers = new Set();
@@ -44,6 +96,16 @@ window.EnhancedDataManager = class DataManager {
     this.cleanupInterval = null;
     this.heatmapProcessInterval = null;
     this.heatmapEnabled = true; // Heatmap tracking enabled by default
+    this.botDetectorId = window.BotDetectors.DEFAULT_ID; // Active strategy from BotDetectors
+    this.flaggedViewers = new Set(); // Usernames the active detector counts as bots
+    this.labelStore = null; // Shared LabelStore with manual bot / legit labels
+    this.unsubscribeLabels = null;
+    this.accountListStore = null; // Shared AccountListStore with the allowlist / blocklist
+    this.botExplanation = null; // Working of the last detection run (see explainBotMonth)
+    this.unsubscribeAccountLists = null;
+    this.populationPrior = null; // Shared PopulationPrior for channels with too little data of their own
+    this.priorChannelName = null; // Left out of the prior so a channel isn't compared with itself
+    this.unsubscribePrior = null;
     this.isAnalysisMode = false; // Analysis mode for viewing imported historical data
     this.analysisMetadata = null; // Store metadata about imported session
 
@@ -54,6 +116,19 @@ window.EnhancedDataManager = class DataManager {
     this.initCleanupInterval();
     // Don't auto-start heatmap processing - wait for user to enable it
 
+    // Re-run detection when the advanced detection settings change
+    this.detectionSettingsKey = JSON.stringify(this.settingsManager.getDetectionSettings());
+    this.unsubscribeSettings = this.settingsManager.subscribe(() => {
+      const key = JSON.stringify(this.settingsManager.getDetectionSettings());
+      if (key === this.detectionSettingsKey) return;
+
+      this.detectionSettingsKey = key;
+      if (!this.isAnalysisMode) {
+        this.invalidateAggregationCaches();
+        this.detectBots();
+      }
+    });
+
     // Subscribe to API client events for background tracking updates
     if (this.apiClient) {
       this.apiClient.subscribe((event, data) => {
@@ -110,6 +185,10 @@ window.EnhancedDataManager = class DataManager {
       clearInterval(this.heatmapProcessInterval);
       this.heatmapProcessInterval = null;
     }
+    this.unsubscribeLabels?.();
+    this.unsubscribeAccountLists?.();
+    this.unsubscribePrior?.();
+    this.unsubscribeSettings?.();
     this.observers.clear();
   }
 
@@ -172,6 +251,9 @@ window.EnhancedDataManager = class DataManager {
       let timedOutCount = 0;
       if (!this.isAnalysisMode && (!this.apiClient || !this.apiClient.isBackgroundTracking)) {
         timedOutCount = this.removeTimedOutViewers();
+      } else if (!this.isAnalysisMode) {
+        // Viewers restored from a persisted session are unknown to the background service
+        timedOutCount = this.removeStaleRestoredViewers();
       }
 
       // Enhanced viewer cleanup: Remove viewers inactive for 24+ hours BEFORE memory-based cleanup
@@ -237,6 +319,9 @@ window.EnhancedDataManager = class DataManager {
         });
       }
 
+      // Time in stream changes between detection runs
+      this.updateSuspicionScores();
+
       const historyCleanup = oldHistoryCount - this.state.history.length;
 
       if (historyCleanup > 0 || timedOutCount > 0) {
@@ -274,6 +359,7 @@ window.EnhancedDataManager = class DataManager {
         if (!this.state.viewers.has(cleanUsername)) {
           this.state.viewers.set(cleanUsername, {
             username: cleanUsername,
+            role: 'viewer',
             id: null,
             firstSeen: now,
             lastSeen: now,
@@ -284,6 +370,7 @@ window.EnhancedDataManager = class DataManager {
             accountsOnSameDay: 0,
             followingCount: undefined,
             isFollower: undefined,
+            accountList: this.accountListStore?.getStatus(cleanUsername) || null,
             hasPendingInfo: true,
             metadata: {
               apiAttempts: 0,
@@ -362,12 +449,16 @@ window.EnhancedDataManager = class DataManager {
   createSafeViewer(viewer) {
     return {
       username: viewer.username,
+      role: viewer.role || 'viewer',
       firstSeen: viewer.firstSeen,
       lastSeen: viewer.lastSeen,
       timeInStream: viewer.timeInStream || 0,
       isAuthenticated: viewer.isAuthenticated || true,
       createdAt: viewer.createdAt || null,
       id: viewer.id || null,
+      description: viewer.description || null,
+      hasDescription: !!(viewer.description && viewer.description.trim().length > 0),
+      profileImageURL: viewer.profileImageURL || null,
       hasPendingInfo: !viewer.createdAt && !viewer.id,
       metadata: {
         apiAttempts: 0,
@@ -377,6 +468,13 @@ window.EnhancedDataManager = class DataManager {
     };
   }
 
+  // Bio and avatar from a user info lookup, or from a background viewer that kept them
+  applyProfileInfo(viewer, info) {
+    viewer.description = info.description || null;
+    viewer.hasDescription = !!(info.description && info.description.trim().length > 0);
+    viewer.profileImageURL = info.profileImageURL || null;
+  }
+
   // Sync data manager viewers with background cleaned data (for cleanup events)
   syncWithBackgroundData(cleanedViewers, removedUsernames = null) {
     try {
@@ -449,22 +547,29 @@ window.EnhancedDataManager = class DataManager {
           if (!existingViewer) {
             // Add new viewer with safety checks for metadata
             const safeViewer = this.createSafeViewer(viewer);
+            this.applyAccountList(safeViewer);
             this.state.viewers.set(username, safeViewer);
             newViewersCount++;
           } else {
             // Update existing viewer
             existingViewer.lastSeen = viewer.lastSeen;
+            delete existingViewer.restoredFromSession;
             existingViewer.timeInStream = viewer.timeInStream || existingViewer.timeInStream;
             existingViewer.isAuthenticated = viewer.isAuthenticated || existingViewer.isAuthenticated;
+            if (viewer.role) {
+              existingViewer.role = viewer.role;
+            }
 
             // Update user info if available
             if (viewer.createdAt && !existingViewer.createdAt) {
               existingViewer.createdAt = viewer.createdAt;
               existingViewer.hasPendingInfo = false;
+              this.applyProfileInfo(existingViewer, viewer);
             }
             if (viewer.id && !existingViewer.id) {
               existingViewer.id = viewer.id;
               existingViewer.hasPendingInfo = false;
+              this.applyAccountList(existingViewer);
             }
           }
         }
@@ -532,13 +637,9 @@ window.EnhancedDataManager = class DataManager {
         if (userInfo.createdAt) {
           viewer.createdAt = userInfo.createdAt;
           viewer.id = userInfo.id;
+          this.applyAccountList(viewer); // Lists may name the account by user ID
 
-          // Store description and set hasDescription boolean
-          viewer.description = userInfo.description || null;
-          viewer.hasDescription = !!(userInfo.description && userInfo.description.trim().length > 0);
-
-          // Store profile image URL
-          viewer.profileImageURL = userInfo.profileImageURL || null;
+          this.applyProfileInfo(viewer, userInfo);
 
           // Update time tracking data now that we have creation date
           this.updateTimeTrackingData(username, viewer);
@@ -598,71 +699,285 @@ window.EnhancedDataManager = class DataManager {
 
 
 
-  // Bot detection with improved algorithm
+  // Switch bot detection strategy (see BotDetectors) and re-run detection
+  setBotDetector(detectorId) {
+    const detector = window.BotDetectors.get(detectorId);
+    if (detector.id === this.botDetectorId) return;
+
+    this.botDetectorId = detector.id;
+    this.detectBots();
+    this.notify('botDetectorChanged', { id: detector.id });
+  }
+
+  getBotDetector() {
+    return window.BotDetectors.get(this.botDetectorId);
+  }
+
+  // Manual labels feed into detection, so a label change re-runs it
+  setLabelStore(labelStore) {
+    this.unsubscribeLabels?.();
+    this.labelStore = labelStore;
+    this.unsubscribeLabels = labelStore?.subscribe(() => {
+      this.detectBots();
+      this.invalidateViewerListCache();
+      this.notify('labelsChanged', labelStore.getCounts());
+    }) || null;
+  }
+
+  setAccountListStore(accountListStore) {
+    this.unsubscribeAccountLists?.();
+    this.accountListStore = accountListStore;
+    this.applyAccountLists();
+    this.unsubscribeAccountLists = accountListStore?.subscribe(() => {
+      this.applyAccountLists();
+      this.invalidateAggregationCaches();
+      this.detectBots();
+      this.invalidateViewerListCache();
+      this.notify('accountListsChanged', accountListStore.getCounts());
+    }) || null;
+  }
+
+  // A rebuilt prior can change the baseline of thin channels, so it re-runs detection
+  setPopulationPrior(populationPrior, channelName) {
+    this.unsubscribePrior?.();
+    this.populationPrior = populationPrior;
+    this.priorChannelName = channelName;
+    this.unsubscribePrior = populationPrior?.subscribe(() => this.detectBots()) || null;
+  }
+
+  // Mark a viewer as allowlisted ('allow'), blocklisted ('block') or neither (null)
+  applyAccountList(viewer) {
+    viewer.accountList = this.accountListStore?.getStatus(viewer.username, viewer.id) || null;
+  }
+
+  applyAccountLists() {
+    for (const viewer of this.state.viewers.values()) {
+      this.applyAccountList(viewer);
+    }
+  }
+
+  // Blocklisted viewers present right now, shown as the known bots series
+  getKnownBotCount() {
+    let count = 0;
+    for (const viewer of this.state.viewers.values()) {
+      if (viewer.accountList === 'block') count++;
+    }
+    return count;
+  }
+
+  // The blocklist and allowlist take precedence over manual labels
+  getEffectiveLabel(viewer) {
+    if (viewer.accountList === 'block') return 'bot';
+    if (viewer.accountList === 'allow') return 'legit';
+    return this.getViewerLabel(viewer.username);
+  }
+
+  getViewerLabel(username) {
+    return this.labelStore?.get(username) || null;
+  }
+
+  // label: 'bot', 'legit' or 'unknown' (clears the label)
+  async setViewerLabel(usernames, label) {
+    if (!this.labelStore) return false;
+    await this.labelStore.setLabel(usernames, label);
+    return true;
+  }
+
+  // Labelled bot / legit accounts per creation month (YYYY-MM), among tracked viewers
+  getLabelledMonthCounts() {
+    const months = new Map();
+    if (!this.labelStore && !this.accountListStore) return months;
+
+    for (const viewer of this.state.viewers.values()) {
+      if (!viewer.createdAt || this.isExcludedFromBotDetection(viewer)) continue;
+
+      const label = this.getEffectiveLabel(viewer);
+      if (!label) continue;
+
+      const monthKey = new Date(viewer.createdAt).toISOString().slice(0, 7);
+      const entry = months.get(monthKey) || { bot: 0, legit: 0 };
+      entry[label]++;
+      months.set(monthKey, entry);
+    }
+    return months;
+  }
+
+  // Threshold multiplier per month from its labels (see LABEL_CALIBRATION_*)
+  getLabelThresholdScale(labelledMonths) {
+    return (monthKey) => {
+      const entry = labelledMonths.get(monthKey);
+      if (!entry || entry.bot + entry.legit < LABEL_CALIBRATION_MIN_LABELS) return 1;
+      if (entry.bot > entry.legit) return LABEL_CALIBRATION_BOT_SCALE;
+      if (entry.legit > entry.bot) return LABEL_CALIBRATION_LEGIT_SCALE;
+      return 1;
+    };
+  }
+
+  // Labelled accounts override the detector: each month counts at least its labelled bots
+  // as bots and never counts its labelled legit accounts as bots
+  applyLabelOverrides(result, labelledMonths) {
+    if (labelledMonths.size === 0) return result;
+
+    let totalBots = 0;
+    let totalNonBots = 0;
+    const monthData = result.monthData.map(month => {
+      const labelled = labelledMonths.get(month.month);
+      const count = month.nonBots + month.bots;
+      const bots = labelled
+        ? Math.max(0, Math.min(Math.max(month.bots, labelled.bot), count - labelled.legit))
+        : month.bots;
+
+      totalBots += bots;
+      totalNonBots += count - bots;
+      return { ...month, nonBots: count - bots, bots };
+    });
+
+    // Labels are certain, so the interval moves with the total
+    const shift = totalBots - result.totalBots;
+    const totalBotsLower = result.totalBotsLower !== undefined ? Math.max(0, Math.min(totalBots, result.totalBotsLower + shift)) : undefined;
+    const totalBotsUpper = result.totalBotsUpper !== undefined ? Math.max(totalBots, result.totalBotsUpper + shift) : undefined;
+
+    return { ...result, monthData, totalBots, totalNonBots, totalBotsLower, totalBotsUpper };
+  }
+
+  // Bot detection, delegated to the active detector
   detectBots() {
     try {
-      const config = this.settingsManager.get();
-      const startDate = new Date(BOT_DATE_RANGE_START);
-      const endDate = new Date();
-      endDate.setMonth(endDate.getMonth() - BOT_DATE_RANGE_MONTHS_FROM_NOW);
+      const startDate = this.getBotDateRangeStart();
 
       // Step 1: Build monthly and daily counts
       const { monthlyCounts, dayCounts } = this.buildAccountCreationCounts();
 
-      // Step 2: Set same-day account counts for each viewer
+      // Step 2: Set same-day and same-image account counts for each viewer
       this.setAccountsOnSameDay(dayCounts);
+      this.setAccountsWithSameImage();
 
-      // Step 3: Calculate baseline statistics
-      const baselineStats = this.calculateBaselineStats(monthlyCounts, startDate);
+      // Step 3: Run the active detector, with month thresholds calibrated by manual labels
+      const detector = this.getBotDetector();
+      const params = window.BotDetectors.resolveParameters(detector, this.settingsManager.getDetectionSettings());
+      const labelledMonths = this.getLabelledMonthCounts();
+      const thresholdScale = labelledMonths.size > 0 ? this.getLabelThresholdScale(labelledMonths) : null;
+      const detected = detector.detect({ dataManager: this, monthlyCounts, dayCounts, startDate, thresholdScale }, params);
 
-      // Step 4: Detect bots with initial threshold (excluding top 5 months for more accurate baseline)
-      let maxExpectedAccounts = this.calculateMaxExpectedAccounts(
-        baselineStats.totalPostStartMonthsExcludingTopx,
-        baselineStats.totalPostStartAccountsExcludingTopx
-      );
+      // Step 4: Manual labels override the result for the labelled accounts
+      const result = this.applyLabelOverrides(detected, labelledMonths);
 
-      // Store the calculated threshold before applying any override
-      if (window.trackingPageManager) {
-        window.trackingPageManager.calculatedBotThreshold = maxExpectedAccounts;
-      }
+      // Step 5: Store results in state
+      this.botExplanation = result.explanation || null;
+      this.storeBotDetectionResults(result, result.threshold, result.averagePreStartAccounts);
+      this.flaggedViewers = this.applyLabelsToFlagged(result.flaggedViewers || this.getViewersInBotMonths(result.monthData));
+      this.updateSuspicionScores();
 
-      // Check for manual override from bot threshold slider
-      if (window.trackingPageManager && !window.trackingPageManager.botThresholdLocked &&
-        window.trackingPageManager.botThresholdOverride !== null) {
-        maxExpectedAccounts = window.trackingPageManager.botThresholdOverride;
-      } else {
-        // Update the slider with the calculated value (if unlocked)
-        if (window.trackingPageManager) {
-          window.trackingPageManager.updateBotThresholdSlider(maxExpectedAccounts);
-        }
+      if (result.totalBots > 0) {
+        this.notify('botsDetected', Math.round(result.totalBots));
       }
 
-      let result = this.calculateBotCounts(monthlyCounts, startDate, maxExpectedAccounts);
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Bot Detection');
+    }
+  }
 
-      // Step 5: Refine threshold if needed and recalculate
-      // Temp removed
-      /*      const refinedThreshold = this.calculateRefinedThreshold(result.totalNonBots);
-      
-            if (refinedThreshold < maxExpectedAccounts) {
-              maxExpectedAccounts = refinedThreshold;
-              result = this.calculateBotCounts(monthlyCounts, startDate, maxExpectedAccounts);
-            }
-      */
-      // Step 6: Apply minimum threshold (10% rule)
-      const stats = this.getStats();
-      if (this.shouldIgnoreBotDetection(result.totalBots, stats.accountsWithDates)) {
-        result = this.resetBotCounts(result.monthData);
-      }
+  // Tracking page controls (bot threshold slider) only apply to the channel currently on screen
+  getPageControls() {
+    const page = window.trackingPageManager;
+    if (!page) return null;
+    if (page.isDisplayedDataManager && !page.isDisplayedDataManager(this)) return null;
+    return page;
+  }
 
-      // Step 7: Store results in state
-      this.storeBotDetectionResults(result, maxExpectedAccounts, baselineStats.averagePreStartAccounts);
+  // Detectors that only work per month flag every viewer created in a month with bots
+  getViewersInBotMonths(monthData) {
+    const botMonths = new Set(monthData.filter(month => month.bots > 0).map(month => month.month));
+    const flagged = new Set();
+    if (botMonths.size === 0) return flagged;
 
-      if (result.totalBots > 0) {
-        this.notify('botsDetected', Math.round(result.totalBots));
+    for (const [username, viewer] of this.state.viewers.entries()) {
+      if (this.isExcludedFromBotDetection(viewer)) continue;
+      if (viewer.createdAt && botMonths.has(new Date(viewer.createdAt).toISOString().slice(0, 7))) {
+        flagged.add(username);
       }
+    }
+    return flagged;
+  }
 
-    } catch (error) {
-      this.errorHandler?.handle(error, 'DataManager Bot Detection');
+  // Known chatbots and moderators are left out of bot detection (on by default)
+  isExcludedFromBotDetection(viewer) {
+    if (viewer.accountList === 'allow') return true;
+    return BOT_DETECTION_EXCLUDED_ROLES.has(viewer.role) &&
+      this.settingsManager.get('excludeStaffFromBotDetection');
+  }
+
+  // Viewers per CommunityTab role
+  getRoleCounts() {
+    const counts = { broadcaster: 0, moderator: 0, vip: 0, chatbot: 0, viewer: 0 };
+    for (const viewer of this.state.viewers.values()) {
+      const role = viewer.role || 'viewer';
+      counts[role] = (counts[role] || 0) + 1;
+    }
+    return counts;
+  }
+
+  applyLabelsToFlagged(flagged) {
+    if (!this.labelStore && !this.accountListStore) return flagged;
+
+    for (const viewer of this.state.viewers.values()) {
+      const label = this.getEffectiveLabel(viewer);
+      if (label === 'bot') flagged.add(viewer.username);
+      if (label === 'legit') flagged.delete(viewer.username);
+    }
+    return flagged;
+  }
+
+  isFlaggedAsBot(username) {
+    return this.flaggedViewers.has(username.toLowerCase());
+  }
+
+  // Signals behind a viewer's suspicion score, with the points each one adds
+  getSuspicionSignals(viewer) {
+    // A list entry or manual label settles it
+    if (viewer.accountList === 'block') return [{ label: 'On blocklist', points: 100 }];
+    if (viewer.accountList === 'allow') return [{ label: 'On allowlist', points: 0 }];
+    const label = this.getViewerLabel(viewer.username);
+    if (label === 'bot') return [{ label: 'Labelled as bot', points: 100 }];
+    if (label === 'legit') return [{ label: 'Labelled as legit', points: 0 }];
+
+    const signals = [];
+    if (this.flaggedViewers.has(viewer.username)) {
+      signals.push({ label: 'Botted creation month', points: SUSPICION_WEIGHTS.botMonth });
+    }
+
+    const sameDay = viewer.accountsOnSameDay || 0;
+    if (sameDay > 1) {
+      const share = Math.min(1, (sameDay - 1) / (SUSPICION_SAME_DAY_MAX - 1));
+      signals.push({ label: `${sameDay} accounts created the same day`, points: SUSPICION_WEIGHTS.sameDay * share });
+    }
+
+    if (!viewer.hasDescription) {
+      signals.push({ label: 'No bio', points: SUSPICION_WEIGHTS.noBio });
+    }
+
+    if (this.hasDefaultAvatar(viewer)) {
+      signals.push({ label: 'Default avatar', points: SUSPICION_WEIGHTS.defaultAvatar });
+    } else if ((viewer.accountsWithSameImage || 0) >= AVATAR_REUSE_MIN_ACCOUNTS) {
+      signals.push({ label: `Profile image shared by ${viewer.accountsWithSameImage} accounts`, points: SUSPICION_WEIGHTS.reusedAvatar });
+    }
+
+    const minutesInStream = ((viewer.lastSeen || 0) - (viewer.firstSeen || 0)) / 60000;
+    if (minutesInStream < SUSPICION_LONG_STAY_MINUTES) {
+      const share = Math.min(1, (SUSPICION_LONG_STAY_MINUTES - minutesInStream) /
+        (SUSPICION_LONG_STAY_MINUTES - SUSPICION_SHORT_STAY_MINUTES));
+      signals.push({ label: 'Short time in stream', points: SUSPICION_WEIGHTS.shortStay * share });
+    }
+
+    return signals;
+  }
+
+  // 0-100 score per viewer; null until the account info (creation date, bio, avatar) is known
+  updateSuspicionScores() {
+    for (const viewer of this.state.viewers.values()) {
+      viewer.suspicionScore = viewer.createdAt
+        ? Math.round(this.getSuspicionSignals(viewer).reduce((sum, signal) => sum + signal.points, 0))
+        : null;
     }
   }
 
@@ -672,7 +987,7 @@ window.EnhancedDataManager = class DataManager {
     const dayCounts = new Map();
 
     for (const viewer of this.state.viewers.values()) {
-      if (!viewer.createdAt) continue;
+      if (!viewer.createdAt || this.isExcludedFromBotDetection(viewer)) continue;
 
       const createdDate = new Date(viewer.createdAt);
 
@@ -700,8 +1015,28 @@ window.EnhancedDataManager = class DataManager {
     }
   }
 
+  // Twitch serves the placeholder avatars from user-default-pictures; no URL is treated the same
+  hasDefaultAvatar(viewer) {
+    return !viewer.profileImageURL || viewer.profileImageURL.includes('user-default-pictures');
+  }
+
+  // Helper: Set accountsWithSameImage for each viewer (custom profile images only)
+  setAccountsWithSameImage() {
+    const imageCounts = new Map();
+    for (const viewer of this.state.viewers.values()) {
+      if (!viewer.createdAt || this.hasDefaultAvatar(viewer)) continue;
+      imageCounts.set(viewer.profileImageURL, (imageCounts.get(viewer.profileImageURL) || 0) + 1);
+    }
+
+    for (const viewer of this.state.viewers.values()) {
+      viewer.accountsWithSameImage = viewer.createdAt && !this.hasDefaultAvatar(viewer)
+        ? imageCounts.get(viewer.profileImageURL) || 0
+        : 0;
+    }
+  }
+
   // Helper: Calculate baseline statistics (pre and post start date)
-  calculateBaselineStats(monthlyCounts, startDate) {
+  calculateBaselineStats(monthlyCounts, startDate, params) {
     let totalPreStartAccounts = 0;
     let totalPreStartMonths = 0;
     let totalPostStartAccounts = 0;
@@ -725,9 +1060,11 @@ window.EnhancedDataManager = class DataManager {
       ? totalPreStartAccounts / totalPreStartMonths
       : 0;
 
-    // Calculate total excluding top 5 months (for more accurate baseline)
+    // Calculate total excluding the busiest months (for more accurate baseline)
     let totalPostStartAccountsExcludingTopx = totalPostStartAccounts;
-    let monthsToIgnore = totalPostStartMonths < 20 ? 5 : 10; // Ignore more months if more data available
+    let monthsToIgnore = totalPostStartMonths < 20 // Ignore more months if more data available
+      ? params.excludedTopMonths
+      : params.excludedTopMonthsLarge;
     let totalPostStartMonthsExcludingTopx = totalPostStartMonths;
 
     if (postStartMonths.length > monthsToIgnore) {
@@ -753,27 +1090,79 @@ window.EnhancedDataManager = class DataManager {
     };
   }
 
+  // Helper: Blend the population prior into the baseline of a channel with few dated accounts
+  // The channel's own average gets weight datedAccounts / priorFullWeightAccounts; the rest comes from
+  // the prior's typical share per post-start month, scaled to this channel's dated accounts
+  blendBaselineWithPrior(baselineStats, startDate, params) {
+    const channelMonths = baselineStats.totalPostStartMonthsExcludingTopx;
+    const channelAverage = channelMonths > 0 ? baselineStats.totalPostStartAccountsExcludingTopx / channelMonths : 0;
+    const datedAccounts = baselineStats.totalPreStartAccounts + baselineStats.totalPostStartAccounts;
+    const channelBaseline = { ...baselineStats, baselineSource: 'channel', channelWeight: 1, channelAverage };
+
+    const fullWeight = params.priorFullWeightAccounts;
+    if (!fullWeight || datedAccounts >= fullWeight) return channelBaseline;
+
+    const prior = this.populationPrior?.getPrior(this.priorChannelName);
+    if (!prior) return channelBaseline;
+
+    const now = new Date();
+    const monthsInRange = Math.max(1,
+      (now.getFullYear() - startDate.getFullYear()) * 12 + (now.getMonth() - startDate.getMonth()) + 1);
+    let priorShare = 0;
+    for (const [monthKey, share] of prior.months) {
+      if (new Date(monthKey + '-01') >= startDate) priorShare += share;
+    }
+    const priorAverage = datedAccounts * priorShare / monthsInRange;
+
+    const channelWeight = datedAccounts / fullWeight;
+    const months = Math.max(1, channelMonths);
+    return {
+      ...baselineStats,
+      totalPostStartAccountsExcludingTopx: (channelWeight * channelAverage + (1 - channelWeight) * priorAverage) * months,
+      totalPostStartMonthsExcludingTopx: months,
+      baselineSource: channelWeight > 0 ? 'blended' : 'prior',
+      channelWeight,
+      channelAverage,
+      priorAverage,
+      priorChannels: prior.channels
+    };
+  }
+
+  // Which baseline the last detection run used (see blendBaselineWithPrior), null before one ran
+  getBaselineSource() {
+    const baselineStats = this.botExplanation?.baselineStats;
+    if (!baselineStats) return null;
+
+    return {
+      source: baselineStats.baselineSource || 'channel',
+      channelWeight: baselineStats.channelWeight ?? 1,
+      priorChannels: baselineStats.priorChannels || 0
+    };
+  }
+
   // Helper: Calculate maximum expected accounts per month
-  calculateMaxExpectedAccounts(totalPostStartMonthsExcludingTopx, totalPostStartExcludingTopx) {
+  calculateMaxExpectedAccounts(totalPostStartMonthsExcludingTopx, totalPostStartExcludingTopx, params) {
+    const { minimumThreshold } = params;
+
     // Safety check: prevent division by zero
     if (totalPostStartMonthsExcludingTopx === 0 || !isFinite(totalPostStartMonthsExcludingTopx)) {
-      return 5; // Return minimum threshold if no valid data
+      return minimumThreshold; // Return minimum threshold if no valid data
     }
 
-    // If we have less than 5 unique months, use default expected value of 5
+    // If we have less than 5 unique months, use the minimum threshold
     // No big stream will have less than 5 unique months, so we shouldn't calculate from limited data
     if (totalPostStartMonthsExcludingTopx <= 5) {
-      return 5; // Return default threshold for insufficient data
+      return minimumThreshold; // Return default threshold for insufficient data
     }
 
-    let maxExpected = Math.ceil((totalPostStartExcludingTopx / totalPostStartMonthsExcludingTopx) * 5);
+    let maxExpected = Math.ceil((totalPostStartExcludingTopx / totalPostStartMonthsExcludingTopx) * params.baselineMultiplier);
 
     // Ensure the result is finite and reasonable
     if (!isFinite(maxExpected) || maxExpected < 0) {
-      return 5; // Return minimum threshold if calculation fails
+      return minimumThreshold; // Return minimum threshold if calculation fails
     }
 
-    return Math.max(maxExpected, 5); // Minimum of 5
+    return Math.max(maxExpected, minimumThreshold);
   }
 
   // Helper: Calculate refined threshold based on non-bot accounts
@@ -782,16 +1171,76 @@ window.EnhancedDataManager = class DataManager {
     return Math.max(refined, 5); // Minimum of 5
   }
 
+  // 95% interval for a Poisson count (Wilson-Hilferty approximation)
+  getPoissonInterval(count) {
+    const bound = (k, sign) => k * Math.pow(1 - 1 / (9 * k) + sign * BOT_CONFIDENCE_Z / (3 * Math.sqrt(k)), 3);
+    return {
+      lower: count > 0 ? Math.max(0, bound(count, -1)) : 0,
+      upper: bound(count + 1, 1)
+    };
+  }
+
+  // 95% interval for a detector's bot total. Every month's count is redrawn as a Poisson count and
+  // estimateBots(resampledCounts) runs the detection again, baseline and threshold included, so the
+  // bounds carry the uncertainty of the baseline as well as of each month's count
+  bootstrapBotInterval(monthlyCounts, estimateBots) {
+    let state = BOT_BOOTSTRAP_SEED;
+    const random = () => { // mulberry32
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const drawPoisson = (mean) => {
+      if (mean <= 0) return 0;
+      if (mean > 30) { // Normal approximation
+        const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+      }
+      // Inverse transform: walk the cumulative distribution until it passes one uniform draw
+      const target = random();
+      let draws = 0;
+      let probability = Math.exp(-mean);
+      let cumulative = probability;
+      while (cumulative < target && draws < mean * 10) {
+        draws++;
+        probability *= mean / draws;
+        cumulative += probability;
+      }
+      return draws;
+    };
+
+    const totals = [];
+    for (let i = 0; i < BOT_BOOTSTRAP_SAMPLES; i++) {
+      const resampled = new Map();
+      for (const [monthKey, count] of monthlyCounts) {
+        resampled.set(monthKey, drawPoisson(count));
+      }
+      totals.push(estimateBots(resampled));
+    }
+    totals.sort((a, b) => a - b);
+
+    const tail = (1 - 0.95) / 2;
+    return {
+      lower: totals[Math.floor(tail * (totals.length - 1))],
+      upper: totals[Math.ceil((1 - tail) * (totals.length - 1))]
+    };
+  }
+
   // Helper: Calculate bot counts for each month
-  calculateBotCounts(monthlyCounts, startDate, maxExpectedAccounts) {
+  // thresholdScale (optional): monthKey -> factor applied to that month's threshold
+  // explanations has each month's working (see explainBotMonth); its botsLower/botsUpper only run
+  // that month's count through the same thresholds at both ends of its Poisson interval
+  calculateBotCounts(monthlyCounts, startDate, maxExpectedAccounts, params, thresholdScale = null) {
     let totalBots = 0;
     let totalAccounts = 0;
     let totalNonBots = 0;
     const monthData = [];
+    const explanations = new Map();
     const now = new Date();
 
-    // Calculate 12 months after BOT_DATE_RANGE_START
-    const botStartDate = new Date(BOT_DATE_RANGE_START);
+    // Calculate 12 months after the start of the detection date range
+    const botStartDate = new Date(startDate);
     const twelveMonthsAfterStart = new Date(botStartDate);
     twelveMonthsAfterStart.setMonth(twelveMonthsAfterStart.getMonth() + 12);
 
@@ -807,32 +1256,59 @@ window.EnhancedDataManager = class DataManager {
       // Apply time-based decay for recent months (0-12 months old)
       // Recent months get more lenient thresholds to avoid false positives during growth
       let thresholdMultiplier = 1.0;
+      let multiplierReason = 'Older than 9 months';
 
       // Check if month is in early bot detection period (BOT_START_DATE to +12 months)
+      const { ageMultipliers } = params;
       if (monthDate >= botStartDate && monthDate < twelveMonthsAfterStart) {
-        thresholdMultiplier = 1.5; // Early detection period: More lenient due to COVID growth
+        thresholdMultiplier = ageMultipliers.earlyPeriod; // Early detection period: More lenient due to COVID growth
+        multiplierReason = 'First 12 months of the detection range';
       } else if (monthAge < 3) {
-        thresholdMultiplier = 2; // 0-3 months: Very lenient
+        thresholdMultiplier = ageMultipliers.under3Months; // 0-3 months: Very lenient
+        multiplierReason = 'Under 3 months old';
       } else if (monthAge < 6) {
-        thresholdMultiplier = 1.5; // 4-6 months: Moderately lenient
+        thresholdMultiplier = ageMultipliers.under6Months; // 4-6 months: Moderately lenient
+        multiplierReason = '3-6 months old';
       } else if (monthAge < 9) {
-        thresholdMultiplier = 1.25; // 7-9 months: Slightly lenient
+        thresholdMultiplier = ageMultipliers.under9Months; // 7-9 months: Slightly lenient
+        multiplierReason = '6-9 months old';
       }
 
       // 12+ months and beyond early period: No decay (strict detection)
 
-      const adjustedThreshold = maxExpectedAccounts * thresholdMultiplier;
+      const scale = thresholdScale ? thresholdScale(monthKey) : 1;
+      const adjustedThreshold = maxExpectedAccounts * thresholdMultiplier * scale;
+      const strictThreshold = adjustedThreshold / params.strictThresholdDivisor;
 
       // Calculate bots for this month
       let bots = Math.max(0, count - adjustedThreshold);
 
-      // If bots detected, use stricter threshold (1/3 of adjusted)
+      // If bots detected, use stricter threshold (1/3 of adjusted by default)
       if (bots > 0) {
-        bots = Math.max(0, count - (adjustedThreshold / 3));
+        bots = Math.max(0, count - strictThreshold);
       }
 
       const nonBots = count - bots;
 
+      const botsAt = (value) => value > adjustedThreshold ? Math.max(0, value - strictThreshold) : 0;
+      const interval = this.getPoissonInterval(count);
+      const botsLower = Math.min(bots, botsAt(interval.lower));
+      const botsUpper = Math.max(bots, botsAt(interval.upper));
+
+      explanations.set(monthKey, {
+        count,
+        monthAge,
+        thresholdMultiplier,
+        multiplierReason,
+        thresholdScale: scale,
+        adjustedThreshold,
+        strictThreshold,
+        overThreshold: count > adjustedThreshold,
+        bots: Math.round(bots),
+        botsLower: Math.round(botsLower),
+        botsUpper: Math.round(botsUpper)
+      });
+
       monthData.push({
         month: monthKey,
         nonBots: Math.round(nonBots),
@@ -844,15 +1320,67 @@ window.EnhancedDataManager = class DataManager {
       totalNonBots += nonBots;
     }
 
-    return { totalBots, totalAccounts, totalNonBots, monthData };
+    return {
+      totalBots,
+      totalAccounts,
+      totalNonBots,
+      monthData,
+      explanations
+    };
+  }
+
+  // Working behind one month's bot count, from the last detection run; null if the
+  // active detector doesn't report it (e.g. an imported session that wasn't re-run)
+  explainBotMonth(monthKey) {
+    const explanation = this.botExplanation;
+    if (!explanation) return null;
+
+    const count = this.buildAccountCreationCounts().monthlyCounts.get(monthKey) || 0;
+    const finalMonth = (this.state.metadata.accountGraphMonthData || []).find(month => month.month === monthKey);
+    const base = {
+      monthKey,
+      count,
+      detectorName: this.getBotDetector().name,
+      finalBots: finalMonth ? finalMonth.bots : 0,
+      labelled: this.getLabelledMonthCounts().get(monthKey) || null
+    };
+
+    const rangeStart = this.getBotDateRangeStart();
+    if (new Date(monthKey + '-01') < rangeStart) {
+      return { ...base, beforeRange: true, rangeStart: rangeStart.toISOString().slice(0, 10) };
+    }
+
+    const { baselineStats, params } = explanation;
+    return {
+      ...base,
+      beforeRange: false,
+      params,
+      baselineAverage: baselineStats.totalPostStartMonthsExcludingTopx > 0
+        ? baselineStats.totalPostStartAccountsExcludingTopx / baselineStats.totalPostStartMonthsExcludingTopx
+        : 0,
+      baselineMonths: baselineStats.totalPostStartMonthsExcludingTopx,
+      excludedMonths: Math.max(0, baselineStats.totalPostStartMonths - baselineStats.totalPostStartMonthsExcludingTopx),
+      baselineSource: this.getBaselineSource(),
+      calculatedThreshold: explanation.calculatedThreshold,
+      threshold: explanation.threshold,
+      thresholdOverridden: explanation.threshold !== explanation.calculatedThreshold,
+      month: explanation.months.get(monthKey) || null,
+      suppressed: explanation.suppressed,
+      botPercentage: explanation.botPercentage
+    };
+  }
+
+  // Accounts created before this date are never counted as bots
+  getBotDateRangeStart() {
+    return new Date(this.settingsManager.get('botDateRangeStart'));
   }
 
-  // Helper: Check if bot detection should be ignored (< 10% threshold)
-  shouldIgnoreBotDetection(botsDetected, accountsWithDates) {
+  // Helper: Check if bot detection should be ignored (< 10% threshold by default)
+  shouldIgnoreBotDetection(botsDetected, accountsWithDates, params) {
     if (accountsWithDates === 0) return true;
 
     const botPercentage = (botsDetected / accountsWithDates) * 100;
-    return botPercentage < 10;
+    return botPercentage < params.minimumBotPercentage;
   }
 
   // Helper: Reset bot counts (when below threshold)
@@ -865,6 +1393,8 @@ window.EnhancedDataManager = class DataManager {
 
     return {
       totalBots: 0,
+      totalBotsLower: 0,
+      totalBotsUpper: 0,
       totalAccounts: monthData.reduce((sum, m) => sum + m.nonBots + m.bots, 0),
       totalNonBots: monthData.reduce((sum, m) => sum + m.nonBots + m.bots, 0),
       monthData: resetMonthData
@@ -874,6 +1404,9 @@ window.EnhancedDataManager = class DataManager {
   // Helper: Store bot detection results in state
   storeBotDetectionResults(result, maxExpected, averagePreStart) {
     this.state.metadata.botsDetected = Math.round(result.totalBots);
+    // Detectors that don't report an interval get a zero-width one
+    this.state.metadata.botsLower = Math.round(result.totalBotsLower ?? result.totalBots);
+    this.state.metadata.botsUpper = Math.round(result.totalBotsUpper ?? result.totalBots);
     this.state.metadata.accountGraphMonthData = result.monthData;
     this.state.metadata.accountsInBotRange = Math.round(result.totalAccounts);
     this.state.metadata.maxExpectedPostStartAccounts = Math.ceil(maxExpected);
@@ -1026,9 +1559,9 @@ window.EnhancedDataManager = class DataManager {
       // Convert to array format for easier use in charts
       // Format: [{ month, timeRounded, count }]
 
-      // Generate all months from BOT_DATE_RANGE_START to now (show all months)
+      // Generate all months from the detection date range start to now (show all months)
       const config = this.settingsManager.get();
-      const startDate = new Date(BOT_DATE_RANGE_START);
+      const startDate = this.getBotDateRangeStart();
       const endDate = new Date(); // Current date - no restriction
 
       const allMonths = [];
@@ -1086,14 +1619,7 @@ window.EnhancedDataManager = class DataManager {
         authenticatedNonBots: Math.max(0, (totalAuthenticated || 0) - (bots || 0)), // totalAuthenticated - bots
         bots: Math.max(0, bots || 0),
         totalAuthenticated: Math.max(0, totalAuthenticated || 0), // Count from viewer list calls
-        accountGraphMonthData: this.state.metadata.accountGraphMonthData || [],
-        accountsInBotRange: this.state.metadata.accountsInBotRange || 0,
-        maxExpectedPostStartAccounts: this.state.metadata.maxExpectedPostStartAccounts || 0,
-        averagePreStartAccounts: this.state.metadata.averagePreStartAccounts || 0,
-        usersFound: this.state.viewers.size || 0,
-        accountsWithDates: Array.from(this.state.viewers.values()).filter(v => v.createdAt).length || 0,
-        accountsFrom2020: this.state.metadata.accountsFrom2020 || 0,
-        accountsFrom2020WithoutBots: this.state.metadata.accountsFrom2020WithoutBots || 0
+        ...this.getHistoryPointDetails()
       });
 
       // Limit history size
@@ -1118,6 +1644,23 @@ window.EnhancedDataManager = class DataManager {
     }
   }
 
+  // Bot detection details stored alongside each history point
+  getHistoryPointDetails() {
+    return {
+      accountGraphMonthData: this.state.metadata.accountGraphMonthData || [],
+      accountsInBotRange: this.state.metadata.accountsInBotRange || 0,
+      maxExpectedPostStartAccounts: this.state.metadata.maxExpectedPostStartAccounts || 0,
+      averagePreStartAccounts: this.state.metadata.averagePreStartAccounts || 0,
+      usersFound: this.state.viewers.size || 0,
+      accountsWithDates: Array.from(this.state.viewers.values()).filter(v => v.createdAt).length || 0,
+      accountsFrom2020: this.state.metadata.accountsFrom2020 || 0,
+      accountsFrom2020WithoutBots: this.state.metadata.accountsFrom2020WithoutBots || 0,
+      botsLower: this.state.metadata.botsLower || 0,
+      botsUpper: this.state.metadata.botsUpper || 0,
+      knownBots: this.getKnownBotCount()
+    };
+  }
+
   // Update the latest history point with new authenticated count
   updateLatestHistoryAuthenticated(totalAuthenticated) {
     try {
@@ -1169,6 +1712,8 @@ window.EnhancedDataManager = class DataManager {
       const viewers = Array.from(this.state.viewers.values());
       const authenticatedNonBots = this.state.metadata.authenticatedCount - (this.state.metadata.botsDetected || 0);
       const bots = this.state.metadata.botsDetected || 0;
+      const botsLower = this.state.metadata.botsLower ?? bots;
+      const botsUpper = this.state.metadata.botsUpper ?? bots;
 
       // Get pending count based on tracking mode
       const pendingInfo = this.apiClient?.isBackgroundTracking ?
@@ -1179,15 +1724,94 @@ window.EnhancedDataManager = class DataManager {
         totalUsersFound: viewers.length,
         authenticatedNonBots,
         bots,
+        botsLower,
+        botsUpper,
         pendingInfo,
         accountsWithDates: viewers.filter(v => v.createdAt).length
       };
     } catch (error) {
       this.errorHandler?.handle(error, 'DataManager Get Stats');
-      return { totalUsersFound: 0, authenticatedNonBots: 0, bots: 0, pendingInfo: 0, accountsWithDates: 0 };
+      return { totalUsersFound: 0, authenticatedNonBots: 0, bots: 0, botsLower: 0, botsUpper: 0, pendingInfo: 0, accountsWithDates: 0 };
     }
   }
 
+  // Periods where the background service worker was stopped and nothing was collected
+  addTrackingGaps(gaps) {
+    if (this.isAnalysisMode || !Array.isArray(gaps)) return false;
+
+    const existingGaps = this.state.metadata.trackingGaps || [];
+    const newGaps = gaps.filter(gap => !existingGaps.some(existing => existing.start === gap.start));
+    if (newGaps.length === 0) return false;
+
+    this.state.metadata.trackingGaps = [...existingGaps, ...newGaps].sort((a, b) => a.start - b.start);
+    this.notify('historyUpdated', this.state.history.length);
+    return true;
+  }
+
+  getTrackingGaps() {
+    return this.state.metadata.trackingGaps || [];
+  }
+
+  // Users/bots of a history point, as counted by the active detector
+  getHistoryPointSplit(h) {
+    return this.getBotDetector().splitHistoryPoint(h);
+  }
+
+  // 95% interval of a history point's bots, split the same way; null for points without bounds
+  getHistoryPointRange(h) {
+    if (h.botsLower === undefined || h.botsUpper === undefined) return null;
+
+    const detector = this.getBotDetector();
+    return {
+      lower: detector.splitHistoryPoint({ ...h, bots: h.botsLower }).bots,
+      upper: detector.splitHistoryPoint({ ...h, bots: h.botsUpper }).bots
+    };
+  }
+
+  // Averages and peaks over the history, ignoring the first skipMinutes
+  getStreamStats(skipMinutes = 0) {
+    let validHistory = this.state.history.filter(h => h.totalViewers > 0 && h.totalAuthenticated > 0);
+    if (validHistory.length === 0) return null;
+
+    // Filter out entries within the skip threshold time period from the start
+    const cutoffTimestamp = validHistory[0].timestamp + skipMinutes * 60 * 1000;
+    validHistory = validHistory.filter(h => h.timestamp >= cutoffTimestamp);
+    if (validHistory.length === 0) return null;
+
+    const getNonBots = h => this.getHistoryPointSplit(h).nonBots;
+    const getBots = h => this.getHistoryPointSplit(h).bots;
+    const average = getValue => Math.round(validHistory.reduce((sum, h) => sum + getValue(h), 0) / validHistory.length);
+    const max = getValue => Math.max(...validHistory.map(getValue));
+    const percent = (value, total) => total > 0 ? Math.round((value / total) * 100) : 0;
+
+    const avgViewers = average(h => h.totalViewers);
+    const avgAuthenticated = average(h => h.totalAuthenticated);
+    const avgNonBots = average(getNonBots);
+    const avgBots = average(getBots);
+
+    const maxViewers = max(h => h.totalViewers);
+    const maxAuthenticated = max(h => h.totalAuthenticated);
+    const maxNonBots = max(getNonBots);
+    const maxBots = max(getBots);
+
+    return {
+      avgViewers,
+      avgAuthenticated,
+      avgNonBots,
+      avgBots,
+      maxViewers,
+      maxAuthenticated,
+      maxNonBots,
+      maxBots,
+      avgAuthPercent: percent(avgAuthenticated, avgViewers),
+      avgNonBotsPercent: percent(avgNonBots, avgAuthenticated),
+      avgBotsPercent: percent(avgBots, avgAuthenticated),
+      maxAuthPercent: percent(maxAuthenticated, maxViewers),
+      maxNonBotsPercent: percent(maxNonBots, maxAuthenticated),
+      maxBotsPercent: percent(maxBots, maxAuthenticated)
+    };
+  }
+
   getHistory() {
     return [...this.state.history]; // Return copy
   }
@@ -1289,14 +1913,26 @@ window.EnhancedDataManager = class DataManager {
     return validPending.slice(0, limit);
   }
 
-  getViewerList(page = 1, pageSize = 50, searchTerm = '', sortBy = 'timeInStream', dateFilter = 'all') {
+  // filters: { searchTerm, sortBy, dateFilter ('YYYY-MM'), minSuspicion, avatarFilter, roleFilter,
+  // groupFilter: { key, usernames } from one of the cluster panels (e.g. getSequentialIdClusters) }
+  getViewerList(page = 1, pageSize = 50, filters = {}) {
+    const {
+      searchTerm = '',
+      sortBy = 'timeInStream',
+      dateFilter = 'all',
+      minSuspicion = 0,
+      groupFilter = null,
+      avatarFilter = 'all',
+      roleFilter = 'all'
+    } = filters;
+
     try {
       const config = this.settingsManager.get();
       pageSize = Math.min(pageSize, config.pageSize * 2); // Limit page size
 
       // Check cache first for performance with large datasets
       const currentTime = Date.now();
-      const cacheKey = `${page}-${pageSize}-${searchTerm}-${sortBy}-${dateFilter}`;
+      const cacheKey = `${page}-${pageSize}-${searchTerm}-${sortBy}-${dateFilter}-${minSuspicion}-${groupFilter?.key || ''}-${avatarFilter}-${roleFilter}`;
 
       if (this.viewerListCache.cachedResult &&
         this.viewerListCache.lastParams === cacheKey &&
@@ -1326,6 +1962,39 @@ window.EnhancedDataManager = class DataManager {
         });
       }
 
+      // Filter by cluster membership
+      if (groupFilter) {
+        const members = new Set(groupFilter.usernames);
+        viewers = viewers.filter(viewer => members.has(viewer.username));
+      }
+
+      // Filter by suspicion score (viewers without a score yet are left out)
+      if (minSuspicion > 0) {
+        viewers = viewers.filter(viewer => viewer.suspicionScore !== null && viewer.suspicionScore >= minSuspicion);
+      }
+
+      // Filter by CommunityTab role
+      if (roleFilter && roleFilter !== 'all') {
+        viewers = viewers.filter(viewer => (viewer.role || 'viewer') === roleFilter);
+      }
+
+      // Filter by profile image (viewers without account info are left out)
+      if (avatarFilter && avatarFilter !== 'all') {
+        viewers = viewers.filter(viewer => {
+          if (!viewer.createdAt) return false;
+          switch (avatarFilter) {
+            case 'default':
+              return this.hasDefaultAvatar(viewer);
+            case 'custom':
+              return !this.hasDefaultAvatar(viewer);
+            case 'reused':
+              return (viewer.accountsWithSameImage || 0) >= AVATAR_REUSE_MIN_ACCOUNTS;
+            default:
+              return true;
+          }
+        });
+      }
+
       // Sort viewers
       const now = Date.now();
       viewers.sort((a, b) => {
@@ -1347,6 +2016,14 @@ window.EnhancedDataManager = class DataManager {
             }
             // Secondary sort: by username ascending
             return a.username.localeCompare(b.username);
+          case 'suspicionScore':
+            // Most suspicious first, unscored viewers last
+            const aScore = a.suspicionScore ?? -1;
+            const bScore = b.suspicionScore ?? -1;
+            if (aScore !== bScore) {
+              return bScore - aScore;
+            }
+            return a.username.localeCompare(b.username);
           case 'timeInStream':
           default:
             // Handle null/undefined firstSeen values
@@ -1401,7 +2078,7 @@ window.EnhancedDataManager = class DataManager {
       return result;
     } catch (error) {
       this.errorHandler?.handle(error, 'DataManager Get Viewer List',
-        { page, pageSize, searchTerm, sortBy });
+        { page, pageSize, searchTerm, sortBy, minSuspicion });
       return { viewers: [], currentPage: 1, totalPages: 0, totalUsersFound: 0, hasNextPage: false, hasPrevPage: false };
     }
   }
@@ -1509,6 +2186,568 @@ window.EnhancedDataManager = class DataManager {
     }
   }
 
+  // Runs of near-consecutive account IDs created close together; bot farms register accounts in batches
+  getSequentialIdClusters(limit = 10) {
+    try {
+      const currentHash = this._getCreationDateHash();
+      const cacheKey = `idClusters_${limit}`;
+
+      // Check cache first (invalidated only when creation dates change)
+      if (this._idClustersCache && this._idClustersCache.key === cacheKey &&
+        this._idClustersCache.hash === currentHash) {
+        return this._idClustersCache.data;
+      }
+
+      const accounts = [];
+      for (const viewer of this.state.viewers.values()) {
+        const id = Number(viewer.id);
+        if (!viewer.createdAt || !viewer.id || !Number.isFinite(id)) continue;
+        accounts.push({ id, username: viewer.username, createdAt: new Date(viewer.createdAt).getTime() });
+      }
+      accounts.sort((a, b) => a.id - b.id);
+
+      const clusters = [];
+      let run = [];
+      const closeRun = () => {
+        if (run.length >= ID_CLUSTER_MIN_SIZE) {
+          const startId = run[0].id;
+          const endId = run[run.length - 1].id;
+          const createdTimes = run.map(account => account.createdAt);
+          clusters.push({
+            key: `ids:${startId}-${endId}`,
+            startId,
+            endId,
+            size: run.length,
+            density: run.length / (endId - startId + 1), // Share of the ID range found in this stream
+            firstCreatedAt: Math.min(...createdTimes),
+            lastCreatedAt: Math.max(...createdTimes),
+            usernames: run.map(account => account.username)
+          });
+        }
+        run = [];
+      };
+
+      for (const account of accounts) {
+        const previous = run[run.length - 1];
+        if (previous && (account.id - previous.id > ID_CLUSTER_MAX_GAP ||
+          Math.abs(account.createdAt - previous.createdAt) > ID_CLUSTER_MAX_TIME_GAP)) {
+          closeRun();
+        }
+        run.push(account);
+      }
+      closeRun();
+
+      // Largest first, denser runs break ties
+      const topClusters = clusters
+        .sort((a, b) => b.size - a.size || b.density - a.density)
+        .slice(0, limit);
+
+      this._idClustersCache = {
+        key: cacheKey,
+        data: topClusters,
+        hash: currentHash
+      };
+
+      return topClusters;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Sequential ID Clusters');
+      return [];
+    }
+  }
+
+  // Accounts created within minutes of each other (overlapping windows are merged into one burst)
+  getCreationBursts(limit = 10) {
+    try {
+      const currentHash = this._getCreationDateHash();
+      const cacheKey = `bursts_${limit}`;
+
+      // Check cache first (invalidated only when creation dates change)
+      if (this._burstsCache && this._burstsCache.key === cacheKey &&
+        this._burstsCache.hash === currentHash) {
+        return this._burstsCache.data;
+      }
+
+      const accounts = [];
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.createdAt) continue;
+        accounts.push({ username: viewer.username, createdAt: new Date(viewer.createdAt).getTime() });
+      }
+      accounts.sort((a, b) => a.createdAt - b.createdAt);
+
+      // Sliding window over creation times; qualifying windows that overlap extend the current burst
+      const windowMs = BURST_WINDOW_MINUTES * 60 * 1000;
+      const ranges = [];
+      let current = null;
+      let left = 0;
+
+      for (let right = 0; right < accounts.length; right++) {
+        while (accounts[right].createdAt - accounts[left].createdAt > windowMs) {
+          left++;
+        }
+
+        if (right - left + 1 < BURST_MIN_ACCOUNTS) continue;
+
+        if (current && left <= current.endIndex) {
+          current.endIndex = right;
+        } else {
+          current = { startIndex: left, endIndex: right };
+          ranges.push(current);
+        }
+      }
+
+      const bursts = ranges.map(({ startIndex, endIndex }) => {
+        const members = accounts.slice(startIndex, endIndex + 1);
+        const start = members[0].createdAt;
+        return {
+          key: `burst:${start}`,
+          start,
+          end: members[members.length - 1].createdAt,
+          dayKey: new Date(start).toISOString().split('T')[0], // YYYY-MM-DD (UTC)
+          size: members.length,
+          usernames: members.map(account => account.username)
+        };
+      });
+
+      const topBursts = bursts
+        .sort((a, b) => b.size - a.size || b.start - a.start)
+        .slice(0, limit);
+
+      this._burstsCache = {
+        key: cacheKey,
+        data: topBursts,
+        hash: currentHash
+      };
+
+      return topBursts;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Creation Bursts');
+      return [];
+    }
+  }
+
+  // Accounts created on one day (YYYY-MM-DD, UTC) per time bucket, for the creation times drill-down
+  getCreationTimesForDay(dayKey, bucketMinutes = BURST_WINDOW_MINUTES) {
+    try {
+      const dayStart = new Date(`${dayKey}T00:00:00Z`).getTime();
+      const bucketMs = bucketMinutes * 60 * 1000;
+      const buckets = Array.from({ length: Math.ceil(24 * 60 / bucketMinutes) }, (_, i) => ({
+        start: dayStart + i * bucketMs,
+        count: 0
+      }));
+
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.createdAt) continue;
+
+        const offset = new Date(viewer.createdAt).getTime() - dayStart;
+        if (offset < 0 || offset >= 24 * 60 * 60 * 1000) continue;
+
+        buckets[Math.floor(offset / bucketMs)].count++;
+      }
+
+      return buckets;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Creation Times For Day', { dayKey });
+      return [];
+    }
+  }
+
+  // Logins grouped by naming template. Three kinds of template:
+  //   shape  - character class runs with exact lengths ("happytiger4821" -> L10 D4), logins with digits or underscores only
+  //   prefix - a shared stem followed by a number ("viewbot0012", "viewbot0013")
+  //   vowels - 6+ letters without a vowel, typical of random consonant strings
+  // Each cluster is scored by lift: members observed / members expected by chance
+  getUsernamePatternClusters(limit = 10) {
+    try {
+      const currentHash = this._getCreationDateHash();
+      const cacheKey = `usernameClusters_${limit}`;
+
+      // Check cache first (the hash changes whenever viewers are added or removed)
+      if (this._usernameClustersCache && this._usernameClustersCache.key === cacheKey &&
+        this._usernameClustersCache.hash === currentHash) {
+        return this._usernameClustersCache.data;
+      }
+
+      const groups = new Map();
+      const addToGroup = (key, type, template, username) => {
+        if (!groups.has(key)) {
+          groups.set(key, { key, type, template, usernames: [] });
+        }
+        groups.get(key).usernames.push(username);
+      };
+
+      // Run frequencies for the shape null model (runs treated as independent)
+      const runCounts = new Map();
+      const runsPerLogin = new Map();
+      let totalRuns = 0;
+      let total = 0;
+
+      // Stem null model: how many logins end in a number, and which logins to check stems against
+      const logins = [];
+      let numberSuffixed = 0;
+
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.username) continue;
+        const login = viewer.username.toLowerCase();
+        total++;
+        logins.push(login);
+        if (/[0-9]{2,}$/.test(login)) numberSuffixed++;
+
+        const runs = (login.match(/[a-z]+|[0-9]+|_+/g) || []).map(run => {
+          const charClass = /[a-z]/.test(run[0]) ? 'L' : /[0-9]/.test(run[0]) ? 'D' : '_';
+          return `${charClass}${run.length}`;
+        });
+
+        for (const run of runs) {
+          runCounts.set(run, (runCounts.get(run) || 0) + 1);
+        }
+        runsPerLogin.set(runs.length, (runsPerLogin.get(runs.length) || 0) + 1);
+        totalRuns += runs.length;
+
+        // Letters-only logins are too common to share a shape by accident
+        if (runs.some(run => run[0] !== 'L')) {
+          addToGroup(`shape:${runs.join(' ')}`, 'shape', runs, viewer.username);
+        }
+
+        // The stem ends on a non-digit, so its number suffix is the whole trailing run of digits
+        const prefixMatch = login.match(/^([^0-9].{2,}[^0-9])([0-9]{2,})$/);
+        if (prefixMatch) {
+          addToGroup(`prefix:${prefixMatch[1]}`, 'prefix', prefixMatch[1], viewer.username);
+        }
+
+        if (/^[a-z]{6,}$/.test(login.replace(/[0-9_]/g, '')) && !/[aeiouy]/.test(login)) {
+          addToGroup('vowels:none', 'vowels', null, viewer.username);
+        }
+      }
+
+      // How many logins start with each candidate stem, with or without a number after it
+      const stemCounts = new Map();
+      for (const group of groups.values()) {
+        if (group.type === 'prefix' && group.usernames.length >= USERNAME_CLUSTER_MIN_SIZE) {
+          stemCounts.set(group.template, 0);
+        }
+      }
+      const stemLengths = new Set(Array.from(stemCounts.keys(), stem => stem.length));
+      for (const login of logins) {
+        for (const length of stemLengths) {
+          const stem = login.slice(0, length);
+          if (stemCounts.has(stem)) stemCounts.set(stem, stemCounts.get(stem) + 1);
+        }
+      }
+
+      const expectedMembers = (group) => {
+        // Logins with the stem times the share that end in a number: a common stem (alex, user)
+        // with numbered logins is only reported when it's numbered more often than logins overall
+        if (group.type === 'prefix') return Math.max(1, stemCounts.get(group.template) * numberSuffixed / total);
+        if (group.type === 'vowels') return Math.max(1, total * USERNAME_NO_VOWEL_RATE);
+
+        let probability = (runsPerLogin.get(group.template.length) || 0) / total;
+        for (const run of group.template) {
+          probability *= (runCounts.get(run) || 0) / totalRuns;
+        }
+        return Math.max(1, total * probability);
+      };
+
+      const describeTemplate = (group) => {
+        if (group.type === 'prefix') return `${group.template}#`;
+        if (group.type === 'vowels') return 'No vowels';
+        return group.template.map(run => {
+          const symbol = run[0] === 'L' ? 'a' : run[0] === 'D' ? '#' : '_';
+          return symbol.repeat(Number(run.slice(1)));
+        }).join('');
+      };
+
+      const clusters = [];
+      for (const group of groups.values()) {
+        if (group.usernames.length < USERNAME_CLUSTER_MIN_SIZE) continue;
+
+        const expected = expectedMembers(group);
+        const lift = group.usernames.length / expected;
+        if (lift < USERNAME_CLUSTER_MIN_LIFT) continue;
+
+        clusters.push({
+          key: `names:${group.key}`,
+          type: group.type,
+          template: describeTemplate(group),
+          size: group.usernames.length,
+          expected,
+          lift,
+          usernames: group.usernames
+        });
+      }
+
+      // Largest first, less likely templates break ties
+      const topClusters = clusters
+        .sort((a, b) => b.size - a.size || b.lift - a.lift)
+        .slice(0, limit);
+
+      this._usernameClustersCache = {
+        key: cacheKey,
+        data: topClusters,
+        hash: currentHash
+      };
+
+      return topClusters;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Username Pattern Clusters');
+      return [];
+    }
+  }
+
+  // Viewers whose bios repeat. Three kinds of cluster:
+  //   exact   - the same bio after normalizing case, whitespace and digits
+  //   similar - templated bios, linked by shingle similarity (MinHash candidates, verified by Jaccard)
+  //   url     - bios containing the same link
+  getDuplicateBioClusters(limit = 10) {
+    try {
+      const currentHash = this._getCreationDateHash();
+      const cacheKey = `bioClusters_${limit}`;
+
+      // Check cache first (bios arrive together with creation dates)
+      if (this._bioClustersCache && this._bioClustersCache.key === cacheKey &&
+        this._bioClustersCache.hash === currentHash) {
+        return this._bioClustersCache.data;
+      }
+
+      const urlPattern = /(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|me|tv|ly|link|xyz|ru|co)(?:\/[^\s]*)?/gi;
+
+      // Identical bios collapse into one entry before the similarity pass
+      const bios = new Map(); // normalized text -> { text, usernames }
+      const urlGroups = new Map();
+
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.hasDescription) continue;
+
+        const text = viewer.description.trim();
+        const normalized = text.toLowerCase().replace(/\d/g, '#').replace(/\s+/g, ' ');
+        if (!bios.has(normalized)) {
+          bios.set(normalized, { text, usernames: [] });
+        }
+        bios.get(normalized).usernames.push(viewer.username);
+
+        const urls = new Set((text.match(urlPattern) || []).map(url =>
+          url.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[/.,!?)]+$/, '')
+        ));
+        for (const url of urls) {
+          if (!urlGroups.has(url)) {
+            urlGroups.set(url, []);
+          }
+          urlGroups.get(url).push(viewer.username);
+        }
+      }
+
+      const entries = Array.from(bios.entries()).map(([normalized, bio]) => {
+        const shingles = new Set();
+        if (normalized.length <= BIO_SHINGLE_SIZE) {
+          shingles.add(normalized);
+        } else {
+          for (let i = 0; i <= normalized.length - BIO_SHINGLE_SIZE; i++) {
+            shingles.add(normalized.slice(i, i + BIO_SHINGLE_SIZE));
+          }
+        }
+        return { ...bio, shingles };
+      });
+
+      // Union-find over distinct bios
+      const parent = entries.map((_, i) => i);
+      const find = (i) => {
+        while (parent[i] !== i) {
+          parent[i] = parent[parent[i]];
+          i = parent[i];
+        }
+        return i;
+      };
+
+      const jaccard = (a, b) => {
+        let shared = 0;
+        for (const shingle of a) {
+          if (b.has(shingle)) shared++;
+        }
+        return shared / (a.size + b.size - shared);
+      };
+
+      // MinHash signatures; bios that agree on a whole band become candidate pairs
+      const hashCount = BIO_MINHASH_BANDS * BIO_MINHASH_ROWS;
+      const seeds = Array.from({ length: hashCount }, (_, i) => Math.imul(i + 1, 0x9e3779b1));
+      const hashString = (str) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+          hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+        }
+        return hash;
+      };
+
+      const buckets = new Map();
+      entries.forEach((entry, index) => {
+        const signature = new Array(hashCount).fill(Infinity);
+        for (const shingle of entry.shingles) {
+          const base = hashString(shingle);
+          for (let i = 0; i < hashCount; i++) {
+            const value = Math.imul(base ^ seeds[i], 0x85ebca6b) >>> 0;
+            if (value < signature[i]) signature[i] = value;
+          }
+        }
+
+        for (let band = 0; band < BIO_MINHASH_BANDS; band++) {
+          const bucketKey = `${band}:${signature.slice(band * BIO_MINHASH_ROWS, (band + 1) * BIO_MINHASH_ROWS).join(',')}`;
+          if (!buckets.has(bucketKey)) {
+            buckets.set(bucketKey, []);
+          }
+          buckets.get(bucketKey).push(index);
+        }
+      });
+
+      for (const members of buckets.values()) {
+        for (let i = 1; i < members.length; i++) {
+          for (let j = 0; j < i; j++) {
+            const a = find(members[j]);
+            const b = find(members[i]);
+            if (a !== b && jaccard(entries[members[j]].shingles, entries[members[i]].shingles) >= BIO_SIMILARITY_THRESHOLD) {
+              parent[b] = a;
+            }
+          }
+        }
+      }
+
+      const components = new Map();
+      entries.forEach((entry, index) => {
+        const root = find(index);
+        if (!components.has(root)) {
+          components.set(root, []);
+        }
+        components.get(root).push(entry);
+      });
+
+      const clusters = [];
+      for (const members of components.values()) {
+        const usernames = members.flatMap(entry => entry.usernames);
+        if (usernames.length < BIO_CLUSTER_MIN_SIZE) continue;
+
+        // Show the most common wording
+        const representative = members.reduce((best, entry) =>
+          entry.usernames.length > best.usernames.length ? entry : best);
+
+        clusters.push({
+          key: `bio:${hashString(representative.text) >>> 0}`,
+          type: members.length > 1 ? 'similar' : 'exact',
+          text: representative.text,
+          variants: members.length,
+          size: usernames.length,
+          usernames
+        });
+      }
+
+      for (const [url, usernames] of urlGroups) {
+        if (usernames.length < BIO_CLUSTER_MIN_SIZE) continue;
+        clusters.push({
+          key: `bio-url:${url}`,
+          type: 'url',
+          text: url,
+          variants: null,
+          size: usernames.length,
+          usernames
+        });
+      }
+
+      const topClusters = clusters
+        .sort((a, b) => b.size - a.size)
+        .slice(0, limit);
+
+      this._bioClustersCache = {
+        key: cacheKey,
+        data: topClusters,
+        hash: currentHash
+      };
+
+      return topClusters;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Duplicate Bio Clusters');
+      return [];
+    }
+  }
+
+  // Default avatar share per creation month (YYYY-MM) and creation day (YYYY-MM-DD): { total, defaults }
+  getDefaultAvatarShares() {
+    try {
+      const currentHash = this._getCreationDateHash();
+
+      // Check cache first (avatars arrive together with creation dates)
+      if (this._avatarSharesCache && this._avatarSharesCache.hash === currentHash) {
+        return this._avatarSharesCache.data;
+      }
+
+      const months = new Map();
+      const days = new Map();
+      const count = (map, key, isDefault) => {
+        const entry = map.get(key) || { total: 0, defaults: 0 };
+        entry.total++;
+        if (isDefault) entry.defaults++;
+        map.set(key, entry);
+      };
+
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.createdAt) continue;
+
+        const dayKey = new Date(viewer.createdAt).toISOString().split('T')[0];
+        const isDefault = this.hasDefaultAvatar(viewer);
+        count(months, dayKey.slice(0, 7), isDefault);
+        count(days, dayKey, isDefault);
+      }
+
+      const data = { months, days };
+      this._avatarSharesCache = { data, hash: currentHash };
+      return data;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Default Avatar Shares');
+      return { months: new Map(), days: new Map() };
+    }
+  }
+
+  // Custom profile images used by several accounts
+  getReusedProfileImages(limit = 10) {
+    try {
+      const currentHash = this._getCreationDateHash();
+      const cacheKey = `reusedImages_${limit}`;
+
+      // Check cache first (avatars arrive together with creation dates)
+      if (this._reusedImagesCache && this._reusedImagesCache.key === cacheKey &&
+        this._reusedImagesCache.hash === currentHash) {
+        return this._reusedImagesCache.data;
+      }
+
+      const images = new Map();
+      for (const viewer of this.state.viewers.values()) {
+        if (!viewer.createdAt || this.hasDefaultAvatar(viewer)) continue;
+
+        if (!images.has(viewer.profileImageURL)) {
+          images.set(viewer.profileImageURL, []);
+        }
+        images.get(viewer.profileImageURL).push(viewer.username);
+      }
+
+      const reused = Array.from(images.entries())
+        .filter(([, usernames]) => usernames.length >= AVATAR_REUSE_MIN_ACCOUNTS)
+        .map(([url, usernames]) => ({
+          key: `image:${url}`,
+          url,
+          size: usernames.length,
+          usernames
+        }))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, limit);
+
+      this._reusedImagesCache = {
+        key: cacheKey,
+        data: reused,
+        hash: currentHash
+      };
+
+      return reused;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Get Reused Profile Images');
+      return [];
+    }
+  }
+
   // Schedule non-critical processing during idle time
   scheduleIdleProcessing(callback, data) {
     if (window.requestIdleCallback) {
@@ -1540,6 +2779,12 @@ window.EnhancedDataManager = class DataManager {
     this._monthsCache = null;
     this._topMonthsCache = null;
     this._topDaysCache = null;
+    this._idClustersCache = null;
+    this._burstsCache = null;
+    this._usernameClustersCache = null;
+    this._bioClustersCache = null;
+    this._avatarSharesCache = null;
+    this._reusedImagesCache = null;
     this._lastCreationDateHash = null;
   }
 
@@ -1565,9 +2810,9 @@ window.EnhancedDataManager = class DataManager {
   getCreationDateHistogram() {
     try {
       const config = this.settingsManager.get();
-      const startDate = new Date(BOT_DATE_RANGE_START);
+      const startDate = this.getBotDateRangeStart();
       const endDate = new Date();
-      endDate.setMonth(endDate.getMonth() - BOT_DATE_RANGE_MONTHS_FROM_NOW);
+      endDate.setMonth(endDate.getMonth() - config.botDateRangeMonthsFromNow);
 
       const histogram = new Map();
 
@@ -1669,12 +2914,15 @@ window.EnhancedDataManager = class DataManager {
       this.state.viewers.clear();
       this.state.history = [];
       this.pendingUserInfo.clear();
+      this.flaggedViewers.clear();
+      this.botExplanation = null;
       this.timeTrackingData.clear(); // Clear heatmap data
       this.state.metadata = {
         lastUpdated: null,
         totalRequests: 0,
         sessionStart: Date.now(),
         errors: [],
+        trackingGaps: [],
         heatmapData: [] // Reset heatmap data
       };
 
@@ -1699,9 +2947,10 @@ window.EnhancedDataManager = class DataManager {
   async getDebugInfo() {
     // Get data usage stats from API client
     let dataUsage = {
-      total: { bytesSent: 0, bytesReceived: 0, apiCalls: 0 },
-      lastMinute: { bytesSent: 0, bytesReceived: 0 },
-      requestCount: 0
+      total: { bytesSent: 0, bytesReceived: 0, apiCalls: 0, retries: 0, failedRequests: 0 },
+      lastMinute: { bytesSent: 0, bytesReceived: 0, retries: 0 },
+      requestCount: 0,
+      userInfoCache: { hits: 0, misses: 0, deduplicated: 0, hitRate: 0 }
     };
 
     try {
@@ -1741,9 +2990,19 @@ window.EnhancedDataManager = class DataManager {
         totalSent: this.formatBytes(dataUsage.total.bytesSent),
         totalReceived: this.formatBytes(dataUsage.total.bytesReceived),
         totalApiCalls: dataUsage.total.apiCalls || 0,
+        totalRetries: dataUsage.total.retries || 0,
+        failedRequests: dataUsage.total.failedRequests || 0,
+        retriesLastMinute: dataUsage.lastMinute.retries || 0,
         lastMinuteSent: this.formatBytes(dataUsage.lastMinute.bytesSent),
         lastMinuteReceived: this.formatBytes(dataUsage.lastMinute.bytesReceived),
-        requestsLastMinute: dataUsage.requestCount
+        requestsLastMinute: dataUsage.requestCount,
+        // Lookups answered without a request of their own (cached or shared with one in flight)
+        userInfoCache: {
+          hits: dataUsage.userInfoCache?.hits || 0,
+          deduplicated: dataUsage.userInfoCache?.deduplicated || 0,
+          misses: dataUsage.userInfoCache?.misses || 0,
+          hitRate: Math.round((dataUsage.userInfoCache?.hitRate || 0) * 100)
+        }
       }
     };
   }
@@ -1870,15 +3129,204 @@ window.EnhancedDataManager = class DataManager {
     return this.exportManager.exportTrackingDataAsJSON(channelName, data);
   }
 
+  // Serializable copy of the session state (shared by full state export and session persistence)
+  getSessionSnapshot() {
+    return {
+      timeTrackingData: Array.from(this.timeTrackingData.entries()),
+      history: this.state.history,
+      viewers: Array.from(this.state.viewers.entries()),
+      metadata: { ...this.state.metadata }
+    };
+  }
+
+  // Headline numbers shown in the session archive
+  getSessionSummary() {
+    const history = this.state.history;
+    const latest = history[history.length - 1];
+    const peakViewers = history.reduce((max, point) => Math.max(max, point.totalViewers || 0), 0);
+    const botPercentage = latest?.totalAuthenticated > 0 ? (latest.bots / latest.totalAuthenticated) * 100 : 0;
+
+    return {
+      peakViewers,
+      botPercentage,
+      viewerCount: this.state.viewers.size,
+      historyPoints: history.length
+    };
+  }
+
+  // Rehydrate a live session from a persisted snapshot (tracking continues afterwards)
+  restoreSessionSnapshot(snapshot) {
+    if (this.isAnalysisMode || !snapshot) {
+      return { success: false };
+    }
+
+    try {
+      this.timeTrackingData = new Map(snapshot.timeTrackingData || []);
+      this.state.history = snapshot.history || [];
+
+      // Restored viewers stay until the background session sees them again or they time out
+      this.state.viewers = new Map((snapshot.viewers || []).map(([username, viewer]) => [
+        username,
+        { ...viewer, restoredFromSession: true }
+      ]));
+
+      this.state.metadata = {
+        ...this.state.metadata,
+        ...snapshot.metadata,
+        lastUpdated: Date.now()
+      };
+
+      this.pendingUserInfo.clear();
+      this.applyAccountLists();
+      this.invalidateAggregationCaches();
+      this.detectBots();
+
+      if (this.heatmapEnabled) {
+        this.processHeatmapData();
+      }
+
+      this.notify('sessionRestored', {
+        viewerCount: this.state.viewers.size,
+        historyPoints: this.state.history.length
+      });
+      this.notify('historyUpdated', this.state.history.length);
+
+      return {
+        success: true,
+        viewerCount: this.state.viewers.size,
+        historyPoints: this.state.history.length,
+        trackingDataCount: this.timeTrackingData.size
+      };
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Restore Session Snapshot');
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Drop restored viewers the background session has not reported within the timeout
+  removeStaleRestoredViewers() {
+    const timeout = this.getEffectiveTimeoutDuration();
+    const cutoff = Date.now() - timeout;
+    let removed = 0;
+
+    for (const [username, viewer] of this.state.viewers) {
+      if (viewer.restoredFromSession && viewer.lastSeen < cutoff) {
+        this.removeViewer(username);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  // Rebuild state from a background session that kept running while no page was attached
+  // (data comes from GET_TRACKING_DATA and is merged over any restored snapshot)
+  restoreFromBackgroundData(data) {
+    if (this.isAnalysisMode || !data) {
+      return { success: false };
+    }
+
+    try {
+      let newViewersCount = 0;
+
+      for (const viewer of data.viewers || []) {
+        const username = viewer.username.toLowerCase();
+        let existingViewer = this.state.viewers.get(username);
+
+        if (!existingViewer) {
+          existingViewer = this.createSafeViewer(viewer);
+          this.state.viewers.set(username, existingViewer);
+          newViewersCount++;
+        } else {
+          existingViewer.lastSeen = Math.max(existingViewer.lastSeen || 0, viewer.lastSeen || 0);
+          delete existingViewer.restoredFromSession;
+
+          if (viewer.createdAt && !existingViewer.createdAt) {
+            existingViewer.createdAt = viewer.createdAt;
+            existingViewer.hasPendingInfo = false;
+            this.applyProfileInfo(existingViewer, viewer);
+          }
+          if (viewer.id && !existingViewer.id) {
+            existingViewer.id = viewer.id;
+          }
+        }
+
+        this.updateTimeTrackingData(username, existingViewer);
+      }
+
+      if (data.metadata?.authenticatedCount !== undefined) {
+        this.state.metadata.authenticatedCount = data.metadata.authenticatedCount;
+      }
+      this.state.metadata.lastUpdated = Date.now();
+      this.addTrackingGaps(data.metadata?.trackingGaps || []);
+
+      this.applyAccountLists();
+      this.invalidateAggregationCaches();
+      this.detectBots();
+
+      // Background history only has raw counts, so fill in the missed points
+      // using the current bot detection results
+      const history = this.state.history;
+      const lastTimestamp = history.length > 0 ? history[history.length - 1].timestamp : 0;
+      const missedPoints = (data.history || []).filter(point => point.timestamp > lastTimestamp);
+
+      if (missedPoints.length > 0) {
+        const bots = this.state.metadata.botsDetected || 0;
+        const details = this.getHistoryPointDetails();
+
+        for (const point of missedPoints) {
+          const totalAuthenticated = Math.max(0, point.authenticatedCount || 0);
+          history.push({
+            timestamp: point.timestamp,
+            totalViewers: Math.max(0, point.viewerCount || 0),
+            authenticatedNonBots: Math.max(0, totalAuthenticated - bots),
+            bots,
+            totalAuthenticated,
+            ...details
+          });
+        }
+
+        const maxHistoryPoints = this.settingsManager.get('maxHistoryPoints');
+        if (history.length > maxHistoryPoints) {
+          this.state.history = history.slice(-maxHistoryPoints);
+        }
+      }
+
+      if (this.heatmapEnabled) {
+        this.processHeatmapData();
+      }
+
+      this.notify('sessionRestored', {
+        viewerCount: this.state.viewers.size,
+        historyPoints: this.state.history.length
+      });
+      this.notify('viewersUpdated', {
+        total: this.state.viewers.size,
+        new: newViewersCount,
+        authenticatedCount: this.state.metadata.authenticatedCount
+      });
+      this.notify('historyUpdated', this.state.history.length);
+
+      return {
+        success: true,
+        viewerCount: this.state.viewers.size,
+        newViewers: newViewersCount,
+        historyPoints: missedPoints.length
+      };
+    } catch (error) {
+      this.errorHandler?.handle(error, 'DataManager Restore From Background Data');
+      return { success: false, error: error.message };
+    }
+  }
+
   // Export full state as JSON (for complete session backup/restore)
   exportFullStateAsJSON(channelName = '') {
     try {
+      const snapshot = this.getSessionSnapshot();
       const fullStateData = {
-        timeTrackingData: Array.from(this.timeTrackingData.entries()),
-        history: this.state.history,
-        viewers: Array.from(this.state.viewers.entries()),
+        ...snapshot,
         metadata: {
-          ...this.state.metadata,
+          ...snapshot.metadata,
           exportedAt: new Date().toISOString()
         }
       };
@@ -1935,6 +3383,11 @@ window.EnhancedDataManager = class DataManager {
           ...importData.metadata,
           lastUpdated: Date.now()
         };
+        this.applyAccountLists();
+        this.botExplanation = null; // Detection isn't re-run on imported results
+        this.flaggedViewers = this.applyLabelsToFlagged(this.getViewersInBotMonths(this.state.metadata.accountGraphMonthData || []));
+        this.setAccountsWithSameImage();
+        this.updateSuspicionScores();
       }
 
       // Process heatmap data if enabled
@@ -2009,7 +3462,10 @@ window.EnhancedDataManager = class DataManager {
       totalViewers: point.totalViewers || 0,
       totalAuthenticated: point.totalAuthenticated || 0,
       authenticatedNonBots: point.authenticatedNonBots || 0,
-      bots: point.bots || 0
+      bots: point.bots || 0,
+      // 95% interval; points recorded before intervals existed export a zero-width one
+      botsLower: point.botsLower ?? (point.bots || 0),
+      botsUpper: point.botsUpper ?? (point.bots || 0)
     }));
   }
 }
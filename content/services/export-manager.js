@@ -93,7 +93,7 @@ window.ExportManager = class ExportManager {
     exportViewerGraphDataAsCSV(channelName, historyData) {
         try {
             // CSV header
-            let csv = 'channel,timestamp,total_viewers,total_authenticated,authenticated_users,authenticated_bots\n';
+            let csv = 'channel,timestamp,total_viewers,total_authenticated,authenticated_users,authenticated_bots,authenticated_bots_lower,authenticated_bots_upper\n';
 
             // CSV rows
             for (const entry of historyData) {
@@ -104,7 +104,7 @@ window.ExportManager = class ExportManager {
                 const authenticatedUsers = entry.authenticatedNonBots;
                 const authenticatedBots = entry.bots;
 
-                csv += `${channel},${timestamp},${totalViewers},${totalAuthenticated},${authenticatedUsers},${authenticatedBots}\n`;
+                csv += `${channel},${timestamp},${totalViewers},${totalAuthenticated},${authenticatedUsers},${authenticatedBots},${entry.botsLower},${entry.botsUpper}\n`;
             }
 
             return csv;
@@ -126,6 +126,8 @@ window.ExportManager = class ExportManager {
                 xml += `    <total_authenticated>${entry.totalAuthenticated}</total_authenticated>\n`;
                 xml += `    <authenticated_users>${entry.authenticatedNonBots}</authenticated_users>\n`;
                 xml += `    <authenticated_bots>${entry.bots}</authenticated_bots>\n`;
+                xml += `    <authenticated_bots_lower>${entry.botsLower}</authenticated_bots_lower>\n`;
+                xml += `    <authenticated_bots_upper>${entry.botsUpper}</authenticated_bots_upper>\n`;
                 xml += '  </data_point>\n';
             } xml += '</viewer_history>';
 
@@ -147,6 +149,8 @@ window.ExportManager = class ExportManager {
             sql += '  total_authenticated INT,\n';
             sql += '  authenticated_users INT,\n';
             sql += '  authenticated_bots INT,\n';
+            sql += '  authenticated_bots_lower INT,\n';
+            sql += '  authenticated_bots_upper INT,\n';
             sql += '  PRIMARY KEY (channel, timestamp)\n';
             sql += ');\n\n';
 
@@ -158,7 +162,7 @@ window.ExportManager = class ExportManager {
                 const authenticatedUsers = entry.authenticatedNonBots;
                 const authenticatedBots = entry.bots;
 
-                sql += `INSERT INTO viewer_history (channel, timestamp, total_viewers, total_authenticated, authenticated_users, authenticated_bots) VALUES ('${channel}', ${timestamp}, ${totalViewers}, ${totalAuthenticated}, ${authenticatedUsers}, ${authenticatedBots});\n`;
+                sql += `INSERT INTO viewer_history (channel, timestamp, total_viewers, total_authenticated, authenticated_users, authenticated_bots, authenticated_bots_lower, authenticated_bots_upper) VALUES ('${channel}', ${timestamp}, ${totalViewers}, ${totalAuthenticated}, ${authenticatedUsers}, ${authenticatedBots}, ${entry.botsLower}, ${entry.botsUpper});\n`;
             } return sql;
         } catch (error) {
             this.errorHandler?.handle(error, 'Export Viewer Graph Data SQL');
@@ -205,7 +209,7 @@ window.ExportManager = class ExportManager {
                 version: '1.0',
                 type: 'full_state',
                 channel: channelName,
-                exportedAt: new Date().toISOString(),
+                exportedAt: fullStateData.exportedAt || new Date().toISOString(),
                 timeTrackingData: fullStateData.timeTrackingData,
                 history: fullStateData.history,
                 viewers: fullStateData.viewers,
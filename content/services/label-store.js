@@ -0,0 +1,97 @@
+// Label Store - manual viewer labels (bot / legit) kept in extension storage
+// Shared by every tracked channel and by later sessions; exported as a file so a team can share one list
+window.LabelStore = class LabelStore extends window.StorageStore {
+  static STORAGE_KEY = 'viewerLabels';
+  static LABELS = ['bot', 'legit']; // 'unknown' removes a label
+  static EXPORT_VERSION = 1;
+
+  constructor(errorHandler) {
+    // Watch for labels changed from another extension page (e.g. a second tracking window)
+    super(errorHandler, { watchChanges: true });
+    this.labels = new Map(); // username -> { label, updatedAt }
+  }
+
+  toStored() {
+    return Object.fromEntries(this.labels);
+  }
+
+  setStored(stored) {
+    this.labels = this.fromStored(stored);
+  }
+
+  fromStored(stored) {
+    const labels = new Map();
+    for (const [username, entry] of Object.entries(stored || {})) {
+      if (LabelStore.LABELS.includes(entry?.label)) {
+        labels.set(username.toLowerCase(), entry);
+      }
+    }
+    return labels;
+  }
+
+  get(username) {
+    return this.labels.get(username.toLowerCase())?.label || null;
+  }
+
+  getCounts() {
+    const counts = { bot: 0, legit: 0 };
+    for (const { label } of this.labels.values()) {
+      counts[label]++;
+    }
+    return counts;
+  }
+
+  // Label one or more viewers; 'unknown' clears their label
+  async setLabel(usernames, label) {
+    if (label !== 'unknown' && !LabelStore.LABELS.includes(label)) {
+      throw new Error(`Unknown viewer label: ${label}`);
+    }
+
+    const now = Date.now();
+    for (const username of usernames) {
+      if (label === 'unknown') {
+        this.labels.delete(username.toLowerCase());
+      } else {
+        this.labels.set(username.toLowerCase(), { label, updatedAt: now });
+      }
+    }
+
+    await this.save();
+    this.notify();
+  }
+
+  exportAsJSON() {
+    return JSON.stringify({
+      version: LabelStore.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      labels: Object.fromEntries(this.labels)
+    }, null, 2);
+  }
+
+  // Merge labels from an exported file; the most recently set label wins
+  async importFromJSON(jsonString) {
+    let data;
+    try {
+      data = JSON.parse(jsonString);
+    } catch (error) {
+      return { success: false, error: 'Invalid JSON file' };
+    }
+
+    if (!data || typeof data.labels !== 'object') {
+      return { success: false, error: 'Not a viewer labels file' };
+    }
+
+    let imported = 0;
+    for (const [username, entry] of this.fromStored(data.labels)) {
+      const existing = this.labels.get(username);
+      if (!existing || (entry.updatedAt || 0) >= (existing.updatedAt || 0)) {
+        this.labels.set(username, { label: entry.label, updatedAt: entry.updatedAt || Date.now() });
+        imported++;
+      }
+    }
+
+    await this.save();
+    this.notify();
+    return { success: true, imported };
+  }
+};
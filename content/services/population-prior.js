@@ -0,0 +1,105 @@
+// Population Prior - typical account creation months of a viewer population, built from saved sessions
+// Small or new channels don't have enough dated accounts for their own baseline, so bot detection
+// blends this in. Only anonymized data is kept: per channel (keyed by a hash of its name) the share
+// of its non-bot accounts created in each month
+window.PopulationPrior = class PopulationPrior extends window.StorageStore {
+  static STORAGE_KEY = 'populationPrior';
+  static MIN_CHANNELS = 3; // Fewer channels than this don't make a typical population
+  static MIN_ACCOUNTS = 50; // Channels with fewer dated accounts are left out of the prior
+
+  constructor(errorHandler) {
+    super(errorHandler);
+    this.channels = new Map(); // channel hash -> { months: { 'YYYY-MM': share }, accounts, updatedAt }
+  }
+
+  toStored() {
+    return { builtAt: Date.now(), channels: Object.fromEntries(this.channels) };
+  }
+
+  setStored(stored) {
+    this.channels = new Map(Object.entries(stored?.channels || {}));
+  }
+
+  // FNV-1a, so channel names never reach storage
+  static hashChannel(channelName) {
+    let hash = 0x811c9dc5;
+    for (const char of String(channelName || '').toLowerCase()) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  // Accounts per creation month in a stored session, minus the bots its detection found
+  getSessionHistogram(session) {
+    const counts = new Map();
+    for (const [, viewer] of session.viewers || []) {
+      if (!viewer?.createdAt) continue;
+      const monthKey = viewer.createdAt.slice(0, 7);
+      counts.set(monthKey, (counts.get(monthKey) || 0) + 1);
+    }
+
+    for (const month of session.metadata?.accountGraphMonthData || []) {
+      if (counts.has(month.month)) {
+        counts.set(month.month, Math.max(0, counts.get(month.month) - (month.bots || 0)));
+      }
+    }
+    return counts;
+  }
+
+  // Rebuild from the newest stored session of every channel. Only sessions that changed since
+  // the last rebuild are loaded in full; the rest keep their stored histogram
+  async rebuild(sessionStore) {
+    try {
+      const summaries = await sessionStore.getSessionSummaries(); // Newest first
+      const channels = new Map();
+
+      for (const summary of summaries) {
+        const key = PopulationPrior.hashChannel(summary.channel);
+        if (channels.has(key)) continue;
+
+        const known = this.channels.get(key);
+        if (known?.updatedAt === summary.updatedAt) {
+          channels.set(key, known);
+          continue;
+        }
+
+        const session = await sessionStore.getSession(summary.id);
+        if (!session) continue;
+
+        const counts = this.getSessionHistogram(session);
+        const accounts = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        const months = {};
+        for (const [monthKey, count] of counts) {
+          if (count > 0) months[monthKey] = count / accounts;
+        }
+        channels.set(key, { months, accounts, updatedAt: session.updatedAt });
+      }
+
+      this.channels = channels;
+      await this.save();
+      this.notify();
+      return this.channels.size;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'PopulationPrior Rebuild');
+      return 0;
+    }
+  }
+
+  // Average share per creation month across channels, leaving out the channel being analysed
+  // null if there aren't enough other channels
+  getPrior(excludeChannel = null) {
+    const excludeKey = excludeChannel ? PopulationPrior.hashChannel(excludeChannel) : null;
+    const entries = Array.from(this.channels.entries())
+      .filter(([key, channel]) => key !== excludeKey && channel.accounts >= PopulationPrior.MIN_ACCOUNTS);
+    if (entries.length < PopulationPrior.MIN_CHANNELS) return null;
+
+    const months = new Map();
+    for (const [, channel] of entries) {
+      for (const [monthKey, share] of Object.entries(channel.months)) {
+        months.set(monthKey, (months.get(monthKey) || 0) + share / entries.length);
+      }
+    }
+    return { months, channels: entries.length };
+  }
+};
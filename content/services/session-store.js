@@ -0,0 +1,222 @@
+// Session Store - IndexedDB persistence for tracking sessions
+// Each session record holds a full snapshot (viewers, history, time tracking data, metadata)
+// so a reloaded or crashed tracking page can pick up where it left off. Snapshots can be large,
+// so a small summary record per session (channel, dates, name, tags, stats) is kept in a second
+// store for listing; the archive's name and tags, and the end time, live only there
+window.SessionStore = class SessionStore {
+  static DB_NAME = 'viewerMetrics';
+  static DB_VERSION = 2;
+  static STORE_SESSIONS = 'sessions';
+  static STORE_SUMMARIES = 'summaries';
+
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.db = new IdbDatabase(SessionStore.DB_NAME, SessionStore.DB_VERSION, (db, transaction, oldVersion) => {
+      if (!db.objectStoreNames.contains(SessionStore.STORE_SESSIONS)) {
+        db.createObjectStore(SessionStore.STORE_SESSIONS, { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains(SessionStore.STORE_SUMMARIES)) {
+        const summaries = db.createObjectStore(SessionStore.STORE_SUMMARIES, { keyPath: 'id' });
+        summaries.createIndex('channel', 'channel', { unique: false });
+        summaries.createIndex('updatedAt', 'updatedAt', { unique: false });
+
+        // Version 1 kept name and tags in the snapshots; move them to summaries
+        if (oldVersion >= 1) {
+          transaction.objectStore(SessionStore.STORE_SESSIONS).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            summaries.put(this.toSummary(cursor.value, cursor.value.name, cursor.value.tags));
+            cursor.continue();
+          };
+        }
+      }
+    });
+  }
+
+  run(storeNames, mode, operation) {
+    return this.db.run(storeNames, mode, operation);
+  }
+
+  createSessionId(channelName) {
+    return `${channelName}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  toSummary(record, name = '', tags = []) {
+    return {
+      id: record.id,
+      channel: record.channel,
+      name: name || '',
+      tags: tags || [],
+      startedAt: record.startedAt,
+      endedAt: record.endedAt || null,
+      updatedAt: record.updatedAt,
+      summary: record.summary || null
+    };
+  }
+
+  // Snapshot and summary are written in one transaction that also reads the summary, so a
+  // rename or retag in the archive is never overwritten by a checkpoint (or the other way round)
+  async saveSession(record) {
+    try {
+      const { name, tags, ...snapshot } = record; // Archive details only live in the summary
+      snapshot.updatedAt = Date.now();
+
+      await this.run([SessionStore.STORE_SESSIONS, SessionStore.STORE_SUMMARIES], 'readwrite', stores => {
+        stores[SessionStore.STORE_SESSIONS].put(snapshot);
+
+        const request = stores[SessionStore.STORE_SUMMARIES].get(snapshot.id);
+        request.onsuccess = () => {
+          const existing = request.result;
+          stores[SessionStore.STORE_SUMMARIES].put(
+            this.toSummary(snapshot, existing ? existing.name : name, existing ? existing.tags : tags)
+          );
+        };
+      });
+      return true;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Save Session', { id: record.id });
+      return false;
+    }
+  }
+
+  // Full snapshot with the archive's name and tags and the end time
+  async getSession(id) {
+    try {
+      let session = null;
+      let summary = null;
+
+      await this.run([SessionStore.STORE_SESSIONS, SessionStore.STORE_SUMMARIES], 'readonly', stores => {
+        const sessionRequest = stores[SessionStore.STORE_SESSIONS].get(id);
+        sessionRequest.onsuccess = () => {
+          session = sessionRequest.result || null;
+        };
+
+        const summaryRequest = stores[SessionStore.STORE_SUMMARIES].get(id);
+        summaryRequest.onsuccess = () => {
+          summary = summaryRequest.result || null;
+        };
+      });
+
+      if (!session) return null;
+      return {
+        ...session,
+        name: summary?.name || '',
+        tags: summary?.tags || [],
+        endedAt: summary?.endedAt || session.endedAt || null
+      };
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Get Session', { id });
+      return null;
+    }
+  }
+
+  async getSessionSummariesForChannel(channelName) {
+    try {
+      const summaries = await this.run(SessionStore.STORE_SUMMARIES, 'readonly',
+        store => store.index('channel').getAll(channelName)) || [];
+      return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Get Summaries For Channel', { channelName });
+      return [];
+    }
+  }
+
+  // Summaries of every stored session, newest first; open one with getSession()
+  async getSessionSummaries() {
+    try {
+      const summaries = await this.run(SessionStore.STORE_SUMMARIES, 'readonly', store => store.getAll()) || [];
+      return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Get Session Summaries');
+      return [];
+    }
+  }
+
+  // Change archive details (name, tags) without touching updatedAt, which drives
+  // resuming and pruning. Read and write share one transaction (see saveSession)
+  async updateSessionDetails(id, details) {
+    try {
+      let updated = false;
+      await this.run(SessionStore.STORE_SUMMARIES, 'readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          store.put({ ...request.result, ...details });
+          updated = true;
+        };
+      });
+      return updated;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Update Session Details', { id });
+      return false;
+    }
+  }
+
+  // Most recent session for the channel that was never explicitly ended and
+  // has been checkpointed within maxAgeMs
+  async getResumableSession(channelName, maxAgeMs) {
+    const summaries = await this.getSessionSummariesForChannel(channelName);
+    const cutoff = Date.now() - maxAgeMs;
+    const resumable = summaries.find(summary => !summary.endedAt && summary.updatedAt >= cutoff);
+    return resumable ? this.getSession(resumable.id) : null;
+  }
+
+  async endSession(id) {
+    try {
+      let ended = false;
+      const endedAt = Date.now();
+
+      // Only the summary records the end time, so the snapshot isn't read and written back.
+      // updatedAt stays as it is: the data didn't change, so PopulationPrior needn't reload it
+      await this.run(SessionStore.STORE_SUMMARIES, 'readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result || request.result.endedAt) return;
+          store.put({ ...request.result, endedAt });
+          ended = true;
+        };
+      });
+      return ended;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore End Session', { id });
+      return false;
+    }
+  }
+
+  async deleteSession(id) {
+    try {
+      await this.run([SessionStore.STORE_SESSIONS, SessionStore.STORE_SUMMARIES], 'readwrite', stores => {
+        Object.values(stores).forEach(store => store.delete(id));
+      });
+      return true;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Delete Session', { id });
+      return false;
+    }
+  }
+
+  // Keep the newest maxSessions records, dropping the oldest ones. Sessions named or tagged in
+  // the archive were kept on purpose: they are never pruned and don't count towards the limit
+  async pruneSessions(maxSessions) {
+    try {
+      // Index order is ascending updatedAt, oldest first
+      const summaries = await this.run(SessionStore.STORE_SUMMARIES, 'readonly',
+        store => store.index('updatedAt').getAll()) || [];
+      const prunable = summaries.filter(summary => !summary.name && !(summary.tags?.length > 0));
+      const excess = prunable.length - maxSessions;
+      if (excess <= 0) return 0;
+
+      const staleIds = prunable.slice(0, excess).map(summary => summary.id);
+      await this.run([SessionStore.STORE_SESSIONS, SessionStore.STORE_SUMMARIES], 'readwrite', stores => {
+        for (const id of staleIds) {
+          Object.values(stores).forEach(store => store.delete(id));
+        }
+      });
+      return staleIds.length;
+    } catch (error) {
+      this.errorHandler?.handle(error, 'SessionStore Prune Sessions', { maxSessions });
+      return 0;
+    }
+  }
+};
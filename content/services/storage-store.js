@@ -0,0 +1,80 @@
+// Storage Store - base for small stores kept in chrome.storage.local under a single key
+// Subclasses set STORAGE_KEY and implement toStored() and setStored(stored); loading, saving and
+// listeners live here. With watchChanges, writes from other extension pages are picked up. Each
+// save also writes a { writer, revision } marker next to the data, so a page can tell its own
+// writes apart when they come back through storage.onChanged
+window.StorageStore = class StorageStore {
+  constructor(errorHandler, { watchChanges = false } = {}) {
+    this.errorHandler = errorHandler;
+    this.listeners = new Set();
+    this.writerId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+    this.revision = 0;
+    this.handleStorageChange = null;
+
+    if (watchChanges) {
+      this.handleStorageChange = (changes, area) => {
+        if (area !== 'local' || !changes[this.storageKey]) return;
+        if (changes[this.revisionKey]?.newValue?.writer === this.writerId) return; // Our own save
+
+        this.setStored(changes[this.storageKey].newValue);
+        this.notify();
+      };
+      chrome.storage?.onChanged?.addListener(this.handleStorageChange);
+    }
+  }
+
+  get storageKey() {
+    return this.constructor.STORAGE_KEY;
+  }
+
+  get revisionKey() {
+    return `${this.constructor.STORAGE_KEY}Revision`;
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      this.setStored(stored[this.storageKey]);
+      return true;
+    } catch (error) {
+      this.errorHandler?.handle(error, `${this.constructor.name} Load`);
+      return false;
+    }
+  }
+
+  async save() {
+    try {
+      this.revision++;
+      await chrome.storage.local.set({
+        [this.storageKey]: this.toStored(),
+        [this.revisionKey]: { writer: this.writerId, revision: this.revision }
+      });
+      return true;
+    } catch (error) {
+      this.errorHandler?.handle(error, `${this.constructor.name} Save`);
+      return false;
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this);
+      } catch (error) {
+        this.errorHandler?.handle(error, `${this.constructor.name} Listener`);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.handleStorageChange) {
+      chrome.storage?.onChanged?.removeListener(this.handleStorageChange);
+    }
+    this.listeners.clear();
+  }
+};
@@ -43,7 +43,7 @@ window.HTMLTemplates = class HTMLTemplates {
     `;
   }
 
-  static generatePanelContent(viewer, userInfo, following) {
+  static generatePanelContent(viewer, userInfo, following, label = null) {
     const capitalizedUsername = FormatUtils.capitalizeUsername(viewer.username);
     const profileImage = userInfo?.profileImageURL || 'https://static-cdn.jtvnw.net/user-default-pictures-uv/41780b5a-def8-11e9-94d9-784f43822e80-profile_image-300x300.png';
     const description = viewer.description || 'No description available';
@@ -78,6 +78,8 @@ window.HTMLTemplates = class HTMLTemplates {
         </div>
       </div>
       
+      ${this.generateLabelButtons(label)}
+
       ${description !== 'No description available' ? `
         <div class="tvm-user-description" style="margin-bottom: 15px; padding: 12px; background: #1f1f23; border-radius: 4px; border-left: 3px solid #9147ff;">
           <strong style="font-size: 13px;">Description:</strong><br>
@@ -110,6 +112,25 @@ window.HTMLTemplates = class HTMLTemplates {
     `;
   }
 
+  // Manual bot / legit label for the viewer; 'unknown' clears it
+  static generateLabelButtons(label) {
+    const options = [
+      { value: 'bot', text: 'Bot' },
+      { value: 'legit', text: 'Legit' },
+      { value: 'unknown', text: 'Unknown' }
+    ];
+    const current = label || 'unknown';
+
+    return `
+      <div class="tvm-label-buttons" style="margin-bottom: 15px;">
+        <strong style="font-size: 13px;">Label:</strong>
+        ${options.map(option => `
+          <button class="tvm-btn tvm-btn-small tvm-label-btn${option.value === current ? ' active' : ''}" data-label="${option.value}">${option.text}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
   static generateFollowingList(followingList, error, isPartialList = false) {
     if (error) {
       return `<div class="tvm-error">Error loading following data: ${error}</div>`;
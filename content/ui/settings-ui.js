@@ -1,5 +1,20 @@
 // Settings UI Helper - Simplified form management
 window.SettingsUI = class SettingsUI {
+    // Advanced detection inputs (number settings) and the age multiplier inputs
+    static DETECTION_INPUTS = {
+        botDateRangeMonthsFromNow: 'tvm-bot-date-range-months-from-now',
+        excludedTopMonths: 'tvm-excluded-top-months',
+        excludedTopMonthsLarge: 'tvm-excluded-top-months-large',
+        baselineMultiplier: 'tvm-baseline-multiplier',
+        minimumBotPercentage: 'tvm-minimum-bot-percentage'
+    };
+    static AGE_MULTIPLIER_INPUTS = {
+        earlyPeriod: 'tvm-age-multiplier-early',
+        under3Months: 'tvm-age-multiplier-3',
+        under6Months: 'tvm-age-multiplier-6',
+        under9Months: 'tvm-age-multiplier-9'
+    };
+
     constructor(settingsManager, statsManager, apiClient, errorHandler) {
         this.settings = settingsManager;
         this.stats = statsManager;
@@ -19,7 +34,11 @@ window.SettingsUI = class SettingsUI {
             this.setChecked('tvm-auto-adjust-request-interval', config.autoAdjustRequestInterval);
             this.setChecked('tvm-auto-pause-graphs', config.autoPauseGraphsOnZeroViewers);
             this.setChecked('tvm-clean-graph-zero-data', config.cleanGraphZeroData);
+            this.setChecked('tvm-persist-sessions', config.persistSessions);
+            this.setChecked('tvm-exclude-staff', config.excludeStaffFromBotDetection);
             this.setValue('tvm-history-retention', config.historyRetentionHours);
+            this.setValue('tvm-max-tracked-channels', config.maxTrackedChannels);
+            this.loadDetectionForm(config);
 
             // Disable inputs if auto-adjust is enabled
             this.toggleInput('tvm-timeout', config.autoAdjustTimeout);
@@ -62,7 +81,14 @@ window.SettingsUI = class SettingsUI {
             updates.autoAdjustRequestInterval = this.getChecked('tvm-auto-adjust-request-interval');
             updates.autoPauseGraphsOnZeroViewers = this.getChecked('tvm-auto-pause-graphs');
             updates.cleanGraphZeroData = this.getChecked('tvm-clean-graph-zero-data');
+            updates.persistSessions = this.getChecked('tvm-persist-sessions');
+            updates.excludeStaffFromBotDetection = this.getChecked('tvm-exclude-staff');
             updates.historyRetentionHours = parseInt(this.getValue('tvm-history-retention')) || 12;
+            updates.maxTrackedChannels = parseInt(this.getValue('tvm-max-tracked-channels')) || 4;
+
+            const detection = this.readDetectionForm();
+            if (!detection) return false;
+            Object.assign(updates, detection);
 
             // Save settings
             await this.settings.update(updates);
@@ -101,7 +127,11 @@ window.SettingsUI = class SettingsUI {
             this.setChecked('tvm-auto-adjust-request-interval', defaults.autoAdjustRequestInterval);
             this.setChecked('tvm-auto-pause-graphs', defaults.autoPauseGraphsOnZeroViewers);
             this.setChecked('tvm-clean-graph-zero-data', defaults.cleanGraphZeroData);
+            this.setChecked('tvm-persist-sessions', defaults.persistSessions);
+            this.setChecked('tvm-exclude-staff', defaults.excludeStaffFromBotDetection);
             this.setValue('tvm-history-retention', defaults.historyRetentionHours);
+            this.setValue('tvm-max-tracked-channels', defaults.maxTrackedChannels);
+            this.loadDetectionForm(defaults);
 
             // Toggle inputs
             this.toggleInput('tvm-timeout', defaults.autoAdjustTimeout);
@@ -136,11 +166,81 @@ window.SettingsUI = class SettingsUI {
             this.addListener('tvm-save-settings', 'click', () => this.saveForm());
             this.addListener('tvm-reset-settings', 'click', () => this.resetForm());
 
+            // Advanced detection applies straight away (detection re-runs on the settings change)
+            this.addListener('tvm-detection-preset', 'change', (e) => this.applyDetectionPreset(e.target.value));
+            document.querySelectorAll('.tvm-detection-input').forEach(input => {
+                input.addEventListener('change', () => this.saveDetectionSettings());
+            });
+
         } catch (error) {
             this.handleError(error, 'Failed to setup event listeners');
         }
     }
 
+    // Fill the advanced detection inputs from a settings object
+    loadDetectionForm(config) {
+        this.setValue('tvm-detection-preset', config.detectionPreset);
+        this.setValue('tvm-bot-date-range-start', config.botDateRangeStart);
+        for (const [key, id] of Object.entries(SettingsUI.DETECTION_INPUTS)) {
+            this.setValue(id, config[key]);
+        }
+        for (const [key, id] of Object.entries(SettingsUI.AGE_MULTIPLIER_INPUTS)) {
+            this.setValue(id, config.ageMultipliers[key]);
+        }
+    }
+
+    // Advanced detection values from the form, or null (after an alert) if one is invalid
+    readDetectionForm() {
+        const values = {
+            detectionPreset: document.getElementById('tvm-detection-preset')?.value,
+            botDateRangeStart: document.getElementById('tvm-bot-date-range-start')?.value,
+            ageMultipliers: {}
+        };
+        for (const [key, id] of Object.entries(SettingsUI.DETECTION_INPUTS)) {
+            values[key] = this.getValue(id);
+        }
+        for (const [key, id] of Object.entries(SettingsUI.AGE_MULTIPLIER_INPUTS)) {
+            values.ageMultipliers[key] = this.getValue(id);
+        }
+
+        for (const [key, value] of Object.entries(values)) {
+            const validation = this.settings.validate(key, value);
+            if (!validation.valid) {
+                alert(`${window.SettingsManager.SCHEMA[key].description}: ${validation.error}`);
+                return null;
+            }
+        }
+        return values;
+    }
+
+    async applyDetectionPreset(name) {
+        try {
+            if (name === 'custom') return;
+
+            await this.settings.applyDetectionPreset(name);
+            this.loadDetectionForm(this.settings.get());
+        } catch (error) {
+            this.handleError(error, 'Failed to apply detection preset');
+        }
+    }
+
+    async saveDetectionSettings() {
+        try {
+            this.setValue('tvm-detection-preset', 'custom');
+            const detection = this.readDetectionForm();
+            if (!detection) {
+                this.loadDetectionForm(this.settings.get());
+                return false;
+            }
+
+            await this.settings.update(detection);
+            return true;
+        } catch (error) {
+            this.handleError(error, 'Failed to save detection settings');
+            return false;
+        }
+    }
+
     // Update effective timeout/interval displays
     updateEffectiveDisplays() {
         if (this.stats) {
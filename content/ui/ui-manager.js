@@ -22,17 +22,49 @@ window.UIManager = class UIManager {
     this.viewerListManager.tabManager = this.tabManager;
 
     // Subscribe to data changes
-    this.dataManager.subscribe((event, data) => {
+    this.unsubscribeData = this.dataManager.subscribe((event, data) => {
       this.handleDataChange(event, data);
     });
   }
 
+  // Point the UI at another channel's data (multi-channel tracking page)
+  setDataSource(dataManager, apiClient) {
+    try {
+      this.unsubscribeData?.();
+      this.viewerDetailManager.hideViewerPanel();
+
+      this.dataManager = dataManager;
+      this.apiClient = apiClient;
+      this.statsManager.dataManager = dataManager;
+      this.statsManager.apiClient = apiClient;
+      this.viewerListManager.dataManager = dataManager;
+      this.viewerDetailManager.dataManager = dataManager;
+      this.viewerDetailManager.apiClient = apiClient;
+      this.settingsUI.api = apiClient;
+      this.debugManager.dataManager = dataManager;
+
+      this.unsubscribeData = this.dataManager.subscribe((event, data) => {
+        this.handleDataChange(event, data);
+      });
+
+      // Filters and paging belong to the previous channel
+      this.viewerListManager.currentDateFilter = 'all';
+      this.viewerListManager.currentGroupFilter = null;
+      this.viewerListManager.clearSelection();
+      this.viewerListManager.resetToFirstPage();
+    } catch (error) {
+      this.errorHandler?.handle(error, 'UIManager Set Data Source');
+    }
+  }
+
   handleDataChange(event, data) {
     try {
       switch (event) {
         case 'viewersUpdated':
         case 'userInfoUpdated':
         case 'botsDetected':
+        case 'labelsChanged':
+        case 'accountListsChanged':
           this.viewerListManager.scheduleViewerListUpdate();
           this.statsManager.updateStats();
           break;
@@ -119,6 +151,9 @@ window.UIManager = class UIManager {
       const elements = {
         search: document.getElementById('tvm-search'),
         sort: document.getElementById('tvm-sort'),
+        suspicionFilter: document.getElementById('tvm-suspicion-filter'),
+        avatarFilter: document.getElementById('tvm-avatar-filter'),
+        roleFilter: document.getElementById('tvm-role-filter'),
         prevBtn: document.getElementById('tvm-prev'),
         nextBtn: document.getElementById('tvm-next'),
         prevBtnTop: document.getElementById('tvm-prev-top'),
@@ -136,6 +171,18 @@ window.UIManager = class UIManager {
         elements.sort.addEventListener('change', () => this.viewerListManager.onSortChange());
       }
 
+      if (elements.suspicionFilter) {
+        elements.suspicionFilter.addEventListener('change', () => this.viewerListManager.onSortChange());
+      }
+
+      if (elements.avatarFilter) {
+        elements.avatarFilter.addEventListener('change', () => this.viewerListManager.onSortChange());
+      }
+
+      if (elements.roleFilter) {
+        elements.roleFilter.addEventListener('change', () => this.viewerListManager.onSortChange());
+      }
+
       // Pagination buttons
       if (elements.prevBtn) {
         elements.prevBtn.addEventListener('click', () => this.viewerListManager.changePage(-1));
@@ -200,6 +247,16 @@ window.UIManager = class UIManager {
 
       document.addEventListener('click', this.usernameClickHandler);
 
+      // Bulk labelling of the selected viewer rows
+      document.getElementById('tvm-label-bar')?.addEventListener('click', (event) => {
+        const labelButton = event.target.closest('.tvm-label-btn');
+        if (labelButton) {
+          this.viewerListManager.labelSelected(labelButton.getAttribute('data-label'));
+        } else if (event.target.id === 'tvm-label-bar-clear') {
+          this.viewerListManager.clearSelection();
+        }
+      });
+
       // Settings event listeners
       this.settingsUI.setupEventListeners();
 
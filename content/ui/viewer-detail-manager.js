@@ -62,6 +62,13 @@ class ViewerDetailManager {
             return;
         }
 
+        // Manual label buttons
+        const labelButton = e.target.closest('.tvm-label-btn[data-label]');
+        if (labelButton && this.currentUsername) {
+            await this.handleSetLabel(labelButton.getAttribute('data-label'));
+            return;
+        }
+
         // Suspicious debug toggle
         if (e.target.closest('#tvm-suspicious-debug-toggle')) {
             const debugPanel = document.getElementById('tvm-suspicious-debug');
@@ -82,6 +89,17 @@ class ViewerDetailManager {
         }
     }
 
+    async handleSetLabel(label) {
+        try {
+            await this.dataManager.setViewerLabel([this.currentUsername], label);
+            this.panelBody.querySelectorAll('.tvm-label-btn').forEach(button => {
+                button.classList.toggle('active', button.getAttribute('data-label') === label);
+            });
+        } catch (error) {
+            this.errorHandler.handle(error, 'ViewerDetailManager Set Label', { username: this.currentUsername, label });
+        }
+    }
+
     handlePanelInput(e) {
         if (e.target.id === 'tvm-following-search') {
             this.updateFollowingDisplay();
@@ -173,7 +191,8 @@ class ViewerDetailManager {
     showFullPanel(viewer, userInfo, following) {
         const capitalizedUsername = FormatUtils.capitalizeUsername(viewer.username);
         this.panelTitle.textContent = capitalizedUsername;
-        this.panelBody.innerHTML = HTMLTemplates.generatePanelContent(viewer, userInfo, following);
+        this.panelBody.innerHTML = HTMLTemplates.generatePanelContent(viewer, userInfo, following,
+            this.dataManager.getViewerLabel(viewer.username));
         this.panelBody.scrollTop = 0;
 
         if (!this.panelElement.classList.contains('tvm-panel-visible')) {
@@ -60,6 +60,16 @@ window.FormatUtils = class FormatUtils {
     return num.toString();
   }
 
+  static escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   static formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -0,0 +1,460 @@
+// Session Compare Page
+// Loads two sessions (archived or exported full state files) into their own data managers
+// and overlays their charts, with a delta table for the stream summary stats
+class SessionComparePageManager {
+  static SLOT_STYLES = {
+    a: { color: '#9147ff', borderDash: [] },
+    b: { color: '#00c8ff', borderDash: [6, 4] }
+  };
+
+  constructor() {
+    this.errorHandler = new window.ErrorHandler();
+    this.settingsManager = new window.SettingsManager(this.errorHandler);
+    this.sessionStore = new window.SessionStore(this.errorHandler);
+    this.sessions = [];
+    this.slots = { a: null, b: null };
+    this.fileSlot = null;
+    this.charts = {};
+
+    this.botDetectorId = window.BotDetectors.DEFAULT_ID;
+    this.skipMinutes = 5;
+    this.retentionThresholdMinutes = 5;
+
+    this.init();
+  }
+
+  async init() {
+    await this.settingsManager.load();
+    this.renderDetectorOptions();
+    this.setupEventListeners();
+    await this.loadSessionOptions();
+
+    // Sessions picked on the archive page
+    const params = new URLSearchParams(window.location.search);
+    for (const slot of ['a', 'b']) {
+      const sessionId = params.get(slot);
+      if (sessionId) {
+        document.getElementById(`tvm-compare-select-${slot}`).value = sessionId;
+        await this.loadArchivedSession(slot, sessionId);
+      }
+    }
+
+    this.render();
+  }
+
+  setupEventListeners() {
+    document.getElementById('tvm-close-btn')?.addEventListener('click', () => {
+      window.close();
+    });
+
+    document.querySelectorAll('select[data-slot]').forEach(select => {
+      select.addEventListener('change', async (e) => {
+        const slot = e.target.dataset.slot;
+        if (e.target.value) {
+          await this.loadArchivedSession(slot, e.target.value);
+        } else {
+          this.setSlot(slot, null);
+        }
+        this.render();
+      });
+    });
+
+    const fileInput = document.getElementById('tvm-compare-file');
+    document.querySelectorAll('[data-load-file]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.fileSlot = button.dataset.loadFile;
+        fileInput.click();
+      });
+    });
+
+    fileInput?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file || !this.fileSlot) return;
+
+      try {
+        const jsonString = await file.text();
+        if (this.loadSlot(this.fileSlot, jsonString, file.name)) {
+          document.getElementById(`tvm-compare-select-${this.fileSlot}`).value = '';
+        }
+        this.render();
+      } catch (error) {
+        console.error('Error reading compare file:', error);
+        alert('Failed to read file. Make sure it\'s a valid JSON export.');
+      }
+
+      // Reset file input
+      e.target.value = '';
+    });
+
+    document.getElementById('tvm-compare-bot-calc')?.addEventListener('change', (e) => {
+      this.botDetectorId = e.target.value;
+      this.getLoadedSlots().forEach(slot => this.slots[slot].dataManager.setBotDetector(this.botDetectorId));
+      this.render();
+    });
+
+    document.getElementById('tvm-compare-skip')?.addEventListener('change', (e) => {
+      this.skipMinutes = parseInt(e.target.value, 10);
+      this.render();
+    });
+
+    document.getElementById('tvm-compare-retention')?.addEventListener('change', (e) => {
+      this.retentionThresholdMinutes = parseInt(e.target.value, 10);
+      this.render();
+    });
+  }
+
+  renderDetectorOptions() {
+    document.getElementById('tvm-compare-bot-calc').innerHTML = window.BotDetectors.list().map(detector => {
+      const selected = detector.id === this.botDetectorId ? ' selected' : '';
+      return `<option value="${FormatUtils.escapeHtml(detector.id)}"${selected}>${FormatUtils.escapeHtml(detector.name)}</option>`;
+    }).join('');
+  }
+
+  async loadSessionOptions() {
+    const records = await this.sessionStore.getSessionSummaries();
+    this.sessions = records.map(record => ({
+      id: record.id,
+      channel: record.channel,
+      name: record.name || '',
+      startedAt: record.startedAt
+    }));
+
+    const options = this.sessions.map(session => {
+      const name = session.name || FormatUtils.formatDateTime(session.startedAt);
+      const label = FormatUtils.escapeHtml(`${session.channel} - ${name}`);
+      return `<option value="${FormatUtils.escapeHtml(session.id)}">${label}</option>`;
+    }).join('');
+
+    for (const slot of ['a', 'b']) {
+      const select = document.getElementById(`tvm-compare-select-${slot}`);
+      select.innerHTML = '<option value="">Choose an archived session...</option>' + options;
+    }
+  }
+
+  async loadArchivedSession(slot, sessionId) {
+    const record = await this.sessionStore.getSession(sessionId);
+    if (!record) {
+      alert('This session no longer exists in the archive.');
+      this.setSlot(slot, null);
+      return false;
+    }
+
+    // Go through the same path as importing an exported file
+    const exportManager = new window.ExportManager(this.errorHandler);
+    const jsonString = exportManager.exportFullStateAsJSON(record.channel, {
+      ...record,
+      exportedAt: new Date(record.updatedAt).toISOString()
+    });
+
+    const name = record.name || FormatUtils.formatDateTime(record.startedAt);
+    return this.loadSlot(slot, jsonString, `${record.channel} - ${name}`);
+  }
+
+  loadSlot(slot, jsonString, label) {
+    const dataManager = new window.EnhancedDataManager(this.settingsManager, this.errorHandler, null);
+    dataManager.setBotDetector(this.botDetectorId);
+    const result = dataManager.importFullStateFromJSON(jsonString);
+
+    if (!result.success) {
+      dataManager.destroy();
+      alert(`Failed to load session: ${result.error}`);
+      return false;
+    }
+
+    this.setSlot(slot, { dataManager, label, channel: result.channel });
+    return true;
+  }
+
+  setSlot(slot, data) {
+    this.slots[slot]?.dataManager.destroy();
+    this.slots[slot] = data;
+
+    const labelElement = document.getElementById(`tvm-compare-label-${slot}`);
+    if (labelElement) {
+      labelElement.textContent = data
+        ? `${data.label} (${data.dataManager.getHistory().length} history points)`
+        : '';
+    }
+  }
+
+  getLoadedSlots() {
+    return ['a', 'b'].filter(slot => this.slots[slot]);
+  }
+
+  render() {
+    const ready = this.slots.a && this.slots.b;
+    document.getElementById('tvm-compare-empty').style.display = ready ? 'none' : 'block';
+    document.getElementById('tvm-compare-content').style.display = ready ? 'block' : 'none';
+
+    if (!ready) return;
+
+    try {
+      this.renderDeltaTable();
+      this.renderMainChart();
+      this.renderCreationChart();
+      this.renderRetentionChart();
+    } catch (error) {
+      this.errorHandler.handle(error, 'SessionCompare Render');
+    }
+  }
+
+  getSlotName(slot) {
+    const { channel } = this.slots[slot];
+    const sameChannel = this.slots.a.channel === this.slots.b.channel;
+    return sameChannel ? slot.toUpperCase() : `${slot.toUpperCase()} (${channel})`;
+  }
+
+  // Months the creation chart flagged as botted, left out of retention like the heatmap does
+  getBottedMonths(dataManager) {
+    const monthData = dataManager.state.metadata.accountGraphMonthData || [];
+    return new Set(monthData.filter(month => month.bots > 0).map(month => month.month));
+  }
+
+  // Time bucket -> share of non-botted users (percent)
+  getRetentionDistribution(dataManager) {
+    const bottedMonths = this.getBottedMonths(dataManager);
+    const buckets = new Map();
+    let total = 0;
+
+    for (const item of dataManager.getHeatmapData()) {
+      if (bottedMonths.has(item.month)) continue;
+      buckets.set(item.time, (buckets.get(item.time) || 0) + item.count);
+      total += item.count;
+    }
+
+    const distribution = new Map();
+    for (const [time, count] of buckets.entries()) {
+      distribution.set(time, total > 0 ? (count / total) * 100 : 0);
+    }
+
+    return { distribution, total };
+  }
+
+  getRetentionPercent(dataManager) {
+    const { distribution, total } = this.getRetentionDistribution(dataManager);
+    if (total === 0) return null;
+
+    let overPercent = 0;
+    for (const [time, percent] of distribution.entries()) {
+      if (time >= this.retentionThresholdMinutes) {
+        overPercent += percent;
+      }
+    }
+    return Math.round(overPercent);
+  }
+
+  renderDeltaTable() {
+    const statsA = this.slots.a.dataManager.getStreamStats(this.skipMinutes);
+    const statsB = this.slots.b.dataManager.getStreamStats(this.skipMinutes);
+    const retentionA = this.getRetentionPercent(this.slots.a.dataManager);
+    const retentionB = this.getRetentionPercent(this.slots.b.dataManager);
+
+    // [label, key, isPercent]
+    const rows = [
+      ['Avg Viewers', 'avgViewers', false],
+      ['Avg Authenticated', 'avgAuthenticated', false],
+      ['Avg Users', 'avgNonBots', false],
+      ['Avg Bots', 'avgBots', false],
+      ['Avg Authenticated %', 'avgAuthPercent', true],
+      ['Avg Bot %', 'avgBotsPercent', true],
+      ['Peak Viewers', 'maxViewers', false],
+      ['Peak Authenticated', 'maxAuthenticated', false],
+      ['Peak Users', 'maxNonBots', false],
+      ['Peak Bots', 'maxBots', false],
+      ['Peak Bot %', 'maxBotsPercent', true]
+    ];
+
+    const values = rows.map(([label, key, isPercent]) => [label, statsA?.[key] ?? null, statsB?.[key] ?? null, isPercent]);
+    values.push([`Stayed ${this.retentionThresholdMinutes}m+ %`, retentionA, retentionB, true]);
+
+    const formatValue = (value, isPercent) => {
+      if (value === null) return '-';
+      return isPercent ? `${value}%` : value.toLocaleString();
+    };
+
+    const table = document.getElementById('tvm-compare-deltas');
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>After ${this.skipMinutes}m</th>
+          <th>${FormatUtils.escapeHtml(this.getSlotName('a'))}</th>
+          <th>${FormatUtils.escapeHtml(this.getSlotName('b'))}</th>
+          <th>&Delta;</th>
+          <th>&Delta; %</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${values.map(([label, a, b, isPercent]) => {
+          const hasBoth = a !== null && b !== null;
+          const delta = hasBoth ? b - a : null;
+          const deltaClass = delta > 0 ? 'tvm-compare-up' : delta < 0 ? 'tvm-compare-down' : '';
+          const sign = delta > 0 ? '+' : '';
+          // Percentages change by points; relative change only makes sense for counts
+          const relative = hasBoth && !isPercent && a > 0
+            ? `${sign}${FormatUtils.formatPercentage((delta / a) * 100)}%`
+            : '-';
+
+          return `
+            <tr>
+              <td>${label}</td>
+              <td>${formatValue(a, isPercent)}</td>
+              <td>${formatValue(b, isPercent)}</td>
+              <td class="${deltaClass}">${hasBoth ? sign + (isPercent ? `${delta} pts` : delta.toLocaleString()) : '-'}</td>
+              <td class="${deltaClass}">${relative}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    `;
+  }
+
+  // Same labels as the heatmap time buckets (e.g. 45m, 1h 30m)
+  formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = Math.round(totalMinutes % 60);
+    return hours > 0 ? (mins > 0 ? `${hours}h ${mins}m` : `${hours}h`) : `${mins}m`;
+  }
+
+  getChartOptions(xTitle, yTitle) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          labels: { color: '#adadb8', font: { size: 11 } }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(14, 14, 16, 0.95)',
+          titleColor: '#efeff1',
+          bodyColor: '#efeff1',
+          borderColor: '#2e2e35',
+          borderWidth: 1
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: xTitle, color: '#adadb8' },
+          ticks: { color: '#adadb8', font: { size: 11 } },
+          grid: { display: false }
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: yTitle, color: '#adadb8' },
+          ticks: { color: '#adadb8', font: { size: 11 } },
+          grid: { color: 'rgba(173, 173, 184, 0.1)' }
+        }
+      }
+    };
+  }
+
+  // Charts are rebuilt on every render; data sets are small and only change on user input
+  replaceChart(key, canvasId, config) {
+    this.charts[key]?.destroy();
+    this.charts[key] = new Chart(document.getElementById(canvasId), config);
+  }
+
+  renderMainChart() {
+    const colors = this.settingsManager.get().chartColors;
+    const series = [
+      ['Viewers', colors.totalViewers, h => h.totalViewers],
+      ['Users', colors.authenticatedNonBots, h => h.split.nonBots],
+      ['Bots', colors.bots, h => h.split.bots]
+    ];
+
+    const datasets = [];
+    for (const slot of this.getLoadedSlots()) {
+      const { dataManager } = this.slots[slot];
+      const history = dataManager.getHistory().filter(h => h.totalViewers > 0);
+      if (history.length === 0) continue;
+
+      // Align both sessions on minutes since their first history point
+      const start = history[0].timestamp;
+      const points = history.map(h => ({
+        minutes: (h.timestamp - start) / 60000,
+        totalViewers: h.totalViewers,
+        split: dataManager.getHistoryPointSplit(h)
+      }));
+
+      for (const [label, color, getValue] of series) {
+        datasets.push({
+          label: `${label} ${this.getSlotName(slot)}`,
+          data: points.map(p => ({ x: p.minutes, y: getValue(p) })),
+          borderColor: color,
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          borderDash: SessionComparePageManager.SLOT_STYLES[slot].borderDash,
+          pointRadius: 0,
+          tension: 0.4
+        });
+      }
+    }
+
+    const options = this.getChartOptions('Time since start', 'Count');
+    options.interaction = { mode: 'nearest', axis: 'x', intersect: false };
+    options.scales.x.type = 'linear';
+    options.scales.x.ticks.callback = value => this.formatMinutes(value);
+
+    this.replaceChart('main', 'tvm-compare-main-chart', {
+      type: 'line',
+      data: { datasets },
+      options
+    });
+  }
+
+  renderCreationChart() {
+    // Normalise to the share of dated accounts so sessions of different size line up
+    const histograms = {};
+    const months = new Set();
+    for (const slot of this.getLoadedSlots()) {
+      const histogram = this.slots[slot].dataManager.getCreationDateHistogram();
+      const total = histogram.reduce((sum, item) => sum + item.count, 0);
+      histograms[slot] = new Map(histogram.map(item => [item.date.slice(0, 7), total > 0 ? (item.count / total) * 100 : 0]));
+      histogram.forEach(item => months.add(item.date.slice(0, 7)));
+    }
+
+    const labels = Array.from(months).sort();
+    const datasets = this.getLoadedSlots().map(slot => ({
+      label: this.getSlotName(slot),
+      data: labels.map(month => histograms[slot].get(month) || 0),
+      backgroundColor: SessionComparePageManager.SLOT_STYLES[slot].color
+    }));
+
+    this.replaceChart('creation', 'tvm-compare-creation-chart', {
+      type: 'bar',
+      data: { labels, datasets },
+      options: this.getChartOptions('Creation month', '% of dated accounts')
+    });
+  }
+
+  renderRetentionChart() {
+    const distributions = {};
+    const times = new Set();
+    for (const slot of this.getLoadedSlots()) {
+      distributions[slot] = this.getRetentionDistribution(this.slots[slot].dataManager).distribution;
+      distributions[slot].forEach((_, time) => times.add(time));
+    }
+
+    const buckets = Array.from(times).sort((a, b) => a - b);
+    const datasets = this.getLoadedSlots().map(slot => ({
+      label: this.getSlotName(slot),
+      data: buckets.map(time => distributions[slot].get(time) || 0),
+      backgroundColor: SessionComparePageManager.SLOT_STYLES[slot].color
+    }));
+
+    this.replaceChart('retention', 'tvm-compare-retention-chart', {
+      type: 'bar',
+      data: {
+        labels: buckets.map(time => this.formatMinutes(time)),
+        datasets
+      },
+      options: this.getChartOptions('Time watched (excluding botted months)', '% of users')
+    });
+  }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+  new SessionComparePageManager();
+});
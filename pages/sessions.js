@@ -0,0 +1,240 @@
+// Session Archive Page
+// Lists sessions stored by SessionStore and opens them in the tracking page's analysis mode
+class SessionArchivePageManager {
+  constructor() {
+    this.errorHandler = new window.ErrorHandler();
+    this.sessionStore = new window.SessionStore(this.errorHandler);
+    this.sessions = [];
+    this.channelFilter = '';
+    this.searchTerm = '';
+    this.compareIds = []; // Up to two sessions ticked for comparison
+
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    await this.loadSessions();
+  }
+
+  setupEventListeners() {
+    document.getElementById('tvm-close-btn')?.addEventListener('click', () => {
+      window.close();
+    });
+
+    document.getElementById('tvm-sessions-channel')?.addEventListener('change', (e) => {
+      this.channelFilter = e.target.value;
+      this.render();
+    });
+
+    document.getElementById('tvm-sessions-search')?.addEventListener('input', (e) => {
+      this.searchTerm = e.target.value.trim().toLowerCase();
+      this.render();
+    });
+
+    document.getElementById('tvm-sessions-compare')?.addEventListener('click', () => {
+      this.openCompare();
+    });
+
+    // Compare selection, keeping the two most recently ticked sessions
+    document.getElementById('tvm-sessions-list')?.addEventListener('change', (e) => {
+      const sessionId = e.target.dataset.compareId;
+      if (!sessionId) return;
+
+      this.compareIds = this.compareIds.filter(id => id !== sessionId);
+      if (e.target.checked) {
+        this.compareIds = [...this.compareIds, sessionId].slice(-2);
+      }
+      this.render();
+    });
+
+    // Row actions (event delegation, rows are re-rendered)
+    document.getElementById('tvm-sessions-list')?.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const session = this.sessions.find(s => s.id === button.dataset.id);
+      if (!session) return;
+
+      switch (button.dataset.action) {
+        case 'open':
+          this.openSession(session);
+          break;
+        case 'rename':
+          await this.renameSession(session);
+          break;
+        case 'tag':
+          await this.tagSession(session);
+          break;
+        case 'delete':
+          await this.deleteSession(session);
+          break;
+      }
+    });
+  }
+
+  async loadSessions() {
+    const records = await this.sessionStore.getSessionSummaries();
+    this.sessions = records.map(record => ({
+      id: record.id,
+      channel: record.channel,
+      name: record.name || '',
+      tags: record.tags || [],
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+      updatedAt: record.updatedAt,
+      summary: record.summary || null
+    }));
+
+    document.getElementById('tvm-sessions-loading').style.display = 'none';
+    this.renderChannelOptions();
+    this.render();
+  }
+
+  renderChannelOptions() {
+    const select = document.getElementById('tvm-sessions-channel');
+    const channels = [...new Set(this.sessions.map(s => s.channel))].sort();
+
+    // Drop a filter for a channel whose last session was deleted
+    if (this.channelFilter && !channels.includes(this.channelFilter)) {
+      this.channelFilter = '';
+    }
+
+    select.innerHTML = '<option value="">All channels</option>' + channels.map(channel => {
+      const escaped = FormatUtils.escapeHtml(channel);
+      const selected = channel === this.channelFilter ? ' selected' : '';
+      return `<option value="${escaped}"${selected}>${escaped}</option>`;
+    }).join('');
+  }
+
+  getFilteredSessions() {
+    return this.sessions.filter(session => {
+      if (this.channelFilter && session.channel !== this.channelFilter) return false;
+      if (!this.searchTerm) return true;
+
+      return session.name.toLowerCase().includes(this.searchTerm) ||
+        session.channel.toLowerCase().includes(this.searchTerm) ||
+        session.tags.some(tag => tag.toLowerCase().includes(this.searchTerm));
+    });
+  }
+
+  render() {
+    const list = document.getElementById('tvm-sessions-list');
+    const sessions = this.getFilteredSessions();
+
+    document.getElementById('tvm-sessions-empty').style.display = this.sessions.length === 0 ? 'block' : 'none';
+    document.getElementById('tvm-sessions-count').textContent =
+      `${sessions.length} of ${this.sessions.length} sessions`;
+    document.getElementById('tvm-sessions-compare').textContent = `Compare (${this.compareIds.length}/2)`;
+
+    // Group by channel, channels with the most recent session first
+    const byChannel = new Map();
+    for (const session of sessions) {
+      if (!byChannel.has(session.channel)) {
+        byChannel.set(session.channel, []);
+      }
+      byChannel.get(session.channel).push(session);
+    }
+
+    list.innerHTML = Array.from(byChannel.entries()).map(([channel, channelSessions]) => `
+      <section class="tvm-sessions-channel">
+        <h2>${FormatUtils.escapeHtml(channel)} <span class="tvm-sessions-channel-count">${channelSessions.length}</span></h2>
+        <table class="tvm-sessions-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Session</th>
+              <th>Date</th>
+              <th>Duration</th>
+              <th>Peak Viewers</th>
+              <th>Bots</th>
+              <th>Tags</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${channelSessions.map(session => this.renderSessionRow(session)).join('')}
+          </tbody>
+        </table>
+      </section>
+    `).join('');
+  }
+
+  renderSessionRow(session) {
+    const { summary } = session;
+    const endTime = session.endedAt || session.updatedAt;
+    const id = FormatUtils.escapeHtml(session.id);
+    const name = session.name || FormatUtils.formatDateTime(session.startedAt);
+    const status = session.endedAt ? '' : '<span class="tvm-session-status" title="Tracking was interrupted, not stopped">Unfinished</span>';
+    const tags = session.tags.map(tag => `<span class="tvm-session-tag">${FormatUtils.escapeHtml(tag)}</span>`).join('');
+
+    const compareChecked = this.compareIds.includes(session.id) ? ' checked' : '';
+
+    return `
+      <tr>
+        <td><input type="checkbox" data-compare-id="${id}" title="Select for comparison"${compareChecked}></td>
+        <td class="tvm-session-name">${FormatUtils.escapeHtml(name)} ${status}</td>
+        <td>${FormatUtils.formatDateTime(session.startedAt)}</td>
+        <td>${FormatUtils.formatDuration(endTime - session.startedAt)}</td>
+        <td>${summary ? summary.peakViewers.toLocaleString() : '-'}</td>
+        <td>${summary ? `${FormatUtils.formatPercentage(summary.botPercentage)}%` : '-'}</td>
+        <td>${tags}</td>
+        <td class="tvm-session-actions">
+          <button class="tvm-btn tvm-btn-primary" data-action="open" data-id="${id}">Open</button>
+          <button class="tvm-btn tvm-btn-secondary" data-action="rename" data-id="${id}">Rename</button>
+          <button class="tvm-btn tvm-btn-secondary" data-action="tag" data-id="${id}">Tags</button>
+          <button class="tvm-btn tvm-btn-danger" data-action="delete" data-id="${id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  openSession(session) {
+    const url = chrome.runtime.getURL(`pages/tracking.html?session=${encodeURIComponent(session.id)}`);
+    chrome.tabs.create({ url });
+  }
+
+  openCompare() {
+    const params = new URLSearchParams();
+    this.compareIds.forEach((id, index) => params.set(index === 0 ? 'a' : 'b', id));
+    chrome.tabs.create({ url: chrome.runtime.getURL(`pages/compare.html?${params}`) });
+  }
+
+  async renameSession(session) {
+    const name = prompt('Session name (leave empty to use the date):', session.name);
+    if (name === null) return;
+
+    if (await this.sessionStore.updateSessionDetails(session.id, { name: name.trim() })) {
+      session.name = name.trim();
+      this.render();
+    }
+  }
+
+  async tagSession(session) {
+    const input = prompt('Tags, separated by commas:', session.tags.join(', '));
+    if (input === null) return;
+
+    const tags = [...new Set(input.split(',').map(tag => tag.trim()).filter(Boolean))];
+    if (await this.sessionStore.updateSessionDetails(session.id, { tags })) {
+      session.tags = tags;
+      this.render();
+    }
+  }
+
+  async deleteSession(session) {
+    const name = session.name || FormatUtils.formatDateTime(session.startedAt);
+    if (!confirm(`Delete the ${session.channel} session "${name}"? This cannot be undone.`)) return;
+
+    if (await this.sessionStore.deleteSession(session.id)) {
+      this.sessions = this.sessions.filter(s => s.id !== session.id);
+      this.compareIds = this.compareIds.filter(id => id !== session.id);
+      this.renderChannelOptions();
+      this.render();
+    }
+  }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+  new SessionArchivePageManager();
+});
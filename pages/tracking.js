@@ -1,5 +1,7 @@
 // Tracking Page Manager
 class TrackingPageManager {
+  static CHANNEL_NAME_PATTERN = /^[a-z0-9_]{1,25}$/; // Twitch logins
+
   constructor() {
     this.channelName = null;
     this.isTracking = false;
@@ -12,18 +14,29 @@ class TrackingPageManager {
     this.botThresholdOverride = null;
     this.botThresholdLocked = true;
 
-    // Bot calculation type (0 = Normal, 1 = High Churn, future options 2+)
-    this.botCalculationType = 0;
+    // Active bot detection strategy (see BotDetectors), applied to every tracked channel
+    this.botDetectorId = window.BotDetectors.DEFAULT_ID;
 
     // Page ID for coordination
     this.pageId = 'tracking_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 
+    // Tracked channels, keyed by channel name (see createChannelContext)
+    this.channels = new Map();
+
     this.init();
   }
 
   async init() {
     console.log('Tracking page initializing...');
 
+    // Archived sessions open in their own analysis-only page (no lock, no tracking)
+    const archivedSessionId = new URLSearchParams(window.location.search).get('session');
+    if (archivedSessionId) {
+      this.setupEventListeners();
+      await this.openArchivedSession(archivedSessionId);
+      return;
+    }
+
     // Set up beforeunload confirmation
     this.setupBeforeUnloadConfirmation();
 
@@ -49,6 +62,14 @@ class TrackingPageManager {
     if (this.channelName) {
       await this.startTracking();
     }
+
+    // Pick up background sessions left running by a reloaded or closed tracking page
+    await this.reattachOrphanedSessions();
+
+    // No channel specified and nothing to reattach to
+    if (!this.channelName) {
+      this.showChannelSelection();
+    }
   }
 
   setupBeforeUnloadConfirmation() {
@@ -82,7 +103,7 @@ class TrackingPageManager {
 
         // Show custom confirmation dialog
         const confirmed = confirm(
-          'You are currently tracking a channel. Refreshing will stop tracking and lose all data.\n\n' +
+          `You are currently tracking a channel. ${this.getDataLossWarning('Refreshing')}\n\n` +
           'Are you sure you want to refresh?'
         );
 
@@ -99,7 +120,7 @@ class TrackingPageManager {
           e.preventDefault();
 
           const confirmed = confirm(
-            'You are currently tracking a channel. Closing this tab will stop tracking and lose all data.\n\n' +
+            `You are currently tracking a channel. ${this.getDataLossWarning('Closing this tab')}\n\n` +
             'Are you sure you want to close?'
           );
 
@@ -125,6 +146,14 @@ class TrackingPageManager {
     window.addEventListener('beforeunload', this.beforeUnloadHandler);
   }
 
+  getDataLossWarning(action) {
+    const persistSessions = this.trackingMetrics?.settingsManager.get('persistSessions');
+    if (persistSessions) {
+      return `${action} will interrupt tracking. Data saved so far will be restored when the page is reopened.`;
+    }
+    return `${action} will interrupt tracking. Reopen the page within a few minutes to pick the session back up, otherwise all data is lost.`;
+  }
+
   async checkTrackingLock() {
     try {
       const result = await chrome.storage.local.get(['trackingPageLock']);
@@ -165,7 +194,8 @@ class TrackingPageManager {
     const lock = {
       pageId: this.pageId,
       timestamp: Date.now(),
-      channelName: this.channelName || 'unknown'
+      channelName: this.channelName || 'unknown',
+      channels: this.getTrackedChannelNames()
     };
 
     await chrome.storage.local.set({ trackingPageLock: lock });
@@ -175,6 +205,13 @@ class TrackingPageManager {
     this.startLockUpdates();
   }
 
+  getTrackedChannelNames() {
+    if (this.channels.size > 0) {
+      return Array.from(this.channels.keys());
+    }
+    return this.channelName ? [this.channelName] : [];
+  }
+
   async releaseTrackingLock() {
     try {
       const result = await chrome.storage.local.get(['trackingPageLock']);
@@ -196,7 +233,8 @@ class TrackingPageManager {
           const updatedLock = {
             ...result.trackingPageLock,
             timestamp: Date.now(),
-            channelName: this.channelName || 'unknown'
+            channelName: this.channelName || 'unknown',
+            channels: this.getTrackedChannelNames()
           };
           await chrome.storage.local.set({ trackingPageLock: updatedLock });
         }
@@ -245,7 +283,7 @@ class TrackingPageManager {
     content.innerHTML = `
       <div style="text-align: center; padding: 40px;">
         <h2>Another tracking page is active</h2>
-        <p>Currently tracking: <strong>${lock.channelName}</strong></p>
+        <p>Currently tracking: <strong>${lock.channels?.join(', ') || lock.channelName}</strong></p>
         <p>Close the other tracking page to use this one, or this page will automatically take over when the other closes.</p>
         <div class="tvm-loading-spinner" style="margin: 20px auto;"></div>
         <p style="color: #adadb8; font-size: 14px;">Waiting for other page to close...</p>
@@ -263,7 +301,7 @@ class TrackingPageManager {
       const urlParams = new URLSearchParams(window.location.search);
       const channelFromUrl = urlParams.get('channel');
 
-      if (channelFromUrl) {
+      if (channelFromUrl && TrackingPageManager.CHANNEL_NAME_PATTERN.test(channelFromUrl.toLowerCase())) {
         this.channelName = channelFromUrl.toLowerCase();
         console.log('Channel from URL:', this.channelName);
         return;
@@ -276,14 +314,9 @@ class TrackingPageManager {
         console.log('Channel from storage:', this.channelName);
         // Clear the storage value
         await chrome.storage.local.remove(['trackingPageChannel']);
-        return;
       }
-
-      // No channel specified, show channel selection
-      this.showChannelSelection();
     } catch (error) {
       console.error('Error loading channel info:', error);
-      this.showChannelSelection();
     }
   }
 
@@ -309,6 +342,11 @@ class TrackingPageManager {
       await this.promptChannelSwitch();
     });
 
+    // Session archive button
+    document.getElementById('tvm-session-archive-btn')?.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('pages/sessions.html') });
+    });
+
     // Close button
     document.getElementById('tvm-close-btn')?.addEventListener('click', async () => {
       await this.closeAndStopTracking();
@@ -321,11 +359,14 @@ class TrackingPageManager {
       }
     });
 
+    // Channel tabs (one per tracked channel)
+    this.setupChannelTabs();
+
     // Bot threshold slider controls
     this.setupBotThresholdControls();
 
     // Bot calculation type toggle
-    this.setupBotCalculationToggle();
+    this.setupBotDetectorToggle();
 
     // Export buttons
     this.setupExportButtons();
@@ -336,6 +377,40 @@ class TrackingPageManager {
     });
   }
 
+  setBotThresholdLocked(locked) {
+    const lockButton = document.getElementById('tvm-bot-threshold-lock');
+    const slider = document.getElementById('tvm-bot-threshold-slider');
+    const valueDisplay = document.getElementById('tvm-bot-threshold-value');
+
+    this.botThresholdLocked = locked;
+
+    if (!lockButton || !slider || !valueDisplay) return;
+
+    if (locked) {
+      // Lock: disable slider, show Auto, remove unlocked class
+      slider.disabled = true;
+      valueDisplay.textContent = 'Auto';
+      lockButton.classList.remove('unlocked');
+      lockButton.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/>
+        </svg>
+      `;
+      this.botThresholdOverride = null;
+    } else {
+      // Unlock: enable slider, show value, add unlocked class, show unlocked icon
+      slider.disabled = false;
+      lockButton.classList.add('unlocked');
+      lockButton.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M18 8h-1V6c0-2.76-2.24-5-5-5-2.28 0-4.27 1.54-4.84 3.75l1.94.5C9.46 3.61 10.64 3 12 3c1.71 0 3.1 1.39 3.1 3.1V8H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2z"/>
+        </svg>
+      `;
+      // Update value based on current slider position
+      this.updateBotThresholdValue(slider.value);
+    }
+  }
+
   setupBotThresholdControls() {
     const lockButton = document.getElementById('tvm-bot-threshold-lock');
     const slider = document.getElementById('tvm-bot-threshold-slider');
@@ -349,31 +424,7 @@ class TrackingPageManager {
 
     // Lock/unlock button
     lockButton.addEventListener('click', () => {
-      this.botThresholdLocked = !this.botThresholdLocked;
-
-      if (this.botThresholdLocked) {
-        // Lock: disable slider, show Auto, remove unlocked class
-        slider.disabled = true;
-        valueDisplay.textContent = 'Auto';
-        lockButton.classList.remove('unlocked');
-        lockButton.innerHTML = `
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/>
-          </svg>
-        `;
-        this.botThresholdOverride = null;
-      } else {
-        // Unlock: enable slider, show value, add unlocked class, show unlocked icon
-        slider.disabled = false;
-        lockButton.classList.add('unlocked');
-        lockButton.innerHTML = `
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M18 8h-1V6c0-2.76-2.24-5-5-5-2.28 0-4.27 1.54-4.84 3.75l1.94.5C9.46 3.61 10.64 3 12 3c1.71 0 3.1 1.39 3.1 3.1V8H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2z"/>
-          </svg>
-        `;
-        // Update value based on current slider position
-        this.updateBotThresholdValue(slider.value);
-      }
+      this.setBotThresholdLocked(!this.botThresholdLocked);
 
       // Re-run bot detection with new settings
       if (this.trackingMetrics?.dataManager) {
@@ -426,28 +477,39 @@ class TrackingPageManager {
     });
   }
 
-  setupBotCalculationToggle() {
-    const buttons = document.querySelectorAll('.tvm-bot-calc-btn');
+  setupBotDetectorToggle() {
+    const toggle = document.querySelector('.tvm-bot-calc-toggle');
+    if (!toggle) return;
+
+    // One button per registered detector
+    toggle.innerHTML = window.BotDetectors.list().map(detector => `
+      <button class="tvm-bot-calc-btn${detector.id === this.botDetectorId ? ' tvm-bot-calc-active' : ''}"
+        data-detector="${FormatUtils.escapeHtml(detector.id)}"
+        title="${FormatUtils.escapeHtml(detector.description)}">${FormatUtils.escapeHtml(detector.name)}</button>
+    `).join('');
+
+    const buttons = toggle.querySelectorAll('.tvm-bot-calc-btn');
 
     buttons.forEach(button => {
       button.addEventListener('click', () => {
-        // Get the calculation type from the button
-        const calcType = parseInt(button.getAttribute('data-calc-type'));
-
         // Update active state
         buttons.forEach(btn => btn.classList.remove('tvm-bot-calc-active'));
         button.classList.add('tvm-bot-calc-active');
 
-        // Store the calculation type
-        this.botCalculationType = calcType;
+        // Store the detector and re-run detection on every channel
+        this.botDetectorId = button.dataset.detector;
+        for (const context of this.channels.values()) {
+          context.dataManager.setBotDetector(this.botDetectorId);
+        }
+        this.trackingMetrics?.dataManager?.setBotDetector(this.botDetectorId);
 
         // Update the chart displays if tracking is active
         if (this.trackingMetrics?.chartManager) {
           if (this.trackingMetrics.chartManager.mainChart) {
-            this.trackingMetrics.chartManager.mainChart.setBotCalculationType(calcType);
+            this.trackingMetrics.chartManager.mainChart.update();
           }
           if (this.trackingMetrics.chartManager.heatmapChart) {
-            this.trackingMetrics.chartManager.heatmapChart.setBotCalculationType(calcType);
+            this.trackingMetrics.chartManager.heatmapChart.updateStreamStats();
           }
         }
 
@@ -526,6 +588,7 @@ class TrackingPageManager {
           sendResponse({
             success: true,
             channelName: this.channelName,
+            channels: this.getTrackedChannelNames(),
             isTracking: this.isTracking
           });
           break;
@@ -539,7 +602,7 @@ class TrackingPageManager {
   async promptChannelSwitch() {
     // Prompt user for new channel name
     const newChannelName = prompt(
-      'Enter the Twitch channel name to switch to:',
+      'Enter the Twitch channel name to track:',
       ''
     );
 
@@ -550,60 +613,42 @@ class TrackingPageManager {
 
     // Clean up the channel name (remove @ symbol, trim, lowercase)
     const cleanedChannelName = newChannelName.trim().toLowerCase().replace(/^@/, '');
+    if (!TrackingPageManager.CHANNEL_NAME_PATTERN.test(cleanedChannelName)) {
+      alert(`"${cleanedChannelName}" is not a valid Twitch channel name.`);
+      return;
+    }
 
     // Switch to the new channel
     await this.handleChannelSwitch(cleanedChannelName);
   }
 
   async handleChannelSwitch(newChannelName) {
-    if (this.channelName === newChannelName && this.isTracking) {
-      // Already tracking this channel
+    // Already tracking this channel - just bring it on screen
+    if (this.channels.has(newChannelName)) {
+      await this.showChannel(newChannelName);
       return;
     }
 
-    const shouldSwitch = this.channelName !== newChannelName;
-
-    if (shouldSwitch && this.isTracking) {
+    const maxTrackedChannels = this.trackingMetrics?.settingsManager.get('maxTrackedChannels');
+    if (maxTrackedChannels && this.channels.size >= maxTrackedChannels) {
       const confirmed = confirm(
-        `Currently tracking "${this.channelName}". Stop and switch to "${newChannelName}"?`
+        `Already tracking ${this.channels.size} channels (limit ${maxTrackedChannels}). ` +
+        `Stop "${this.channelName}" and track "${newChannelName}" instead?`
       );
 
       if (!confirmed) {
         return;
       }
 
-      // Stop current tracking
-      await this.stopTracking();
+      // Make room by stopping the channel on screen
+      await this.stopChannel(this.channelName);
     }
 
-    // Switch to new channel
-    this.channelName = newChannelName;
-
-    // Properly cleanup existing tracking system before reinitializing
-    if (this.trackingMetrics) {
-      // Close any open viewer detail panel before destroying UI
-      if (this.trackingMetrics.uiManager && this.trackingMetrics.uiManager.viewerDetailManager) {
-        this.trackingMetrics.uiManager.viewerDetailManager.destroy();
-      }
-
-      // Destroy chart manager to free up canvas elements
-      if (this.trackingMetrics.chartManager) {
-        this.trackingMetrics.chartManager.destroy();
-      }
-
-      // Destroy UI manager to clean up all event listeners
-      if (this.trackingMetrics.uiManager) {
-        this.trackingMetrics.uiManager.destroy();
-      }
-
-      this.trackingMetrics = null;
-    }
-
-    await this.startTracking();
+    await this.startTracking(newChannelName);
   }
 
-  async startTracking() {
-    if (!this.channelName) {
+  async startTracking(channelName = this.channelName) {
+    if (!channelName) {
       console.error('No channel name specified');
       return;
     }
@@ -614,24 +659,38 @@ class TrackingPageManager {
         await this.initializeTrackingSystem();
       }
 
-      // Update UI title
-      document.getElementById('tvm-tracking-title').textContent =
-        `${this.channelName}`;
-
-      // Start tracking
-      await this.trackingMetrics.start();
+      // Start tracking (runs alongside any channels already tracked)
+      await this.trackingMetrics.start(channelName);
       this.isTracking = true;
 
-      console.log('Started tracking:', this.channelName);
+      console.log('Started tracking:', channelName);
     } catch (error) {
       console.error('Error starting tracking:', error);
-      alert('Failed to start tracking. Please check the console for details.');
+      alert(`Failed to start tracking ${channelName}: ${error.message}`);
+    }
+  }
+
+  // Stop every tracked channel
+  async stopTracking({ endSession = true } = {}) {
+    for (const channelName of Array.from(this.channels.keys())) {
+      await this.stopChannel(channelName, { endSession });
     }
   }
 
-  async stopTracking() {
-    if (this.trackingMetrics && this.isTracking) {
-      await this.trackingMetrics.stop();
+  async stopChannel(channelName, { endSession = true } = {}) {
+    const context = this.channels.get(channelName);
+    if (!context || !this.trackingMetrics) return;
+
+    // Save the final state before the data manager is cleared
+    await this.finishPersistedSession(context, endSession);
+
+    await this.trackingMetrics.stop(channelName);
+    this.channels.delete(channelName);
+    context.apiClient.destroy();
+
+    if (this.channels.size === 0) {
+      // Keep the last data manager bound to the UI (session import reuses it)
+      this.isTracking = false;
 
       // Clear debug update interval
       if (this.debugUpdateInterval) {
@@ -643,9 +702,22 @@ class TrackingPageManager {
       if (this.trackingMetrics.chartManager) {
         this.trackingMetrics.chartManager.destroy();
       }
+      this.renderChannelTabs();
+    } else if (this.channelName === channelName) {
+      context.dataManager.destroy();
+      await this.showChannel(this.channels.keys().next().value);
+    } else {
+      context.dataManager.destroy();
+      this.renderChannelTabs();
+    }
 
-      this.isTracking = false;
-      console.log('Stopped tracking');
+    console.log('Stopped tracking:', channelName);
+  }
+
+  // Save a last checkpoint for every channel without stopping background tracking
+  async detachTracking() {
+    for (const context of this.channels.values()) {
+      await this.finishPersistedSession(context, false);
     }
   }
 
@@ -662,6 +734,9 @@ class TrackingPageManager {
       }
     }
 
+    // Stop all channels and mark their persisted sessions as finished
+    await this.stopTracking({ endSession: true });
+
     // Set flag to prevent beforeunload confirmation
     this.isTracking = false;
     await this.cleanup();
@@ -669,114 +744,400 @@ class TrackingPageManager {
   }
 
   async initializeTrackingSystem() {
-    // Initialize the tracking system similar to content script
+    // Shared services; each tracked channel gets its own API client and data manager
     const errorHandler = new window.ErrorHandler();
     const settingsManager = new window.SettingsManager(errorHandler);
-    const apiClient = new window.BackgroundApiClient(errorHandler);
-    const dataManager = new window.EnhancedDataManager(settingsManager, errorHandler, apiClient);
-    const uiManager = new window.UIManager(dataManager, settingsManager, errorHandler, apiClient);
-    const chartManager = new window.ChartManager(dataManager, settingsManager, errorHandler, this.channelName, uiManager, apiClient);
+    const sessionStore = new window.SessionStore(errorHandler);
+    const labelStore = new window.LabelStore(errorHandler);
+    const accountListStore = new window.AccountListStore(errorHandler);
+    const populationPrior = new window.PopulationPrior(errorHandler);
 
-    // Set chart manager reference in UI manager
-    uiManager.chartManager = chartManager;
-
-    // Load configuration
+    // Load configuration, viewer labels, account lists and the population prior
     await settingsManager.load();
+    await labelStore.load();
+    await accountListStore.load();
+    await populationPrior.load();
+    labelStore.subscribe(() => this.updateLabelCounts());
+    accountListStore.subscribe(() => this.renderAccountLists());
+
+    // Refresh the prior from stored sessions in the background; detection re-runs when it's done
+    populationPrior.rebuild(sessionStore);
 
     // Create tracking metrics instance
+    // apiClient/dataManager/channelName always point at the channel on screen
     const self = this; // Store reference to TrackingPageManager
     this.trackingMetrics = {
       errorHandler,
       settingsManager,
-      apiClient,
-      dataManager,
-      uiManager,
-      chartManager,
-      channelName: this.channelName,
+      sessionStore,
+      labelStore,
+      accountListStore,
+      populationPrior,
+      apiClient: null,
+      dataManager: null,
+      uiManager: null,
+      chartManager: null,
+      channelName: null,
       isActive: false,
 
-      async start() {
+      async start(channelName) {
+        const context = self.createChannelContext(channelName);
+
         try {
           // Check authentication
-          const authResponse = await apiClient.getAuthStatus();
+          const authResponse = await context.apiClient.getAuthStatus();
           if (!authResponse.hasAuth) {
             throw new Error('Authentication headers not captured. Please refresh page and try again.');
           }
 
-          // Inject UI into our page
-          const targetElement = document.getElementById('tvm-tracking-content');
-          await uiManager.injectUI(this.channelName, targetElement);
-          await chartManager.initGraphs();
+          // Rehydrate data from an unfinished session for this channel, if any
+          await self.restoreOrCreateSession(context);
 
-          // Start background tracking
+          // Reattach to a background session that is still running, otherwise start one
           const config = settingsManager.get();
-          const bgTrackingResult = await apiClient.startBackgroundTracking(this.channelName, config);
+          const reattached = await self.reattachBackgroundSession(context, config);
+
+          if (!reattached) {
+            const bgTrackingResult = await context.apiClient.startBackgroundTracking(channelName, config);
 
-          if (!bgTrackingResult.success) {
-            throw new Error(bgTrackingResult.error || 'Failed to start background tracking');
+            if (!bgTrackingResult.success) {
+              throw new Error(bgTrackingResult.error || 'Failed to start background tracking');
+            }
           }
 
+          context.isTracking = true;
+          context.startTime = new Date(context.sessionStartedAt || Date.now());
+          self.channels.set(channelName, context);
           this.isActive = true;
-          uiManager.showContent();
-          uiManager.setStartTime();
 
-          // Start debug info updates
+          // Show the new channel and start debug info updates
+          await self.showChannel(channelName);
           self.startDebugUpdates();
 
-          // Fetch and display channel avatar now that API client is ready
-          uiManager.updateChannelAvatar(this.channelName);
+          // Periodically checkpoint session data to IndexedDB
+          self.startSessionCheckpoints(context);
 
-          console.log('Background tracking started for channel:', this.channelName);
+          console.log('Background tracking started for channel:', channelName);
+          return context;
         } catch (error) {
+          context.apiClient.destroy();
+          context.dataManager.destroy();
           throw error;
         }
       },
 
-      async stop() {
+      async stop(channelName) {
+        const context = self.channels.get(channelName);
+        if (!context) return;
+
         try {
-          this.isActive = false;
+          context.isTracking = false;
+          this.isActive = self.channels.size > 1;
 
           // Stop background tracking
-          await apiClient.stopBackgroundTracking();
-          dataManager.clear();
+          await context.apiClient.stopBackgroundTracking();
+          context.dataManager.clear();
 
-          console.log('Background tracking stopped');
+          console.log('Background tracking stopped for channel:', channelName);
         } catch (error) {
           console.error('Error stopping tracking:', error);
         }
       }
     };
 
-    // Subscribe to background tracking updates
+    this.updateLabelCounts();
+    this.renderAccountLists();
+  }
+
+  // Rebuild the page from a background session via GET_TRACKING_DATA
+  async reattachBackgroundSession(context, config) {
+    const { apiClient, dataManager, channelName } = context;
+
+    const attachResult = await apiClient.attachBackgroundTracking(channelName, config);
+    if (!attachResult.success) return false;
+
+    const response = await apiClient.getTrackingData();
+    if (!response.success || !response.data) return false;
+
+    const result = dataManager.restoreFromBackgroundData(response.data);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to restore background tracking data');
+    }
+
+    // The background session may predate the persisted one
+    const sessionStart = response.data.metadata?.sessionStart;
+    if (sessionStart && (!context.sessionStartedAt || sessionStart < context.sessionStartedAt)) {
+      context.sessionStartedAt = sessionStart;
+    }
+
+    console.log(`Reattached to background session for ${channelName}: ${result.viewerCount} viewers, ${result.historyPoints} missed history points`);
+    return true;
+  }
+
+  async reattachOrphanedSessions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TRACKING_SESSIONS' });
+      const currentTab = await chrome.tabs.getCurrent();
+
+      // Sessions whose page went away, or that still belong to this tab (reload)
+      const sessions = (response?.sessions || []).filter(session =>
+        !this.channels.has(session.channelName) &&
+        (session.orphaned || session.tabId === currentTab?.id)
+      );
+
+      for (const session of sessions) {
+        await this.startTracking(session.channelName);
+      }
+    } catch (error) {
+      console.error('Error reattaching background sessions:', error);
+    }
+  }
+
+  createChannelContext(channelName) {
+    const { errorHandler, settingsManager, labelStore, accountListStore, populationPrior } = this.trackingMetrics;
+    const apiClient = new window.BackgroundApiClient(errorHandler);
+    const dataManager = new window.EnhancedDataManager(settingsManager, errorHandler, apiClient);
+    dataManager.setBotDetector(this.botDetectorId);
+    dataManager.setLabelStore(labelStore);
+    dataManager.setAccountListStore(accountListStore);
+    dataManager.setPopulationPrior(populationPrior, channelName);
+
+    const context = {
+      channelName,
+      apiClient,
+      dataManager,
+      isTracking: false,
+      startTime: null,
+      sessionId: null,
+      sessionStartedAt: null,
+      sessionCheckpointInterval: null
+    };
+
+    // Subscribe to background tracking updates for this channel
     apiClient.subscribe((event, data) => {
-      this.handleBackgroundTrackingUpdate(event, data);
+      this.handleBackgroundTrackingUpdate(context, event, data);
+    });
+
+    return context;
+  }
+
+  // Bind the UI and charts to one of the tracked channels
+  async showChannel(channelName, context = this.channels.get(channelName)) {
+    if (!context || !this.trackingMetrics) return;
+
+    const metrics = this.trackingMetrics;
+    const previousDataManager = metrics.dataManager;
+
+    this.channelName = channelName;
+    metrics.channelName = channelName;
+    metrics.apiClient = context.apiClient;
+    metrics.dataManager = context.dataManager;
+
+    if (!metrics.uiManager) {
+      const { errorHandler, settingsManager } = metrics;
+      metrics.uiManager = new window.UIManager(context.dataManager, settingsManager, errorHandler, context.apiClient);
+      metrics.chartManager = new window.ChartManager(context.dataManager, settingsManager, errorHandler, channelName, metrics.uiManager, context.apiClient);
+
+      // Set chart manager reference in UI manager
+      metrics.uiManager.chartManager = metrics.chartManager;
+
+      // Inject UI into our page
+      const targetElement = document.getElementById('tvm-tracking-content');
+      await metrics.uiManager.injectUI(channelName, targetElement);
+    } else {
+      metrics.uiManager.setDataSource(context.dataManager, context.apiClient);
+      metrics.chartManager.setDataSource(context.dataManager, context.apiClient, channelName);
+    }
+
+    if (!metrics.chartManager.isInitialized) {
+      await metrics.chartManager.initGraphs();
+    }
+
+    // The leftover data manager from a fully stopped page is no longer needed
+    if (previousDataManager && previousDataManager !== context.dataManager &&
+      !Array.from(this.channels.values()).some(c => c.dataManager === previousDataManager)) {
+      previousDataManager.destroy();
+    }
+
+    // A manual bot threshold belongs to the channel it was set for
+    this.setBotThresholdLocked(true);
+    context.dataManager.detectBots();
+
+    // Update UI title
+    document.getElementById('tvm-tracking-title').textContent = `${channelName}`;
+
+    metrics.uiManager.showContent();
+    metrics.uiManager.setStartTime(context.startTime);
+    metrics.uiManager.updateStats();
+    metrics.uiManager.forceViewerListUpdate();
+    metrics.uiManager.updateDebugInfo();
+
+    // Update stream name and fetch channel avatar
+    metrics.uiManager.updateChannelName(channelName);
+
+    this.renderChannelTabs();
+  }
+
+  isDisplayedDataManager(dataManager) {
+    return this.trackingMetrics?.dataManager === dataManager;
+  }
+
+  // Channel switcher shown in the header when more than one channel is tracked
+  renderChannelTabs() {
+    const container = document.getElementById('tvm-channel-tabs');
+    if (!container) return;
+
+    if (this.channels.size < 2) {
+      container.innerHTML = '';
+      container.style.display = 'none';
+      return;
+    }
+
+    container.innerHTML = Array.from(this.channels.values()).map(context => {
+      const isActive = context.channelName === this.channelName;
+      const history = context.dataManager.getHistory();
+      const viewers = history.length > 0 ? history[history.length - 1].totalViewers : null;
+      const viewerLabel = viewers !== null ? ` <span class="tvm-channel-tab-count">${viewers.toLocaleString()}</span>` : '';
+      const channelName = FormatUtils.escapeHtml(context.channelName);
+
+      return `
+        <button class="tvm-channel-tab${isActive ? ' tvm-channel-tab-active' : ''}" data-channel="${channelName}">
+          ${channelName}${viewerLabel}
+          <span class="tvm-channel-tab-close" data-channel="${channelName}" title="Stop tracking ${channelName}">&times;</span>
+        </button>
+      `;
+    }).join('');
+    container.style.display = 'flex';
+  }
+
+  setupChannelTabs() {
+    const container = document.getElementById('tvm-channel-tabs');
+    if (!container) return;
+
+    container.addEventListener('click', async (event) => {
+      const closeButton = event.target.closest('.tvm-channel-tab-close');
+      if (closeButton) {
+        event.stopPropagation();
+        const channelName = closeButton.dataset.channel;
+        if (confirm(`Stop tracking "${channelName}"?`)) {
+          await this.stopChannel(channelName);
+        }
+        return;
+      }
+
+      const tab = event.target.closest('.tvm-channel-tab');
+      if (tab && tab.dataset.channel !== this.channelName) {
+        await this.showChannel(tab.dataset.channel);
+      }
     });
   }
 
-  handleBackgroundTrackingUpdate(event, data) {
+  async restoreOrCreateSession(context) {
+    const { settingsManager, sessionStore } = this.trackingMetrics;
+    const config = settingsManager.get();
+
+    context.sessionId = null;
+    context.sessionStartedAt = null;
+    if (!config.persistSessions) return;
+
+    const record = await sessionStore.getResumableSession(context.channelName, config.sessionResumeWindow);
+    if (record) {
+      const result = context.dataManager.restoreSessionSnapshot(record);
+      if (result.success) {
+        context.sessionId = record.id;
+        context.sessionStartedAt = record.startedAt;
+        console.log(`Restored session ${record.id}: ${result.viewerCount} viewers, ${result.historyPoints} history points`);
+        return;
+      }
+    }
+
+    context.sessionId = sessionStore.createSessionId(context.channelName);
+    context.sessionStartedAt = Date.now();
+    await sessionStore.pruneSessions(config.maxStoredSessions);
+  }
+
+  startSessionCheckpoints(context) {
+    this.stopSessionCheckpoints(context);
+    if (!context.sessionId) return;
+
+    const interval = this.trackingMetrics.settingsManager.get('sessionCheckpointInterval');
+    context.sessionCheckpointInterval = setInterval(() => {
+      this.checkpointSession(context);
+    }, interval);
+  }
+
+  stopSessionCheckpoints(context) {
+    if (context.sessionCheckpointInterval) {
+      clearInterval(context.sessionCheckpointInterval);
+      context.sessionCheckpointInterval = null;
+    }
+  }
+
+  async checkpointSession(context) {
+    if (!context.sessionId || !this.trackingMetrics) return false;
+
+    const { dataManager } = context;
+    if (dataManager.isInAnalysisMode()) return false;
+
+    const snapshot = dataManager.getSessionSnapshot();
+
+    // Nothing worth saving yet
+    if (snapshot.viewers.length === 0 && snapshot.history.length === 0) return false;
+
+    return this.trackingMetrics.sessionStore.saveSession({
+      id: context.sessionId,
+      channel: context.channelName,
+      startedAt: context.sessionStartedAt,
+      endedAt: null,
+      summary: dataManager.getSessionSummary(),
+      ...snapshot
+    });
+  }
+
+  // Save a last checkpoint and optionally mark the session finished (no longer resumable)
+  async finishPersistedSession(context, endSession) {
+    this.stopSessionCheckpoints(context);
+    if (!context.sessionId) return;
+
+    const sessionId = context.sessionId;
+    await this.checkpointSession(context);
+
+    if (endSession) {
+      await this.trackingMetrics.sessionStore.endSession(sessionId);
+      context.sessionId = null;
+      context.sessionStartedAt = null;
+    }
+  }
+
+  handleBackgroundTrackingUpdate(context, event, data) {
     if (!this.trackingMetrics) return;
 
+    const { dataManager } = context;
+    const isDisplayed = this.isDisplayedDataManager(dataManager);
+    const uiManager = isDisplayed ? this.trackingMetrics.uiManager : null;
+
     try {
       switch (event) {
         case 'viewersUpdated':
-          this.trackingMetrics.dataManager.updateViewers(data);
-          this.trackingMetrics.uiManager.updateViewerCount(data.total, data.authenticatedCount);
+          dataManager.updateViewers(data);
+          uiManager?.updateViewerCount(data.total, data.authenticatedCount);
           break;
 
         case 'viewerCountUpdated':
-          const stats = this.trackingMetrics.dataManager.getStats();
-          const totalAuthenticated = this.trackingMetrics.dataManager.getAuthenticatedCount();
-          this.trackingMetrics.dataManager.addHistoryPoint(
+          const stats = dataManager.getStats();
+          const totalAuthenticated = dataManager.getAuthenticatedCount();
+          dataManager.addHistoryPoint(
             data.count,
             stats.authenticatedNonBots,
             stats.bots,
             totalAuthenticated
           );
-          this.trackingMetrics.uiManager.updateViewerCount(data.count, null, data.timestamp);
+          uiManager?.updateViewerCount(data.count, null, data.timestamp);
+          this.renderChannelTabs();
           break;
 
         case 'userInfoUpdated':
-          this.trackingMetrics.dataManager.updateUserInfo(data.userInfo);
+          dataManager.updateUserInfo(data.userInfo);
           // Note: UI will update automatically via dataManager.notify('userInfoUpdated') -> UI manager subscription
           break;
 
@@ -784,17 +1145,22 @@ class TrackingPageManager {
           // Update data manager first to remove the viewers
           if (data.removedUsernames) {
             for (const username of data.removedUsernames) {
-              this.trackingMetrics.dataManager.removeViewer(username);
+              dataManager.removeViewer(username);
             }
           }
 
           // Then update the UI
-          this.trackingMetrics.uiManager.updateAfterCleanup(data);
+          uiManager?.updateAfterCleanup(data);
           break;
 
         case 'apiStatusUpdated':
           // Update API status in UI if needed
           break;
+
+        case 'trackingGap':
+          // Marked on the main chart so the missing data is visible
+          dataManager.addTrackingGaps([data]);
+          break;
       }
     } catch (error) {
       console.error('Error handling background tracking update:', error);
@@ -988,36 +1354,9 @@ class TrackingPageManager {
             }
 
             // Import and enter analysis mode
-            const result = this.trackingMetrics.dataManager.importFullStateFromJSON(jsonString);
+            const result = await this.enterAnalysisMode(jsonString);
 
             if (result.success) {
-              // Initialize charts if not already initialized
-              if (this.trackingMetrics.chartManager && !this.trackingMetrics.chartManager.isInitialized) {
-                await this.trackingMetrics.chartManager.initGraphs();
-              }
-
-              // Show content and tabs for analysis mode
-              if (this.trackingMetrics.uiManager) {
-                this.trackingMetrics.uiManager.showContent();
-              }
-
-              // Update all charts with imported data
-              if (this.trackingMetrics.chartManager) {
-                this.trackingMetrics.chartManager.updateGraphs();
-                this.trackingMetrics.chartManager.updateHeatmapChart();
-              }
-
-              // Update viewer list with imported data
-              if (this.trackingMetrics.uiManager) {
-                // Force update viewer list after a delay to ensure DOM is ready
-                setTimeout(() => {
-                  this.trackingMetrics.uiManager.viewerListManager.forceViewerListUpdate();
-                }, 1000);
-              }
-
-              // Update UI for analysis mode
-              this.updateAnalysisModeUI(result.channel, result.exportedAt);
-
               this.showExportFeedback('tvm-import-full-state', 'Imported!');
 
               const exportDate = result.exportedAt ? new Date(result.exportedAt).toLocaleString() : 'Unknown';
@@ -1039,6 +1378,142 @@ class TrackingPageManager {
         alert('Failed to import session data. Check console for details.');
       }
     });
+
+    // Viewer Labels Export
+    document.getElementById('tvm-export-labels')?.addEventListener('click', () => {
+      try {
+        if (!this.trackingMetrics?.labelStore) {
+          alert('Tracking not initialized. Please start tracking first.');
+          return;
+        }
+
+        const json = this.trackingMetrics.labelStore.exportAsJSON();
+        this.downloadFile(json, `viewer_labels_${Date.now()}.json`, 'application/json');
+        this.showExportFeedback('tvm-export-labels', 'Exported!');
+      } catch (error) {
+        console.error('Error exporting viewer labels:', error);
+        alert('Failed to export viewer labels. Check console for details.');
+      }
+    });
+
+    // Viewer Labels Import (merged into the existing labels)
+    document.getElementById('tvm-import-labels')?.addEventListener('click', () => {
+      document.getElementById('tvm-import-labels-input')?.click();
+    });
+
+    document.getElementById('tvm-import-labels-input')?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        try {
+          if (!this.trackingMetrics?.labelStore) {
+            alert('Tracking not initialized. Please start tracking first.');
+            return;
+          }
+
+          const result = await this.trackingMetrics.labelStore.importFromJSON(event.target.result);
+          if (result.success) {
+            this.showExportFeedback('tvm-import-labels', 'Imported!');
+            alert(`Imported ${result.imported} viewer labels.`);
+          } else {
+            alert(`Import failed: ${result.error}`);
+          }
+        } catch (error) {
+          console.error('Error importing viewer labels:', error);
+          alert('Failed to import viewer labels. Check console for details.');
+        }
+      };
+      reader.readAsText(file);
+
+      // Reset file input
+      e.target.value = '';
+    });
+
+    // Allowlist / Blocklist
+    document.getElementById('tvm-save-account-lists')?.addEventListener('click', async () => {
+      try {
+        const store = this.trackingMetrics?.accountListStore;
+        if (!store) {
+          alert('Tracking not initialized. Please start tracking first.');
+          return;
+        }
+
+        await store.setListsFromText({
+          allow: document.getElementById('tvm-allowlist')?.value,
+          block: document.getElementById('tvm-blocklist')?.value
+        });
+        this.showExportFeedback('tvm-save-account-lists', 'Saved!');
+      } catch (error) {
+        console.error('Error saving account lists:', error);
+        alert('Failed to save account lists. Check console for details.');
+      }
+    });
+
+    const accountListInput = document.getElementById('tvm-import-account-list-input');
+    document.querySelectorAll('.tvm-import-account-list').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!accountListInput) return;
+        accountListInput.dataset.list = button.dataset.list;
+        accountListInput.click();
+      });
+    });
+
+    accountListInput?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const list = e.target.dataset.list;
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        try {
+          if (!this.trackingMetrics?.accountListStore) {
+            alert('Tracking not initialized. Please start tracking first.');
+            return;
+          }
+
+          const result = await this.trackingMetrics.accountListStore.importText(list, event.target.result);
+          if (result.success) {
+            alert(`Added ${result.imported} accounts to the ${list === 'allow' ? 'allowlist' : 'blocklist'}.`);
+          } else {
+            alert(`Import failed: ${result.error}`);
+          }
+        } catch (error) {
+          console.error('Error importing account list:', error);
+          alert('Failed to import account list. Check console for details.');
+        }
+      };
+      reader.readAsText(file);
+
+      // Reset file input
+      e.target.value = '';
+    });
+  }
+
+  updateLabelCounts() {
+    const element = document.getElementById('tvm-label-counts');
+    const counts = this.trackingMetrics?.labelStore?.getCounts();
+    if (element && counts) {
+      element.textContent = `${counts.bot} bot, ${counts.legit} legit`;
+    }
+  }
+
+  // Fill the allowlist / blocklist editor in settings
+  renderAccountLists() {
+    const store = this.trackingMetrics?.accountListStore;
+    if (!store) return;
+
+    for (const [list, prefix] of [['allow', 'tvm-allowlist'], ['block', 'tvm-blocklist']]) {
+      const textarea = document.getElementById(prefix);
+      if (textarea) {
+        textarea.value = store.getList(list).join('\n');
+      }
+      const count = document.getElementById(`${prefix}-count`);
+      if (count) {
+        count.textContent = store.getCounts()[list];
+      }
+    }
   }
 
   downloadFile(content, filename, mimeType) {
@@ -1069,6 +1544,93 @@ class TrackingPageManager {
     }, 1500);
   }
 
+  // Load a full-state export into the displayed data manager (read-only analysis)
+  async enterAnalysisMode(jsonString) {
+    const result = this.trackingMetrics.dataManager.importFullStateFromJSON(jsonString);
+    if (!result.success) return result;
+
+    // Initialize charts if not already initialized
+    if (this.trackingMetrics.chartManager && !this.trackingMetrics.chartManager.isInitialized) {
+      await this.trackingMetrics.chartManager.initGraphs();
+    }
+
+    // Show content and tabs for analysis mode
+    if (this.trackingMetrics.uiManager) {
+      this.trackingMetrics.uiManager.showContent();
+    }
+
+    // Update all charts with imported data
+    if (this.trackingMetrics.chartManager) {
+      this.trackingMetrics.chartManager.updateGraphs();
+      this.trackingMetrics.chartManager.updateHeatmapChart();
+    }
+
+    // Update viewer list with imported data
+    if (this.trackingMetrics.uiManager) {
+      // Force update viewer list after a delay to ensure DOM is ready
+      setTimeout(() => {
+        this.trackingMetrics.uiManager.viewerListManager.forceViewerListUpdate();
+      }, 1000);
+    }
+
+    // Update UI for analysis mode
+    this.updateAnalysisModeUI(result.channel, result.exportedAt);
+
+    return result;
+  }
+
+  // Open a session from the archive page (tracking.html?session=<id>) in analysis mode
+  async openArchivedSession(sessionId) {
+    try {
+      await this.initializeTrackingSystem();
+
+      const record = await this.trackingMetrics.sessionStore.getSession(sessionId);
+      if (!record) {
+        this.showArchivedSessionError('This session no longer exists in the archive.');
+        return;
+      }
+
+      // Bind the UI to a stand-alone data manager; nothing is tracked from this page
+      const context = this.createChannelContext(record.channel);
+      context.startTime = new Date(record.startedAt);
+      await this.showChannel(record.channel, context);
+
+      // Go through the same path as importing an exported file
+      const jsonString = context.dataManager.exportManager.exportFullStateAsJSON(record.channel, {
+        ...record,
+        exportedAt: new Date(record.updatedAt).toISOString()
+      });
+      const result = await this.enterAnalysisMode(jsonString);
+
+      if (!result.success) {
+        this.showArchivedSessionError(`Failed to open session: ${result.error}`);
+        return;
+      }
+
+      if (record.name) {
+        document.title = `${record.name} - Viewer Metrics`;
+      }
+    } catch (error) {
+      console.error('Error opening archived session:', error);
+      this.showArchivedSessionError('Failed to open session. Check console for details.');
+    }
+  }
+
+  showArchivedSessionError(message) {
+    const content = document.getElementById('tvm-tracking-content');
+    content.innerHTML = `
+      <div style="text-align: center; padding: 40px;">
+        <h2>Session Unavailable</h2>
+        <p>${message}</p>
+        <button id="tvm-close-btn-alt" class="tvm-btn tvm-btn-secondary">Close Page</button>
+      </div>
+    `;
+
+    document.getElementById('tvm-close-btn-alt')?.addEventListener('click', () => {
+      window.close();
+    });
+  }
+
   updateAnalysisModeUI(channelName, exportedAt) {
     // Update title to show analysis mode
     const titleElement = document.getElementById('tvm-tracking-title');
@@ -1137,8 +1699,8 @@ class TrackingPageManager {
 
   async cleanup() {
     try {
-      // Stop tracking
-      await this.stopTracking();
+      // Leave background sessions running so a reloaded page can reattach to them
+      await this.detachTracking();
 
       // Release tracking lock
       await this.releaseTrackingLock();
@@ -1158,6 +1720,9 @@ class TrackingPageManager {
           this.trackingMetrics.chartManager.destroy();
         }
         this.trackingMetrics.dataManager?.clear();
+        this.trackingMetrics.labelStore?.destroy();
+        this.trackingMetrics.accountListStore?.destroy();
+        this.trackingMetrics.populationPrior?.destroy();
         // API client queue is managed by background service
       }
 
@@ -0,0 +1,70 @@
+// IndexedDB helper shared by the page-side SessionStore and the background stores
+// Pages load it with a script tag; the background service worker imports it for its side effect.
+// Either way it defines globalThis.IdbDatabase
+globalThis.IdbDatabase = class IdbDatabase {
+  // upgrade(db, transaction, oldVersion) creates or migrates the object stores
+  constructor(name, version, upgrade) {
+    this.name = name;
+    this.version = version;
+    this.upgrade = upgrade;
+    this.dbPromise = null;
+  }
+
+  // Open (and upgrade if needed) the database, reusing a single connection
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = (event) => {
+        this.upgrade(request.result, request.transaction, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when another page upgrades the database; the next call opens the new version
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      // The request stays pending and succeeds once the older connection closes
+      request.onblocked = () => console.warn(`Database ${this.name} upgrade is waiting for another open connection to close`);
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run operation inside one transaction and resolve with the result of the request it returns
+  // (if any) once the transaction completes. operation gets the object store, or for an array
+  // of store names an object of stores keyed by name
+  async run(storeNames, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = Array.isArray(storeNames)
+        ? Object.fromEntries(storeNames.map(storeName => [storeName, transaction.objectStore(storeName)]))
+        : transaction.objectStore(storeNames);
+      const request = operation(stores);
+      let result;
+
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error(`${this.name} transaction aborted`));
+    });
+  }
+};